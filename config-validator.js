@@ -1,6 +1,16 @@
 // config-validator.js
 const Joi = require('joi');
 
+// IANA time zone the runtime can resolve (e.g. "America/Denver")
+const timeZone = Joi.string().custom((value, helpers) => {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch (error) {
+        return helpers.error('any.invalid');
+    }
+}, 'IANA time zone');
+
 const configSchema = Joi.object({
     connection: Joi.object({
         controller_ip: Joi.string().ip().required(),
@@ -29,7 +39,9 @@ const configSchema = Joi.object({
     scheduling: Joi.object({
         enabled: Joi.boolean().default(true),
         check_interval: Joi.number().min(10000).default(60000),
-        timezone: Joi.string().default('America/New_York')
+        timezone: timeZone.default('America/New_York'),
+        latitude: Joi.number().min(-90).max(90),
+        longitude: Joi.number().min(-180).max(180)
     }).required(),
 
     backup: Joi.object({
@@ -41,7 +53,11 @@ const configSchema = Joi.object({
     advanced: Joi.object({
         debug_mode: Joi.boolean().default(false),
         log_level: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
-        websocket_timeout: Joi.number().min(5000).default(10000)
+        websocket_timeout: Joi.number().min(5000).default(10000),
+        // Gap between light commands sent to the coach, in ms (0 sends bursts unpaced)
+        command_interval: Joi.number().integer().min(0).max(1000).default(50),
+        // How often the runner re-reads every light's level, in ms (0 leaves it to switch reports)
+        status_poll_interval: Joi.number().integer().min(0).max(3600000).default(60000)
     }).required()
 });
 
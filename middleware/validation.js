@@ -1,19 +1,129 @@
 // server/middleware/validation.js
 const Joi = require('joi');
+const ScheduleTime = require('../src/schedule-time');
+
+// IANA time zone the runtime can resolve (e.g. "America/Denver")
+const timeZone = Joi.string().custom((value, helpers) => {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch (error) {
+        return helpers.error('any.invalid');
+    }
+}, 'IANA time zone');
+
+// Real calendar day as "YYYY-MM-DD" (e.g. "2024-12-25")
+const calendarDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+        return helpers.error('any.invalid');
+    }
+    return value;
+}, 'calendar date');
+
+// Optional date range plus days to skip, shared by schedules and events
+const dateBounds = {
+    startDate: calendarDate,
+    endDate: calendarDate,
+    exceptions: Joi.array().items(
+        calendarDate,
+        Joi.object({
+            start: calendarDate.required(),
+            end: calendarDate,
+            reason: Joi.string().max(100)
+        })
+    )
+};
+
+const checkDateOrder = (value, helpers) => {
+    if (value.startDate && value.endDate && value.endDate < value.startDate) {
+        return helpers.message('"endDate" must not be before "startDate"');
+    }
+    return value;
+};
+
+// Identity of a light when it was stored, used to spot lights renumbered by discovery
+const lightFingerprint = Joi.object({
+    name: Joi.string().required(),
+    instance: Joi.number().integer().min(0),
+    room: Joi.number().integer().min(0).max(5),
+    command: Joi.number().integer().min(0)
+});
 
 // Scene validation schema
 const sceneSchema = Joi.object({
     name: Joi.string().min(1).max(50).required(),
     created: Joi.string().isoDate(),
     room: Joi.number().integer().min(0).max(5).allow(null),
+    favorite: Joi.boolean(),
     lights: Joi.array().items(
         Joi.object({
             index: Joi.number().integer().min(1).required(),
             name: Joi.string().required(),
             brightness: Joi.number().integer().min(0).max(100).required(),
-            room: Joi.number().integer().min(0).max(5).required()
+            room: Joi.number().integer().min(0).max(5).required(),
+            fingerprint: lightFingerprint
         })
-    ).min(1).required()
+    ).min(1).unique('index').required()
+});
+
+// Sequence validation schema: steps set a scene, some lights or a room, then wait delayMs
+const sequenceSchema = Joi.object({
+    name: Joi.string().min(1).max(50).required(),
+    created: Joi.string().isoDate(),
+    loop: Joi.boolean(),
+    steps: Joi.array().items(
+        Joi.object({
+            scene: Joi.string().min(1),
+            lights: Joi.array().items(
+                Joi.object({
+                    index: Joi.number().integer().min(1).max(255).required(),
+                    brightness: Joi.number().integer().min(0).max(100).required(),
+                    fingerprint: lightFingerprint
+                })
+            ).min(1),
+            room: Joi.number().integer().min(0).max(5),
+            brightness: Joi.number().integer().min(0).max(100)
+                .when('room', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+            delayMs: Joi.number().integer().min(0).max(24 * 60 * 60 * 1000),
+            fadeMs: Joi.number().integer().min(0).max(3600000),
+            switchAt: Joi.string().valid('start', 'end')
+        }).xor('scene', 'lights', 'room')
+    ).min(1).max(100).required()
+}).custom((value, helpers) => {
+    // Loops that would spin faster than playback allows (250ms per step, 1s per cycle)
+    const cycleMs = value.steps.reduce((total, step) => total + Math.max(step.delayMs || 0, 250), 0);
+    if (value.loop && cycleMs < 1000) {
+        return helpers.message('A looping sequence must take at least 1000ms per cycle');
+    }
+    return value;
+});
+
+// "HH:MM" or sun-relative: "sunrise", "sunset", "sunset-15", "sunrise+30"
+const eventTime = Joi.alternatives().try(
+    Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    Joi.string().pattern(/^(sunrise|sunset)([+-]\d{1,3})?$/)
+);
+
+// Five-field cron expression or macro (e.g. "*/30 18-23 * * 5,6", "@daily")
+const cronExpression = Joi.string().max(100).custom((value, helpers) => {
+    return ScheduleTime.isValidCron(value) ? value : helpers.message('{{#label}} must be a valid cron expression');
+}, 'cron expression');
+
+const dayList = Joi.array().items(
+    Joi.string().valid('sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat')
+).min(1);
+
+// [min, max] minutes for away-mode periods
+const minuteRange = Joi.array().ordered(
+    Joi.number().min(1).max(720).required(),
+    Joi.number().min(Joi.ref('0')).max(720).required()
+);
+
+const awayOnly = (schema) => schema.when('type', {
+    is: 'away',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
 });
 
 // Schedule validation schema  
@@ -21,20 +131,107 @@ const scheduleSchema = Joi.object({
     name: Joi.string().min(1).max(50).required(),
     enabled: Joi.boolean().default(true),
     created: Joi.string().isoDate(),
+    favorite: Joi.boolean(),
+    // What to do with events missed while the host was asleep or offline
+    catchUp: Joi.string().valid('skip', 'run_latest', 'run_all').default('skip'),
+    ...dateBounds,
+    // Away schedules switch rooms at randomized times inside windows instead of running events
+    type: Joi.string().valid('events', 'away'),
+    rooms: awayOnly(Joi.array().items(Joi.number().integer().min(0).max(5)).min(1).unique()),
+    windows: awayOnly(Joi.array().items(
+        Joi.object({
+            start: eventTime.required(),
+            end: eventTime.required()
+        })
+    ).min(1)),
+    days: dayList.when('type', { is: 'away', then: Joi.optional(), otherwise: Joi.forbidden() }),
+    onMinutes: minuteRange.when('type', { is: 'away', otherwise: Joi.forbidden() }),
+    offMinutes: minuteRange.when('type', { is: 'away', otherwise: Joi.forbidden() }),
+    brightness: Joi.number().integer().min(1).max(100).when('type', { is: 'away', otherwise: Joi.forbidden() }),
+    seed: Joi.alternatives().try(Joi.number(), Joi.string().max(100)),
     events: Joi.array().items(
         Joi.object({
-            time: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-            days: Joi.array().items(
-                Joi.string().valid('sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat')
-            ).min(1).required(),
-            action: Joi.string().valid('load_scene', 'lights_off', 'lights_on').required(),
+            // A time plus either days of the week or a single one-off date, or a cron expression
+            time: eventTime,
+            days: dayList.when('cron', {
+                is: Joi.exist(),
+                then: Joi.forbidden(),
+                otherwise: Joi.when('date', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+            }),
+            date: calendarDate.when('cron', { is: Joi.exist(), then: Joi.forbidden() }),
+            cron: cronExpression,
+            ...dateBounds,
+            action: Joi.string().valid(
+                'load_scene', 'lights_off', 'lights_on', 'room_on', 'room_off', 'set_lights', 'toggle',
+                'play_sequence', 'stop_sequence'
+            ).required(),
             scene: Joi.string().when('action', {
                 is: 'load_scene',
                 then: Joi.required(),
                 otherwise: Joi.optional()
-            })
+            }),
+            // play_sequence needs a sequence; stop_sequence without one stops them all
+            sequence: Joi.string().when('action', {
+                switch: [
+                    { is: 'play_sequence', then: Joi.required() },
+                    { is: 'stop_sequence', then: Joi.optional() }
+                ],
+                otherwise: Joi.forbidden()
+            }),
+            // room_on/room_off switch a room; toggle takes a room or a list of lights
+            room: Joi.number().integer().min(0).max(5).when('action', {
+                switch: [
+                    { is: Joi.valid('room_on', 'room_off'), then: Joi.required() },
+                    { is: 'toggle', then: Joi.optional() }
+                ],
+                otherwise: Joi.forbidden()
+            }),
+            // Level for room_on, or the level toggle turns lights on to (default 100)
+            brightness: Joi.number().integer().min(0).max(100).when('action', {
+                is: Joi.valid('room_on', 'toggle'),
+                then: Joi.optional(),
+                otherwise: Joi.forbidden()
+            }),
+            lights: Joi.array().items(
+                Joi.object({
+                    index: Joi.number().integer().min(1).max(255).required(),
+                    brightness: Joi.number().integer().min(0).max(100)
+                        .when('....action', { is: 'set_lights', then: Joi.required(), otherwise: Joi.forbidden() }),
+                    fingerprint: lightFingerprint
+                })
+            ).min(1).when('action', {
+                switch: [
+                    { is: 'set_lights', then: Joi.required() },
+                    { is: 'toggle', then: Joi.optional() }
+                ],
+                otherwise: Joi.forbidden()
+            }),
+            // Optional transition; switch-type lights change at the fade's start or end
+            fadeMs: Joi.number().integer().min(0).max(3600000),
+            switchAt: Joi.string().valid('start', 'end')
+        }).custom(checkDateOrder).xor('time', 'cron').when(Joi.object({ action: 'toggle' }).unknown(), {
+            then: Joi.object().xor('room', 'lights')
         })
-    ).min(1).required()
+    ).when('type', {
+        is: 'away',
+        then: Joi.array().max(0).default([]),
+        otherwise: Joi.array().min(1).required()
+    })
+}).custom(checkDateOrder);
+
+// Rename or duplicate a scene or schedule
+const renameSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required()
+});
+
+// New order for the scene or schedule list
+const orderSchema = Joi.object({
+    names: Joi.array().items(Joi.string().min(1).max(50)).unique().required()
+});
+
+// Mark or unmark a scene or schedule as a favorite
+const favoriteSchema = Joi.object({
+    favorite: Joi.boolean().required()
 });
 
 // Configuration validation schema
@@ -63,7 +260,9 @@ const configSchema = Joi.object({
     scheduling: Joi.object({
         enabled: Joi.boolean().default(true),
         check_interval: Joi.number().min(10000).default(60000),
-        timezone: Joi.string().default('America/New_York')
+        timezone: timeZone.default('America/New_York'),
+        latitude: Joi.number().min(-90).max(90),
+        longitude: Joi.number().min(-180).max(180)
     }),
     backup: Joi.object({
         auto_backup: Joi.boolean().default(true),
@@ -73,7 +272,11 @@ const configSchema = Joi.object({
     advanced: Joi.object({
         debug_mode: Joi.boolean().default(false),
         log_level: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
-        websocket_timeout: Joi.number().min(5000).default(10000)
+        websocket_timeout: Joi.number().min(5000).default(10000),
+        // Gap between light commands sent to the coach, in ms (0 sends bursts unpaced)
+        command_interval: Joi.number().integer().min(0).max(1000).default(50),
+        // How often the runner re-reads every light's level, in ms (0 leaves it to switch reports)
+        status_poll_interval: Joi.number().integer().min(0).max(3600000).default(60000)
     })
 });
 
@@ -108,12 +311,16 @@ const validate = (schema, property = 'body') => {
 
 // Specific validation middlewares
 const validateScene = validate(sceneSchema);
+const validateSequence = validate(sequenceSchema);
 const validateSchedule = validate(scheduleSchema);
 const validateConfig = validate(configSchema);
+const validateRename = validate(renameSchema);
+const validateOrder = validate(orderSchema);
+const validateFavorite = validate(favoriteSchema);
 
 // Light command validation
 const validateLightCommand = (req, res, next) => {
-    const { lightIndex, brightness, action } = req.body;
+    const { lightIndex, brightness, action, fadeMs, switchAt } = req.body;
 
     const schema = Joi.object({
         lightIndex: Joi.number().integer().min(1).max(255).required(),
@@ -122,10 +329,12 @@ const validateLightCommand = (req, res, next) => {
             then: Joi.optional(),
             otherwise: Joi.required()
         }),
-        action: Joi.string().valid('on', 'off', 'toggle').optional()
+        action: Joi.string().valid('on', 'off', 'toggle').optional(),
+        fadeMs: Joi.number().integer().min(0).max(3600000).optional(),
+        switchAt: Joi.string().valid('start', 'end').optional()
     });
 
-    const { error, value } = schema.validate({ lightIndex, brightness, action });
+    const { error, value } = schema.validate({ lightIndex, brightness, action, fadeMs, switchAt });
 
     if (error) {
         return res.status(400).json({
@@ -208,14 +417,22 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
     validate,
     validateScene,
+    validateSequence,
     validateSchedule,
     validateConfig,
+    validateRename,
+    validateOrder,
+    validateFavorite,
     validateLightCommand,
     validateFileUpload,
     sanitizeInput,
     schemas: {
         sceneSchema,
+        sequenceSchema,
         scheduleSchema,
-        configSchema
+        configSchema,
+        renameSchema,
+        orderSchema,
+        favoriteSchema
     }
 };
\ No newline at end of file
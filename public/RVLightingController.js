@@ -6,21 +6,152 @@
  * @version 1.0.0
  * @description Compatible with Newmar 2024 Lighting System
  * @requires WebSocket connection (sendWSData function) and parserUtils
+ *
+ * In the browser the controller uses the global sendWSData, parserUtils,
+ * localStorage and DOM events. Other hosts (the server-side schedule runner)
+ * inject those through the constructor options instead.
  */
 
+// Schedule time helpers: a global from schedule-time.js in the browser, required under Node
+const scheduleTime = typeof ScheduleTime !== 'undefined' ? ScheduleTime : require('./schedule-time');
+
+// Schedule engine settings
+const CATCH_UP_POLICIES = ['skip', 'run_latest', 'run_all'];
+const SCHEDULE_ACTIONS = [
+    'load_scene', 'lights_off', 'lights_on', 'room_on', 'room_off', 'set_lights', 'toggle', 'play_sequence', 'stop_sequence'
+];
+const MISSED_EVENT_GRACE = 60000;               // Events later than this count as missed
+const MAX_CATCH_UP = 24 * 60 * 60 * 1000;       // Missed events older than a day are dropped
+const SCHEDULE_LOOKAHEAD = 8 * 24 * 60 * 60 * 1000;
+
+// Fades step dimmers at most this often
+const FADE_STEP_MS = 250;
+
+// Conflict analysis looks this far ahead by default
+const CONFLICT_LOOKAHEAD_DAYS = 7;
+
+// Scene comparison: how far a dimmer may be from its scene level and still match
+const SCENE_MATCH_TOLERANCE = 5;
+
+// Schedule execution history keeps this many runs
+const MAX_HISTORY = 500;
+
+// Undo keeps this many light-level snapshots
+const MAX_UNDO = 20;
+
+// Sequence playback limits: steps at least SEQUENCE_MIN_STEP_MS apart, loops at least
+// SEQUENCE_MIN_LOOP_MS long, and at most SEQUENCE_MAX_COMMANDS light commands a second
+// across every playing sequence (fades pace themselves, see FADE_STEP_MS)
+const SEQUENCE_MAX_STEPS = 100;
+const SEQUENCE_MIN_STEP_MS = 250;
+const SEQUENCE_MIN_LOOP_MS = 1000;
+const SEQUENCE_MAX_COMMANDS = 20;
+
+// Brightness readback when saving scenes: how long to wait for one light, and the
+// defaults for how many lights are asked at once and how long the whole readback may take
+const READBACK_TIMEOUT = 5000;
+const READBACK_CONCURRENCY = 4;
+const READBACK_DEADLINE = 10000;
+
+// Light commands go out at most one every COMMAND_INTERVAL ms by default; queued
+// user commands go before schedule traffic (schedule events, sleep timers, sequences)
+const COMMAND_INTERVAL = 50;
+const COMMAND_PRIORITIES = ['user', 'schedule'];
+
+// Background status polls ask every light for its level; the shortest allowed gap between polls
+const MIN_STATUS_POLL_INTERVAL = 5000;
+
+// Light overlay: what a user may change about how a light is shown
+const LIGHT_OVERLAY_FIELDS = ['alias', 'room', 'icon', 'order', 'hidden'];
+const MAX_ALIAS_LENGTH = 50;
+const MAX_ICON_LENGTH = 8;
+
+// Everything the controller keeps in storage
+const STORAGE_KEYS = [
+    'rv_lighting_data', 'rv_lighting_schedule_state', 'rv_lighting_history',
+    'rv_lighting_undo', 'rv_lighting_layers', 'rv_lighting_timers'
+];
+
+// Sleep timers
+const SLEEP_TIMER_TARGETS = ['light', 'room', 'all'];
+const MAX_SLEEP_TIMER = 24 * 60 * 60 * 1000;    // Also how overdue a restored timer may be
+
 class RVLightingController {
     /**
      * Create a new RV Lighting Controller
      * @constructor
+     * @param {Object} [options] - Host integration overrides
+     * @param {Function} [options.send] - Sends a raw message to the coach (defaults to sendWSData)
+     * @param {Object} [options.parserUtils] - HMSEVENT packing helpers (defaults to global parserUtils)
+     * @param {EventEmitter} [options.events] - Emitter of inbound KEY=VALUE messages (defaults to DOM events)
+     * @param {Storage|null} [options.storage] - Persistent storage (defaults to localStorage, null disables)
+     * @param {string} [options.syncUrl] - Endpoint that receives scenes and schedules after each save
+     * @param {Function} [options.onDataChange] - Called after scenes, schedules or light overlays change on the server
+     * @param {number} [options.scheduleCheckInterval] - Longest the schedule timer sleeps before re-checking the clock, in ms
+     * @param {string} [options.timezone] - IANA zone schedules run in (defaults to the host zone)
+     * @param {string} [options.fadeSwitchAt] - When switch-type lights change during a fade: 'start' or 'end' (default)
+     * @param {boolean} [options.restoreSchedules] - Start enabled schedules once initialize() finishes (default true)
+     * @param {boolean} [options.runSchedules] - Run schedules on this host (default true); when false, activating
+     *   a schedule only sets its `enabled` flag for another host (the server's schedule runner) to act on;
+     *   see setRunSchedules()
+     * @param {number} [options.readbackConcurrency] - Brightness requests in flight at once when saving a scene (default 4)
+     * @param {number} [options.readbackDeadline] - Longest a scene save waits for brightness readback, in ms (default 10000)
+     * @param {number} [options.commandInterval] - Gap between light commands, in ms (default 50; 0 sends bursts unpaced)
+     * @param {number} [options.statusPollInterval] - Re-read every light's level this often, in ms (default 0, off)
+     * @param {Function} [options.onLightUpdate] - Called with the light whenever the coach reports a new level for it
      */
-    constructor() {
+    constructor(options = {}) {
+        this.transport = options.send || null;
+        this.parser = options.parserUtils || null;
+        this.events = options.events || null;
+        this.storage = 'storage' in options ? options.storage :
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.syncUrl = options.syncUrl || null;
+        this.onDataChange = options.onDataChange || null;
+        this.scheduleCheckInterval = options.scheduleCheckInterval || 60000;
+        this.fadeSwitchAt = options.fadeSwitchAt || 'end';
+        this.restoreSchedules = options.restoreSchedules !== false;
+        this.runSchedules = options.runSchedules !== false;
+        this.readbackConcurrency = options.readbackConcurrency || READBACK_CONCURRENCY;
+        this.readbackDeadline = options.readbackDeadline || READBACK_DEADLINE;
+        this.commandInterval = options.commandInterval !== undefined ? options.commandInterval : COMMAND_INTERVAL;
+        this.onLightUpdate = options.onLightUpdate || null;
+
         this.lights = new Map();
         this.scenes = new Map();
+        this.sequences = new Map();
         this.schedules = new Map();
         this.activeSchedules = new Set();
-        this.scheduleIntervals = new Map();
+        this.scheduleTimer = null;
+        this.scheduleCheckpoints = new Map();
+        this.fades = new Map();
+        this.sleepTimers = new Map();
+        this.sleepTimeouts = new Map();
+        this.nextSleepTimerId = 1;
+        this.history = [];
+        this.scenePreview = null;
+        this.sceneLayers = [];      // [{ scene, priority }], lowest first
+        this.undoStack = [];        // Light-level snapshots, oldest first
+        this.redoStack = [];
+        this.bulkAction = false;
+        this.sequencePlayers = new Map();   // Playing sequence name → { step, timer }
+        this.sequenceCommands = [];         // When recent sequence light commands were sent
+        this.commandQueue = [];             // Light commands waiting to go out: [{ index, brightness, command, priority, runs }]
+        this.commandTimer = null;
+        this.commandPriority = COMMAND_PRIORITIES[0];
+        this.lastCommandAt = 0;
+        this.coalescedCommands = 0;
+        this.statusPollTimer = null;
+        this.statusHandlers = new Map();    // Light index → removes its brightness report handler
+        this.lightOverlay = new Map();      // Light identity key → { fingerprint, alias, room, icon, order, hidden }
+        this.serverData = null;             // Data as last loaded from or saved to syncUrl, to merge against
+        this.serverSync = Promise.resolve();
+        this.syncQueued = false;
+        this.location = null;
+        this.timezone = options.timezone || null;
         this.isInitialized = false;
         this.debug = false;
+        this.setStatusPollInterval(options.statusPollInterval);
 
         // Room definitions based on Newmar system
         this.rooms = {
@@ -59,12 +190,12 @@ class RVLightingController {
             this.log("Initializing RV Lighting Controller...");
 
             // Check dependencies
-            if (typeof sendWSData === 'undefined') {
+            if (!this.transport && typeof sendWSData === 'undefined') {
                 reject(new Error("sendWSData function not available"));
                 return;
             }
 
-            if (typeof parserUtils === 'undefined') {
+            if (!this.parser && typeof parserUtils === 'undefined') {
                 reject(new Error("parserUtils object not available"));
                 return;
             }
@@ -76,7 +207,7 @@ class RVLightingController {
                 const totalLights = parseInt(count);
 
                 if (totalLights === 0) {
-                    this.isInitialized = true;
+                    this.finishInitialize();
                     this.log("No lights found, but system initialized");
                     resolve(this.lights);
                     return;
@@ -105,7 +236,7 @@ class RVLightingController {
 
                             receivedCount++;
                             if (receivedCount === totalLights) {
-                                this.isInitialized = true;
+                                this.finishInitialize();
                                 this.log("Lighting controller initialized successfully");
                                 resolve(this.lights);
                             }
@@ -116,7 +247,7 @@ class RVLightingController {
 
                     // Set up individual light object listener
                     this.addEventHandler(`GET_LIGHT_OBJECT[${i}]`, lightObjectHandler, true);
-                    sendWSData(`GET_LIGHT_OBJECT[${i}]`);
+                    this.send(`GET_LIGHT_OBJECT[${i}]`);
                 }
             };
 
@@ -124,7 +255,7 @@ class RVLightingController {
             this.addEventHandler('GET_LIGHT_COUNT', lightCountHandler, true);
 
             // Request light count to start discovery
-            sendWSData("GET_LIGHT_COUNT");
+            this.send("GET_LIGHT_COUNT");
 
             // Timeout after 10 seconds
             setTimeout(() => {
@@ -136,28 +267,183 @@ class RVLightingController {
         });
     }
 
+    /**
+     * Mark discovery complete, check stored light references against the
+     * discovered lights and start the schedules that were enabled before
+     * the page reloaded or the connection dropped
+     * @private
+     */
+    finishInitialize() {
+        this.isInitialized = true;
+
+        this.addMissingFingerprints();
+        this.lights.forEach(light => this.applyLightOverlay(light));
+        const mismatches = this.findLightMismatches();
+        if (mismatches.length > 0) {
+            this.error(`${mismatches.length} stored lights no longer match discovered lights; remap them before using affected scenes`);
+        }
+
+        // Wall switches and the factory panel change lights without asking us
+        this.subscribeLightStatus();
+        this.armStatusPoll();
+
+        if (this.restoreSchedules) {
+            this.restoreActiveSchedules();
+        }
+        this.armSleepTimers();
+    }
+
+    /**
+     * Listen for brightness reports for every discovered light, whether
+     * we asked for them or the coach sent them on its own
+     * @private
+     */
+    subscribeLightStatus() {
+        // Refreshing lights runs discovery again; replace rather than stack handlers
+        this.statusHandlers.forEach(remove => remove());
+        this.statusHandlers.clear();
+
+        this.lights.forEach(light => {
+            const remove = this.addEventHandler(`NEWMAR_DIMMER_BRIGHTNESS[${light.index}]`, (e, value) => {
+                this.applyLightReport(light.index, value);
+            });
+            this.statusHandlers.set(light.index, remove);
+        });
+    }
+
+    /**
+     * Record a brightness the coach reported for a light. Reports for a
+     * light with a command still queued are ignored, since they predate it.
+     * @private
+     * @param {number} lightIndex - Light index
+     * @param {string|number} value - Reported level, e.g. "75%"
+     * @returns {number|null} The reported level, or null if unreadable
+     */
+    applyLightReport(lightIndex, value) {
+        const level = parseInt(String(value).replace("%", ""));
+        if (isNaN(level)) {
+            this.log(`Ignoring unreadable brightness "${value}" for light ${lightIndex}`);
+            return null;
+        }
+
+        const light = this.lights.get(lightIndex);
+        if (!light || this.commandQueue.some(item => item.index === lightIndex)) {
+            return level;
+        }
+
+        const brightness = Math.max(0, Math.min(100, level));
+        if (light.currentBrightness !== brightness) {
+            light.currentBrightness = brightness;
+            this.log(`${light.name} is now at ${brightness}%`);
+            if (this.onLightUpdate) {
+                this.onLightUpdate(light);
+            }
+        }
+        return level;
+    }
+
+    /**
+     * Change how often every light's level is re-read from the coach
+     * @param {number} intervalMs - Gap between polls in ms (0 turns polling off;
+     *   anything else is raised to at least MIN_STATUS_POLL_INTERVAL)
+     */
+    setStatusPollInterval(intervalMs) {
+        const interval = Number(intervalMs) || 0;
+        this.statusPollInterval = interval > 0 ? Math.max(MIN_STATUS_POLL_INTERVAL, interval) : 0;
+        if (this.isInitialized) {
+            this.armStatusPoll();
+        }
+    }
+
+    /**
+     * Schedule the next background status poll, replacing any pending one
+     * @private
+     */
+    armStatusPoll() {
+        clearTimeout(this.statusPollTimer);
+        this.statusPollTimer = null;
+        if (this.statusPollInterval > 0) {
+            this.statusPollTimer = setTimeout(() => this.pollLightStatus(), this.statusPollInterval);
+        }
+    }
+
+    /**
+     * Re-read every light's level, then schedule the next poll. Runs
+     * behind whatever the user is doing, so it finishes within one interval.
+     * @private
+     */
+    async pollLightStatus() {
+        const poll = this.statusPollTimer;
+        await this.readBrightness(Array.from(this.lights.values()), {
+            deadlineMs: Math.min(this.statusPollInterval, this.readbackDeadline)
+        });
+
+        // Stopped or re-armed while the poll was running
+        if (this.statusPollTimer === poll) {
+            this.armStatusPoll();
+        }
+    }
+
+    /**
+     * Send a raw message to the coach controller
+     * @private
+     * @param {string} data - Message to send
+     * @returns {boolean} Whether the message was handed to the socket
+     */
+    send(data) {
+        return this.transport ? this.transport(data) : sendWSData(data);
+    }
+
+    /**
+     * Get the HMSEVENT packing helpers
+     * @private
+     * @returns {Object} parserUtils implementation
+     */
+    getParser() {
+        return this.parser || parserUtils;
+    }
+
     /**
      * Add event handler with optional auto-cleanup
      * @private
+     * @returns {Function} Removes the handler, e.g. when a once handler's answer never comes
      */
     addEventHandler(eventName, handler, once = false) {
-        if (typeof $ !== 'undefined') {
-            const $handler = once ?
-                $('body').one(eventName, handler) :
+        let remove;
+        let registered;
+        if (this.events) {
+            // Injected emitter passes the message value as the only argument
+            registered = (detail) => handler(null, detail);
+            if (once) {
+                this.events.once(eventName, registered);
+            } else {
+                this.events.on(eventName, registered);
+            }
+            remove = () => this.events.removeListener(eventName, registered);
+        } else if (typeof $ !== 'undefined') {
+            registered = handler;
+            if (once) {
+                $('body').one(eventName, handler);
+            } else {
                 $('body').on(eventName, handler);
-
-            if (!once) {
-                this.eventHandlers.set(eventName, handler);
             }
+            remove = () => $('body').off(eventName, handler);
         } else {
             // Fallback for environments without jQuery
-            const customHandler = (e) => handler(e, e.detail);
-            document.body.addEventListener(eventName, customHandler, { once });
+            registered = (e) => handler(e, e.detail);
+            document.body.addEventListener(eventName, registered, { once });
+            remove = () => document.body.removeEventListener(eventName, registered);
+        }
 
-            if (!once) {
-                this.eventHandlers.set(eventName, customHandler);
-            }
+        if (!once) {
+            this.eventHandlers.set(eventName, registered);
         }
+        return () => {
+            remove();
+            if (this.eventHandlers.get(eventName) === registered) {
+                this.eventHandlers.delete(eventName);
+            }
+        };
     }
 
     /**
@@ -166,383 +452,3048 @@ class RVLightingController {
      */
     cleanup() {
         this.eventHandlers.forEach((handler, eventName) => {
-            if (typeof $ !== 'undefined') {
+            if (this.events) {
+                this.events.removeListener(eventName, handler);
+            } else if (typeof $ !== 'undefined') {
                 $('body').off(eventName, handler);
             } else {
                 document.body.removeEventListener(eventName, handler);
             }
         });
         this.eventHandlers.clear();
+        this.statusHandlers.clear();
 
-        // Clear schedule intervals
-        this.scheduleIntervals.forEach(intervalId => clearInterval(intervalId));
-        this.scheduleIntervals.clear();
+        // Stop the schedule timer and any running fades
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
         this.activeSchedules.clear();
+        this.fades.forEach(timer => clearTimeout(timer));
+        this.fades.clear();
+
+        this.stopAllSequences();
+
+        clearTimeout(this.statusPollTimer);
+        this.statusPollTimer = null;
+
+        // Queued commands were meant for this connection
+        clearTimeout(this.commandTimer);
+        this.commandTimer = null;
+        this.commandQueue = [];
+
+        // Sleep timers stay saved and are re-armed by the next initialize()
+        this.sleepTimeouts.forEach(timer => clearTimeout(timer));
+        this.sleepTimeouts.clear();
     }
 
     /**
-     * Get all available lights
+     * Get all available lights in the user's sort order, leaving out
+     * hidden ones (see setLightOverlay)
+     * @param {Object} [options]
+     * @param {boolean} [options.includeHidden] - Include hidden lights too
      * @returns {Array} Array of light objects
      */
-    getAllLights() {
-        return Array.from(this.lights.values());
+    getAllLights(options = {}) {
+        const position = light => (typeof light.order === 'number' ? light.order : Infinity);
+        return Array.from(this.lights.values())
+            .filter(light => options.includeHidden || !light.hidden)
+            .sort((a, b) => (position(a) === position(b) ? 0 : position(a) - position(b)));
     }
 
     /**
-     * Get lights by room
+     * Get lights by room, hidden ones included. Lights moved to another
+     * room by the user count as being there.
      * @param {number} roomId - Room ID (0-5)
      * @returns {Array} Array of lights in the specified room
      */
     getLightsByRoom(roomId) {
-        return this.getAllLights().filter(light => light.room === roomId);
+        return this.getAllLights({ includeHidden: true }).filter(light => this.getLightRoom(light) === roomId);
     }
 
     /**
-     * Set brightness for a specific light
-     * @param {number} lightIndex - Light index from discovery
-     * @param {number} brightness - Brightness level 0-100
+     * Room a light is shown and controlled in: the user's override, or
+     * the room the coach reports
+     * @param {Object} light - Discovered light
+     * @returns {number} Room ID (0-5)
+     */
+    getLightRoom(light) {
+        const entry = this.lightOverlay.get(this.getLightKey(this.getLightFingerprint(light)));
+        return entry && entry.room !== undefined ? entry.room : light.room;
+    }
+
+    /**
+     * The user's overlay for a light: what it is called, which room it
+     * is shown in, its icon, sort order and whether it is hidden
+     * @param {number} lightIndex - Light index
+     * @returns {Object|null} { fingerprint, alias, room, icon, order, hidden } (only the fields set),
+     *   or null if the light is unknown or has no overlay
+     */
+    getLightOverlay(lightIndex) {
+        const light = this.lights.get(lightIndex);
+        const entry = light && this.lightOverlay.get(this.getLightKey(this.getLightFingerprint(light)));
+        return entry ? { ...entry } : null;
+    }
+
+    /**
+     * Change how a light is shown. The overlay is keyed by the light's
+     * fingerprint, so it follows the light if discovery renumbers it.
+     * Hidden lights stay out of getAllLights() and the Lights tab but
+     * still follow scenes, schedules and room commands.
+     * @param {number} lightIndex - Light index
+     * @param {Object|null} changes - Any of { alias, room, icon, order, hidden }; a field set to
+     *   null or '' (or hidden: false) goes back to the coach's value. null clears the whole overlay.
      * @returns {boolean} Success status
      */
-    setLightBrightness(lightIndex, brightness) {
+    setLightOverlay(lightIndex, changes) {
         const light = this.lights.get(lightIndex);
         if (!light) {
             this.error(`Light ${lightIndex} not found`);
             return false;
         }
 
-        // Clamp brightness to 0-100
-        brightness = Math.max(0, Math.min(100, brightness));
+        const fingerprint = this.getLightFingerprint(light);
+        const key = this.getLightKey(fingerprint);
+        const entry = { ...this.lightOverlay.get(key), fingerprint };
 
-        try {
-            if (light.isDimmer) {
-                // For dimmers, use brightness command (scale to 0-200 for the system)
-                const scaledBrightness = Math.round((brightness / 100) * 200);
-                const command = `HMSEVENT=ENEWMARDIMMERPARSER_SET_BRIGHTNESS_NONSCALED|${parserUtils.packEvent(parserUtils.ESET_INSTANCE(lightIndex), parserUtils.ESET_BRIGHTNESS(scaledBrightness))}`;
-                sendWSData(command);
-            } else {
-                // For switches, use on/off command
-                const level = brightness > 0 ? 0x01 : 0x00;
-                const command = `HMSEVENT=ENEWMARDIMMERPARSER_TURN_ON_OFF|${parserUtils.packEvent(parserUtils.ESET_INSTANCE(lightIndex), parserUtils.ESET_LEVEL(level))}`;
-                sendWSData(command);
+        for (const [field, value] of Object.entries(changes || {})) {
+            if (!LIGHT_OVERLAY_FIELDS.includes(field)) {
+                this.error(`Unknown light setting "${field}"`);
+                return false;
+            }
+            if (value === null || value === '' || (field === 'hidden' && value === false)) {
+                delete entry[field];
+                continue;
             }
 
-            // Update local state
-            light.currentBrightness = brightness;
-            this.log(`Set ${light.name} to ${brightness}%`);
-            return true;
-        } catch (error) {
-            this.error(`Failed to set brightness for light ${lightIndex}:`, error);
-            return false;
+            const problem = this.validateOverlayField(field, value);
+            if (problem) {
+                this.error(problem);
+                return false;
+            }
+            entry[field] = typeof value === 'string' ? value.trim() : value;
         }
+
+        if (changes === null || !LIGHT_OVERLAY_FIELDS.some(field => field in entry)) {
+            this.lightOverlay.delete(key);
+        } else {
+            this.lightOverlay.set(key, entry);
+        }
+        this.applyLightOverlay(light);
+        this.saveToStorage();
+        return true;
     }
 
     /**
-     * Toggle light on/off
-     * @param {number} lightIndex - Light index
-     * @param {boolean|null} state - Desired state (null to toggle current)
-     * @returns {boolean} Success status
+     * Replace every light overlay, e.g. from saved or imported data
+     * @param {Array} entries - Overlay entries as returned by getLightOverlay
      */
-    toggleLight(lightIndex, state = null) {
-        const light = this.lights.get(lightIndex);
-        if (!light) return false;
+    restoreLightOverlay(entries) {
+        this.lightOverlay = new Map((entries || [])
+            .filter(entry => entry && entry.fingerprint)
+            .map(entry => [this.getLightKey(entry.fingerprint), entry]));
+        this.lights.forEach(light => this.applyLightOverlay(light));
+    }
 
-        if (state === null) {
-            // Toggle current state
-            state = light.currentBrightness === 0;
-        }
+    /**
+     * How to show a light or a stored reference to one (a scene light,
+     * say): the user's alias, room and icon when there is an overlay for
+     * it, otherwise the coach's name and room
+     * @param {Object} ref - Discovered light, or a reference with a fingerprint or name and room
+     * @returns {Object} { name, room, roomName, icon, hidden }
+     */
+    getLightDisplay(ref) {
+        const light = this.lights.get(ref.index);
+        const fingerprint = ref.fingerprint ||
+            (this.matchesLight(ref, light) ? this.getLightFingerprint(light) : null);
+        const entry = (fingerprint && this.lightOverlay.get(this.getLightKey(fingerprint))) || {};
+        const room = entry.room !== undefined ? entry.room : ref.room;
 
-        const brightness = state ? 100 : 0;
-        return this.setLightBrightness(lightIndex, brightness);
+        return {
+            name: entry.alias || ref.name,
+            room,
+            roomName: this.roomNames[room] || "Unknown",
+            icon: entry.icon || null,
+            hidden: !!entry.hidden
+        };
     }
 
     /**
-     * Save current light states as a scene
-     * @param {string} sceneName - Name for the scene
-     * @param {number|null} roomFilter - Room ID to filter by (null for all rooms)
-     * @returns {Promise<boolean>} Promise resolving to success status
+     * Copy a light's overlay onto the light object as displayName,
+     * displayRoom, displayRoomName, icon, order and hidden; name and
+     * room stay as the coach reports them
+     * @private
+     * @param {Object} light - Discovered light
      */
-    async saveScene(sceneName, roomFilter = null) {
-        if (!this.isInitialized) {
-            this.error("Lighting controller not initialized");
-            return false;
-        }
+    applyLightOverlay(light) {
+        const entry = this.lightOverlay.get(this.getLightKey(this.getLightFingerprint(light))) || {};
+        const display = this.getLightDisplay(light);
+
+        light.displayName = display.name;
+        light.displayRoom = display.room;
+        light.displayRoomName = display.roomName;
+        light.icon = display.icon;
+        light.order = entry.order !== undefined ? entry.order : null;
+        light.hidden = display.hidden;
+    }
 
-        if (!sceneName || typeof sceneName !== 'string') {
-            this.error("Invalid scene name provided");
-            return false;
+    /**
+     * Check one overlay value
+     * @private
+     * @param {string} field - Overlay field
+     * @param {*} value - Value to check
+     * @returns {string|null} What is wrong, or null if valid
+     */
+    validateOverlayField(field, value) {
+        switch (field) {
+            case 'alias':
+                return typeof value === 'string' && value.trim().length <= MAX_ALIAS_LENGTH ? null
+                    : `Light name must be ${MAX_ALIAS_LENGTH} characters or fewer`;
+            case 'room':
+                return Number.isInteger(value) && value in this.roomNames ? null : `Unknown room ${value}`;
+            case 'icon':
+                return typeof value === 'string' && value.trim().length <= MAX_ICON_LENGTH ? null
+                    : `Light icon must be ${MAX_ICON_LENGTH} characters or fewer`;
+            case 'order':
+                return Number.isInteger(value) ? null : 'Light sort order must be a whole number';
+            default:
+                return typeof value === 'boolean' ? null : 'Hidden must be true or false';
         }
+    }
 
-        try {
-            // Get current brightness levels for all lights
-            const lightStates = [];
+    /**
+     * Map key for a light fingerprint
+     * @private
+     * @param {Object} fingerprint - As returned by getLightFingerprint
+     * @returns {string}
+     */
+    getLightKey(fingerprint) {
+        return [fingerprint.instance, fingerprint.command, fingerprint.room, fingerprint.name].join('|');
+    }
 
-            for (const light of this.lights.values()) {
-                if (roomFilter !== null && light.room !== roomFilter) continue;
+    /**
+     * Identity of a light that survives re-discovery. Indices can shift
+     * after a firmware update or rewiring; what the coach calls a light,
+     * where it is and how it is driven don't.
+     * @param {Object} light - Discovered light
+     * @returns {Object} { name, instance, room, command }
+     */
+    getLightFingerprint(light) {
+        return { name: light.name, instance: light.instance, room: light.room, command: light.command };
+    }
 
-                // Request current brightness if possible
-                await this.getCurrentBrightness(light.index).catch(() => {
-                    // If we can't get current brightness, use stored value
-                    this.log(`Using stored brightness for ${light.name}`);
-                });
+    /**
+     * Whether a stored light reference still points at the same light.
+     * Compares the reference's fingerprint, or the name and room older
+     * scenes stored; references with neither match any light.
+     * @private
+     * @param {Object} ref - Scene light or schedule event light
+     * @param {Object} [light] - Discovered light at ref.index
+     * @returns {boolean}
+     */
+    matchesLight(ref, light) {
+        const identity = ref.fingerprint || { name: ref.name, room: ref.room };
+        return !!light && Object.keys(identity).every(key =>
+            identity[key] === undefined || String(identity[key]) === String(light[key]));
+    }
+
+    /**
+     * Every stored light reference: scene lights and the lights of
+     * set_lights/toggle schedule events
+     * @private
+     * @returns {Array} [{ ref, owner: { type: 'scene'|'schedule', name } }]
+     */
+    getLightReferences() {
+        const references = [];
+        this.scenes.forEach(scene => {
+            for (const ref of scene.lights) {
+                references.push({ ref, owner: { type: 'scene', name: scene.name } });
+            }
+        });
+        this.schedules.forEach(schedule => {
+            for (const event of schedule.events) {
+                for (const ref of event.lights || []) {
+                    references.push({ ref, owner: { type: 'schedule', name: schedule.name } });
+                }
+            }
+        });
+        return references;
+    }
 
-                lightStates.push({
-                    index: light.index,
-                    name: light.name,
-                    brightness: light.currentBrightness,
-                    room: light.room
+    /**
+     * Find stored light references that no longer point at the light they
+     * were made for, e.g. because discovery numbered the lights differently.
+     * Each mismatch suggests the discovered light that best fits its
+     * fingerprint: all of it, then name and room, then name alone.
+     * @returns {Array} [{ index, fingerprint, current, match, usedBy }]: the stored index
+     *   and identity, the fingerprint of the light now at that index (or null), the
+     *   suggested light index (or null when there is no single fit) and the
+     *   scenes and schedules that use it
+     */
+    findLightMismatches() {
+        const mismatches = new Map();
+
+        for (const { ref, owner } of this.getLightReferences()) {
+            const light = this.lights.get(ref.index);
+            if (this.matchesLight(ref, light)) continue;
+
+            const fingerprint = ref.fingerprint || { name: ref.name, room: ref.room };
+            const key = `${ref.index}:${JSON.stringify(fingerprint)}`;
+            if (!mismatches.has(key)) {
+                mismatches.set(key, {
+                    index: ref.index,
+                    fingerprint,
+                    current: light ? this.getLightFingerprint(light) : null,
+                    match: this.findMatchingLight(fingerprint),
+                    usedBy: []
                 });
             }
 
-            const scene = {
-                name: sceneName,
-                created: new Date().toISOString(),
-                room: roomFilter,
-                lights: lightStates
-            };
+            const usedBy = mismatches.get(key).usedBy;
+            if (!usedBy.some(other => other.type === owner.type && other.name === owner.name)) {
+                usedBy.push(owner);
+            }
+        }
 
-            this.scenes.set(sceneName, scene);
-            this.saveToStorage();
+        return Array.from(mismatches.values());
+    }
 
-            this.log(`Scene "${sceneName}" saved with ${lightStates.length} lights`);
-            return true;
-        } catch (error) {
-            this.error(`Failed to save scene "${sceneName}":`, error);
-            return false;
+    /**
+     * The one discovered light that best fits a stored fingerprint
+     * @private
+     * @param {Object} fingerprint - Stored identity
+     * @returns {number|null} Light index, or null if none or several fit equally
+     */
+    findMatchingLight(fingerprint) {
+        const keySets = [Object.keys(fingerprint), ['name', 'room'], ['name']];
+
+        for (const keys of keySets) {
+            const identity = {};
+            keys.forEach(key => { identity[key] = fingerprint[key]; });
+            if (identity.name === undefined) continue;
+
+            const candidates = this.getAllLights({ includeHidden: true }).filter(light => this.matchesLight({ fingerprint: identity }, light));
+            if (candidates.length === 1) return candidates[0].index;
+            if (candidates.length > 1) return null;
         }
+        return null;
     }
 
     /**
-     * Load and activate a scene
-     * @param {string} sceneName - Name of scene to load
-     * @returns {boolean} Success status
+     * Point mismatched light references at other lights. References that
+     * still match their light are left alone, so a mapping can't break
+     * scenes saved after the lights were renumbered.
+     * @param {Object|Map} mapping - Stored light index → discovered light index
+     * @returns {number} Number of references updated
      */
-    loadScene(sceneName) {
-        const scene = this.scenes.get(sceneName);
-        if (!scene) {
-            this.error(`Scene "${sceneName}" not found`);
-            return false;
-        }
+    remapLights(mapping) {
+        const targets = mapping instanceof Map ? mapping : new Map(Object.entries(mapping).map(([from, to]) => [Number(from), to]));
+        let count = 0;
 
-        this.log(`Loading scene: ${sceneName}`);
+        for (const { ref } of this.getLightReferences()) {
+            if (!targets.has(ref.index) || this.matchesLight(ref, this.lights.get(ref.index))) continue;
 
-        try {
-            // Apply each light setting
-            let successCount = 0;
-            for (const lightState of scene.lights) {
-                if (this.setLightBrightness(lightState.index, lightState.brightness)) {
-                    successCount++;
-                }
+            const light = this.lights.get(Number(targets.get(ref.index)));
+            if (!light) {
+                this.error(`Cannot remap light ${ref.index}: light ${targets.get(ref.index)} not found`);
+                continue;
             }
 
-            this.log(`Scene loaded: ${successCount}/${scene.lights.length} lights set successfully`);
-            return successCount > 0;
-        } catch (error) {
-            this.error(`Failed to load scene "${sceneName}":`, error);
-            return false;
+            ref.index = light.index;
+            ref.fingerprint = this.getLightFingerprint(light);
+            if (ref.name !== undefined) {
+                ref.name = light.name;
+                ref.room = light.room;
+            }
+            count++;
         }
-    }
 
-    /**
-     * Delete a scene
-     * @param {string} sceneName - Name of scene to delete
-     * @returns {boolean} Success status
-     */
-    deleteScene(sceneName) {
-        if (this.scenes.delete(sceneName)) {
+        if (count > 0) {
             this.saveToStorage();
-            this.log(`Scene "${sceneName}" deleted`);
-            return true;
         }
-        this.error(`Scene "${sceneName}" not found for deletion`);
-        return false;
+        this.log(`Remapped ${count} light references`);
+        return count;
     }
 
     /**
-     * Get all saved scenes
-     * @returns {Array} Array of scene objects
+     * Remap every mismatched light reference that has a single suggested match
+     * @returns {Object} { remapped: references updated, unresolved: mismatches left for the user }
      */
-    getAllScenes() {
-        return Array.from(this.scenes.values());
+    autoRemapLights() {
+        const mapping = new Map();
+        for (const mismatch of this.findLightMismatches()) {
+            if (mismatch.match !== null && !mapping.has(mismatch.index)) {
+                mapping.set(mismatch.index, mismatch.match);
+            }
+        }
+
+        const remapped = mapping.size > 0 ? this.remapLights(mapping) : 0;
+        return { remapped, unresolved: this.findLightMismatches() };
     }
 
     /**
-     * Create a lighting schedule
-     * @param {string} scheduleName - Name for the schedule
-     * @param {Array} events - Array of schedule event objects
-     * @returns {boolean} Success status
+     * Add fingerprints to stored light references that still match but
+     * predate fingerprints (older scenes only stored name and room)
+     * @private
+     * @returns {number} Number of references updated
      */
-    createSchedule(scheduleName, events) {
-        if (!scheduleName || !Array.isArray(events)) {
-            this.error("Invalid schedule parameters");
-            return false;
+    addMissingFingerprints() {
+        let count = 0;
+        for (const { ref } of this.getLightReferences()) {
+            const light = this.lights.get(ref.index);
+            if (!ref.fingerprint && ref.name !== undefined && this.matchesLight(ref, light)) {
+                ref.fingerprint = this.getLightFingerprint(light);
+                count++;
+            }
         }
 
-        try {
-            const schedule = {
-                name: scheduleName,
-                enabled: true,
-                created: new Date().toISOString(),
-                events: events.map(event => ({
-                    time: event.time,  // "HH:MM" format
-                    days: event.days || ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
-                    scene: event.scene,
-                    action: event.action || 'load_scene' // 'load_scene', 'lights_off', 'lights_on'
-                }))
-            };
-
-            this.schedules.set(scheduleName, schedule);
+        if (count > 0) {
             this.saveToStorage();
-
-            this.log(`Schedule "${scheduleName}" created with ${events.length} events`);
-            return true;
-        } catch (error) {
-            this.error(`Failed to create schedule "${scheduleName}":`, error);
-            return false;
         }
+        return count;
     }
 
     /**
-     * Activate a schedule
-     * @param {string} scheduleName - Name of schedule to activate
-     * @returns {boolean} Success status
+     * Set every light in a room to one level
+     * @param {number} roomId - Room ID (0-5)
+     * @param {number} brightness - Brightness level 0-100
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     * @returns {number} Number of lights set
      */
-    activateSchedule(scheduleName) {
-        const schedule = this.schedules.get(scheduleName);
-        if (!schedule) {
-            this.error(`Schedule "${scheduleName}" not found`);
-            return false;
-        }
+    setRoomBrightness(roomId, brightness, options = {}) {
+        this.recordSnapshot(`${this.roomNames[roomId] || `Room ${roomId}`} to ${brightness}%`);
 
-        if (this.activeSchedules.has(scheduleName)) {
-            this.log(`Schedule "${scheduleName}" already active`);
+        let count = 0;
+        for (const light of this.getLightsByRoom(roomId)) {
+            if (this.setLightBrightness(light.index, brightness, options)) {
+                count++;
+            }
+        }
+
+        this.log(`Set ${count} lights in ${this.roomNames[roomId] || `room ${roomId}`} to ${brightness}%`);
+        return count;
+    }
+
+    /**
+     * Set brightness for a specific light
+     * @param {number} lightIndex - Light index from discovery
+     * @param {number} brightness - Brightness level 0-100
+     * @param {Object} [options] - Transition options
+     * @param {number} [options.fadeMs] - Fade from the current level over this many ms
+     * @param {string} [options.switchAt] - Switch-type lights change at the fade's 'start' or 'end'
+     * @param {Map} [options.results] - Collects light index → success for every light set,
+     *   including through scenes and room or all-light actions
+     * @returns {boolean} Success status (for fades, whether the fade started)
+     */
+    setLightBrightness(lightIndex, brightness, options = {}) {
+        const light = this.lights.get(lightIndex);
+        let success = false;
+
+        if (!light) {
+            this.error(`Light ${lightIndex} not found`);
+        } else {
+            // Clamp brightness to 0-100
+            brightness = Math.max(0, Math.min(100, brightness));
+
+            // A new level always replaces a fade in progress
+            this.cancelFade(lightIndex);
+
+            success = options.fadeMs > 0
+                ? this.fadeLight(light, brightness, options.fadeMs, options.switchAt || this.fadeSwitchAt)
+                : this.applyBrightness(light, brightness);
+        }
+
+        if (options.results) {
+            options.results.set(lightIndex, success);
+        }
+        return success;
+    }
+
+    /**
+     * Fade a light from its current level to a target
+     * @private
+     * @param {Object} light - Light object
+     * @param {number} target - Brightness level 0-100
+     * @param {number} fadeMs - Fade duration in ms
+     * @param {string} switchAt - When a switch-type light changes: 'start' or 'end'
+     * @returns {boolean} Whether the fade started
+     */
+    fadeLight(light, target, fadeMs, switchAt) {
+        // Later steps keep the priority of whatever started the fade
+        const priority = this.commandPriority;
+
+        if (!light.isDimmer) {
+            if (switchAt === 'start') {
+                return this.applyBrightness(light, target);
+            }
+
+            this.fades.set(light.index, setTimeout(() => {
+                this.fades.delete(light.index);
+                this.withCommandPriority(priority, () => this.applyBrightness(light, target));
+            }, fadeMs));
+            return true;
+        }
+
+        const from = light.currentBrightness;
+        if (from === target) {
+            return this.applyBrightness(light, target);
+        }
+
+        // One step per brightness point, but no faster than FADE_STEP_MS
+        const steps = Math.max(1, Math.min(Math.floor(fadeMs / FADE_STEP_MS), Math.abs(target - from)));
+        const stepMs = fadeMs / steps;
+        let step = 0;
+
+        const nextStep = () => {
+            step++;
+            const level = step === steps ? target : Math.round(from + (target - from) * step / steps);
+
+            if (!this.withCommandPriority(priority, () => this.applyBrightness(light, level)) || step === steps) {
+                this.fades.delete(light.index);
+                return;
+            }
+            this.fades.set(light.index, setTimeout(nextStep, stepMs));
+        };
+
+        this.log(`Fading ${light.name} from ${from}% to ${target}% over ${fadeMs}ms`);
+        this.fades.set(light.index, setTimeout(nextStep, stepMs));
+        return true;
+    }
+
+    /**
+     * Stop a fade in progress, leaving the light at its current step
+     * @param {number} lightIndex - Light index
+     */
+    cancelFade(lightIndex) {
+        if (this.fades.has(lightIndex)) {
+            clearTimeout(this.fades.get(lightIndex));
+            this.fades.delete(lightIndex);
+        }
+    }
+
+    /**
+     * Send a brightness level to the coach and record it
+     * @private
+     * @param {Object} light - Light object
+     * @param {number} brightness - Brightness level 0-100
+     * @returns {boolean} Success status
+     */
+    applyBrightness(light, brightness) {
+        const lightIndex = light.index;
+
+        try {
+            const parserUtils = this.getParser();
+            let command;
+            if (light.isDimmer) {
+                // For dimmers, use brightness command (scale to 0-200 for the system)
+                const scaledBrightness = Math.round((brightness / 100) * 200);
+                command = `HMSEVENT=ENEWMARDIMMERPARSER_SET_BRIGHTNESS_NONSCALED|${parserUtils.packEvent(parserUtils.ESET_INSTANCE(lightIndex), parserUtils.ESET_BRIGHTNESS(scaledBrightness))}`;
+            } else {
+                // For switches, use on/off command
+                const level = brightness > 0 ? 0x01 : 0x00;
+                command = `HMSEVENT=ENEWMARDIMMERPARSER_TURN_ON_OFF|${parserUtils.packEvent(parserUtils.ESET_INSTANCE(lightIndex), parserUtils.ESET_LEVEL(level))}`;
+            }
+
+            return this.queueCommand(light, brightness, command);
+        } catch (error) {
+            this.error(`Failed to set brightness for light ${lightIndex}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a light command now, or queue it behind others so commands go
+     * out at most one every commandInterval ms. A queued command for a
+     * light that already has one waiting replaces it, and user commands
+     * go ahead of schedule traffic (see withCommandPriority).
+     * @private
+     * @param {Object} light - Light object
+     * @param {number} brightness - Brightness level 0-100
+     * @param {string} command - HMSEVENT message
+     * @returns {boolean} Whether the command was sent or queued
+     */
+    queueCommand(light, brightness, command) {
+        const priority = this.commandPriority;
+        const waiting = this.commandQueue.find(item => item.index === light.index);
+
+        if (waiting) {
+            waiting.brightness = brightness;
+            waiting.command = command;
+            if (priority === 'user') waiting.priority = 'user';
+            this.coalescedCommands++;
+        } else if (this.commandQueue.length === 0 && Date.now() - this.lastCommandAt >= this.commandInterval) {
+            return this.sendCommand(light, brightness, command);
+        } else {
+            // runs: history entries that counted this command as done (see recordScheduleRun)
+            this.commandQueue.push({ index: light.index, brightness, command, priority, runs: [] });
+        }
+
+        // Queued levels count as set, so fades and the UI carry on from them
+        light.currentBrightness = brightness;
+        this.armCommandTimer();
+        return true;
+    }
+
+    /**
+     * Hand a light command to the socket and record the new level
+     * @private
+     * @param {Object} light - Light object
+     * @param {number} brightness - Brightness level 0-100
+     * @param {string} command - HMSEVENT message
+     * @returns {boolean} Whether it was sent
+     */
+    sendCommand(light, brightness, command) {
+        this.lastCommandAt = Date.now();
+
+        // The socket was closed; the coach never saw the command
+        if (this.send(command) === false) {
+            this.error(`Failed to set brightness for light ${light.index}: not connected`);
+            return false;
+        }
+
+        light.currentBrightness = brightness;
+        this.log(`Set ${light.name} to ${brightness}%`);
+        return true;
+    }
+
+    /**
+     * Wait for the next free send slot, then send the most urgent queued command
+     * @private
+     */
+    armCommandTimer() {
+        if (this.commandTimer || this.commandQueue.length === 0) return;
+
+        const wait = Math.max(0, this.lastCommandAt + this.commandInterval - Date.now());
+        this.commandTimer = setTimeout(() => {
+            this.commandTimer = null;
+
+            const next = this.commandQueue.findIndex(item => item.priority === 'user');
+            const [item] = this.commandQueue.splice(Math.max(next, 0), 1);
+            const light = this.lights.get(item.index);
+
+            if (!light) {
+                // The light went away while its command waited
+                this.error(`Dropping queued command for missing light ${item.index}`);
+                this.failQueuedCommands([item]);
+            } else if (!this.sendCommand(light, item.brightness, item.command)) {
+                const dropped = [item, ...this.commandQueue];
+                this.error(`Dropping ${dropped.length} queued light commands`);
+                this.failQueuedCommands(dropped);
+                this.commandQueue = [];
+            }
+            this.armCommandTimer();
+        }, wait);
+    }
+
+    /**
+     * Mark lights whose queued commands never went out as failed in the
+     * schedule runs that already recorded them as set
+     * @private
+     * @param {Array<Object>} items - Command queue entries that were dropped
+     */
+    failQueuedCommands(items) {
+        let changed = false;
+        for (const item of items) {
+            for (const run of item.runs) {
+                const target = run.targets.find(entry => entry.index === item.index && entry.ok);
+                if (!target) continue;
+
+                target.ok = false;
+                run.succeeded--;
+                run.failed++;
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.saveHistory();
+        }
+    }
+
+    /**
+     * Run an action with its light commands at a given priority
+     * @private
+     * @param {string} priority - 'user' or 'schedule'
+     * @param {Function} action - Sends the commands
+     * @returns {*} What the action returned
+     */
+    withCommandPriority(priority, action) {
+        const previous = this.commandPriority;
+        this.commandPriority = priority;
+        try {
+            return action();
+        } finally {
+            this.commandPriority = previous;
+        }
+    }
+
+    /**
+     * Light commands waiting to be sent, for diagnostics
+     * @returns {Object} { depth, user, schedule, coalesced, intervalMs }: coalesced counts
+     *   commands replaced by a newer level for the same light before they went out
+     */
+    getCommandQueueStatus() {
+        const user = this.commandQueue.filter(item => item.priority === 'user').length;
+        return {
+            depth: this.commandQueue.length,
+            user,
+            schedule: this.commandQueue.length - user,
+            coalesced: this.coalescedCommands,
+            intervalMs: this.commandInterval
+        };
+    }
+
+    /**
+     * Toggle light on/off
+     * @param {number} lightIndex - Light index
+     * @param {boolean|null} state - Desired state (null to toggle current)
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     * @param {number} [options.brightness] - Level to turn on to (default 100)
+     * @returns {boolean} Success status
+     */
+    toggleLight(lightIndex, state = null, options = {}) {
+        const light = this.lights.get(lightIndex);
+        if (!light) return false;
+
+        if (state === null) {
+            // Toggle current state
+            state = light.currentBrightness === 0;
+        }
+
+        const onLevel = options.brightness !== undefined ? options.brightness : 100;
+        return this.setLightBrightness(lightIndex, state ? onLevel : 0, options);
+    }
+
+    /**
+     * Save current light states as a scene. Levels are read back from the
+     * coach first; lights that don't answer in time are saved at their
+     * last known level.
+     * @param {string} sceneName - Name for the scene
+     * @param {number|null} roomFilter - Room ID to filter by (null for all rooms)
+     * @param {Object} [options] - Readback limits (see readBrightness)
+     * @returns {Promise<Object|false>} { scene, lights, fallbacks } where fallbacks lists the
+     *   lights saved at their cached level (see readBrightness), or false on failure
+     */
+    async saveScene(sceneName, roomFilter = null, options = {}) {
+        if (!this.isInitialized) {
+            this.error("Lighting controller not initialized");
+            return false;
+        }
+
+        if (!sceneName || typeof sceneName !== 'string') {
+            this.error("Invalid scene name provided");
+            return false;
+        }
+
+        try {
+            const lights = Array.from(this.lights.values())
+                .filter(light => roomFilter === null || this.getLightRoom(light) === roomFilter);
+            const fallbacks = await this.readBrightness(lights, options);
+
+            const lightStates = lights.map(light => ({
+                index: light.index,
+                name: light.name,
+                brightness: light.currentBrightness,
+                room: light.room,
+                fingerprint: this.getLightFingerprint(light)
+            }));
+
+            const scene = {
+                name: sceneName,
+                created: new Date().toISOString(),
+                room: roomFilter,
+                lights: lightStates
+            };
+
+            this.scenes.set(sceneName, scene);
+            this.saveToStorage();
+
+            this.log(`Scene "${sceneName}" saved with ${lightStates.length} lights (${fallbacks.length} from cached levels)`);
+            return { scene: sceneName, lights: lightStates.length, fallbacks };
+        } catch (error) {
+            this.error(`Failed to save scene "${sceneName}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Ask the coach for several lights' current levels, a few at a time,
+     * giving up on the rest once the deadline passes
+     * @param {Array<Object>} lights - Light objects to read
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Requests in flight at once (default readbackConcurrency)
+     * @param {number} [options.deadlineMs] - Time allowed for the whole readback (default readbackDeadline)
+     * @returns {Promise<Array>} Lights left at their cached level, in the order given:
+     *   [{ index, name, brightness, reason }] where reason is 'timeout' (no answer in time),
+     *   'deadline' (not asked before the deadline) or 'error' (not sent or unreadable)
+     */
+    async readBrightness(lights, options = {}) {
+        const concurrency = Math.max(1, options.concurrency || this.readbackConcurrency);
+        const deadline = Date.now() + (options.deadlineMs || this.readbackDeadline);
+        const queue = [...lights];
+        const reasons = new Map();
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const light = queue.shift();
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    reasons.set(light.index, 'deadline');
+                    continue;
+                }
+
+                try {
+                    await this.getCurrentBrightness(light.index, Math.min(READBACK_TIMEOUT, remaining));
+                } catch (error) {
+                    reasons.set(light.index, error.message === "Brightness request timeout" ? 'timeout' : 'error');
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, lights.length) }, worker));
+
+        const fallbacks = lights.filter(light => reasons.has(light.index)).map(light => ({
+            index: light.index,
+            name: this.getLightDisplay(light).name,
+            brightness: light.currentBrightness,
+            reason: reasons.get(light.index)
+        }));
+        if (fallbacks.length > 0) {
+            this.log(`Using stored brightness for ${fallbacks.map(light => light.name).join(', ')}`);
+        }
+        return fallbacks;
+    }
+
+    /**
+     * Load and activate a scene
+     * @param {string} sceneName - Name of scene to load
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     * @returns {boolean} Success status
+     */
+    loadScene(sceneName, options = {}) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene) {
+            this.error(`Scene "${sceneName}" not found`);
+            return false;
+        }
+
+        this.log(`Loading scene: ${sceneName}`);
+        this.recordSnapshot(`Load scene "${sceneName}"`);
+
+        // A whole scene replaces whatever layers were showing
+        if (this.sceneLayers.length > 0) {
+            this.sceneLayers = [];
+            this.saveSceneLayers();
+        }
+
+        try {
+            // Apply each light setting
+            // Skip lights that were renumbered since the scene was saved rather than drive the wrong ones
+            let successCount = 0;
+            for (const lightState of scene.lights) {
+                if (!this.matchesLight(lightState, this.lights.get(lightState.index))) {
+                    this.error(`Skipping "${lightState.name}" in scene "${sceneName}": light ${lightState.index} has changed`);
+                    continue;
+                }
+                if (this.setLightBrightness(lightState.index, lightState.brightness, options)) {
+                    successCount++;
+                }
+            }
+
+            this.log(`Scene loaded: ${successCount}/${scene.lights.length} lights set successfully`);
+            return successCount > 0;
+        } catch (error) {
+            this.error(`Failed to load scene "${sceneName}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a scene
+     * @param {string} sceneName - Name of scene to delete
+     * @returns {boolean} Success status
+     */
+    deleteScene(sceneName) {
+        if (this.scenes.delete(sceneName)) {
+            this.saveToStorage();
+            if (this.sceneLayers.some(layer => layer.scene === sceneName)) {
+                this.sceneLayers = this.sceneLayers.filter(layer => layer.scene !== sceneName);
+                this.saveSceneLayers();
+            }
+            this.log(`Scene "${sceneName}" deleted`);
             return true;
         }
+        this.error(`Scene "${sceneName}" not found for deletion`);
+        return false;
+    }
+
+    /**
+     * Get all saved scenes
+     * @returns {Array} Array of scene objects
+     */
+    getAllScenes() {
+        return Array.from(this.scenes.values());
+    }
+
+    /**
+     * Rename a scene, keeping its place in the list. Schedule events,
+     * sequence steps and scene layers that use the old name follow it.
+     * @param {string} sceneName - Current name
+     * @param {string} newName - New name (1-50 characters, not already used)
+     * @returns {boolean} Success status
+     */
+    renameScene(sceneName, newName) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene || !this.isFreeName(this.scenes, newName, 'Scene')) {
+            if (!scene) this.error(`Scene "${sceneName}" not found`);
+            return false;
+        }
+
+        scene.name = newName;
+        this.scenes = this.renameEntry(this.scenes, sceneName, newName);
+
+        for (const schedule of this.schedules.values()) {
+            for (const event of schedule.events || []) {
+                if (event.scene === sceneName) event.scene = newName;
+            }
+        }
+        for (const sequence of this.sequences.values()) {
+            for (const step of sequence.steps) {
+                if (step.scene === sceneName) step.scene = newName;
+            }
+        }
+        if (this.sceneLayers.some(layer => layer.scene === sceneName)) {
+            this.sceneLayers.forEach(layer => {
+                if (layer.scene === sceneName) layer.scene = newName;
+            });
+            this.saveSceneLayers();
+        }
+
+        this.saveToStorage();
+        this.log(`Scene "${sceneName}" renamed to "${newName}"`);
+        return true;
+    }
+
+    /**
+     * Copy a scene under a new name, placed just after the original
+     * @param {string} sceneName - Scene to copy
+     * @param {string} newName - Name for the copy (1-50 characters, not already used)
+     * @returns {boolean} Success status
+     */
+    duplicateScene(sceneName, newName) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene || !this.isFreeName(this.scenes, newName, 'Scene')) {
+            if (!scene) this.error(`Scene "${sceneName}" not found`);
+            return false;
+        }
+
+        const copy = { ...JSON.parse(JSON.stringify(scene)), name: newName, created: new Date().toISOString() };
+        delete copy.favorite;
+        this.scenes = this.insertEntryAfter(this.scenes, sceneName, newName, copy);
+
+        this.saveToStorage();
+        this.log(`Scene "${sceneName}" duplicated as "${newName}"`);
+        return true;
+    }
+
+    /**
+     * Put scenes in a new order. Scenes left out keep their relative
+     * order after the listed ones.
+     * @param {Array<string>} names - Scene names in the order wanted
+     * @returns {boolean} Success status (false for unknown or repeated names)
+     */
+    reorderScenes(names) {
+        const scenes = this.reorderEntries(this.scenes, names, 'scene');
+        if (!scenes) return false;
+
+        this.scenes = scenes;
+        this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Mark or unmark a scene as a favorite
+     * @param {string} sceneName - Name of scene
+     * @param {boolean} [favorite] - Whether it is a favorite (default true)
+     * @returns {boolean} Success status
+     */
+    setSceneFavorite(sceneName, favorite = true) {
+        return this.setFavorite(this.scenes.get(sceneName), favorite, `Scene "${sceneName}"`);
+    }
+
+    /**
+     * Check that a new scene or schedule name is valid and unused
+     * @private
+     * @param {Map} map - Scenes or schedules
+     * @param {string} name - Proposed name
+     * @param {string} kind - 'Scene' or 'Schedule', for messages
+     * @returns {boolean} Whether the name can be used
+     */
+    isFreeName(map, name, kind) {
+        if (typeof name !== 'string' || name.length < 1 || name.length > 50) {
+            this.error(`${kind} name must be 1-50 characters`);
+            return false;
+        }
+        if (map.has(name)) {
+            this.error(`${kind} "${name}" already exists`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Copy of a map with one key renamed in place
+     * @private
+     * @param {Map} map - Map to copy
+     * @param {string} oldKey - Key to rename
+     * @param {string} newKey - Its new name
+     * @returns {Map} Renamed copy
+     */
+    renameEntry(map, oldKey, newKey) {
+        return new Map(Array.from(map, ([key, value]) => [key === oldKey ? newKey : key, value]));
+    }
+
+    /**
+     * Copy of a map with a new entry straight after an existing one
+     * @private
+     * @param {Map} map - Map to copy
+     * @param {string} afterKey - Existing key
+     * @param {string} key - New key
+     * @param {*} value - New value
+     * @returns {Map} Copy with the entry added
+     */
+    insertEntryAfter(map, afterKey, key, value) {
+        const entries = Array.from(map);
+        const position = entries.findIndex(([existing]) => existing === afterKey) + 1;
+        entries.splice(position, 0, [key, value]);
+        return new Map(entries);
+    }
+
+    /**
+     * Copy of a map with the named entries first, in the given order
+     * @private
+     * @param {Map} map - Scenes or schedules
+     * @param {Array<string>} names - Keys in the order wanted
+     * @param {string} kind - 'scene' or 'schedule', for messages
+     * @returns {Map|null} Reordered map, or null if a name is unknown or repeated
+     */
+    reorderEntries(map, names, kind) {
+        if (!Array.isArray(names) || new Set(names).size !== names.length) {
+            this.error(`Invalid ${kind} order`);
+            return null;
+        }
+        const unknown = names.find(name => !map.has(name));
+        if (unknown !== undefined) {
+            this.error(`Cannot reorder: ${kind} "${unknown}" not found`);
+            return null;
+        }
+
+        const rest = Array.from(map.keys()).filter(key => !names.includes(key));
+        return new Map([...names, ...rest].map(key => [key, map.get(key)]));
+    }
+
+    /**
+     * Set or clear the `favorite` flag on a scene or schedule and save
+     * @private
+     * @param {Object|undefined} item - Scene or schedule
+     * @param {boolean} favorite - New flag
+     * @param {string} label - What the item is, for messages
+     * @returns {boolean} Success status
+     */
+    setFavorite(item, favorite, label) {
+        if (!item) {
+            this.error(`${label} not found`);
+            return false;
+        }
+
+        if (favorite) {
+            item.favorite = true;
+        } else {
+            delete item.favorite;
+        }
+        this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Check a scene against the same rules as the server's sceneSchema
+     * @param {Object} scene - Scene object
+     * @returns {string|null} What is wrong with the scene, or null if it is valid
+     */
+    validateScene(scene) {
+        const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        if (!scene || typeof scene.name !== 'string' || scene.name.length < 1 || scene.name.length > 50) {
+            return "Scene name must be 1-50 characters";
+        }
+        if (scene.room !== undefined && scene.room !== null && !isInteger(scene.room, 0, 5)) {
+            return `Invalid scene room ${scene.room}`;
+        }
+        if (!Array.isArray(scene.lights) || scene.lights.length === 0) {
+            return "A scene needs at least one light";
+        }
+
+        const seen = new Set();
+        for (const light of scene.lights) {
+            if (!light || !isInteger(light.index, 1, Infinity)) {
+                return `Invalid light index ${light && light.index}`;
+            }
+            if (seen.has(light.index)) {
+                return `Light ${light.index} appears more than once`;
+            }
+            seen.add(light.index);
+
+            if (typeof light.name !== 'string' || !light.name) {
+                return `Light ${light.index} has no name`;
+            }
+            if (!isInteger(light.brightness, 0, 100)) {
+                return `Brightness for ${light.name} must be a whole number from 0 to 100`;
+            }
+            if (!isInteger(light.room, 0, 5)) {
+                return `Invalid room for ${light.name}`;
+            }
+            if (light.fingerprint !== undefined && (!light.fingerprint || typeof light.fingerprint.name !== 'string')) {
+                return `Invalid fingerprint for ${light.name}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace a scene's lights without touching the lights themselves
+     * @param {string} sceneName - Name of scene to edit
+     * @param {Array} lights - New light list: [{ index, brightness }]. Names, rooms and
+     *   fingerprints come from discovered lights, or the scene's existing entry for the light.
+     * @returns {boolean} Success status (false if the scene is missing or the result is invalid)
+     */
+    updateScene(sceneName, lights) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene) {
+            this.error(`Scene "${sceneName}" not found`);
+            return false;
+        }
+
+        if (!Array.isArray(lights)) {
+            this.error("Scene lights must be an array");
+            return false;
+        }
+
+        const existing = new Map(scene.lights.map(light => [light.index, light]));
+        const updated = {
+            ...scene,
+            lights: lights.map(({ index, brightness }) => {
+                const light = this.lights.get(index);
+                if (!light) {
+                    const { name, room, fingerprint } = existing.get(index) || {};
+                    return { index, name, brightness, room, fingerprint };
+                }
+                return { index, name: light.name, brightness, room: light.room, fingerprint: this.getLightFingerprint(light) };
+            })
+        };
+
+        const problem = this.validateScene(updated);
+        if (problem) {
+            this.error(`Cannot update scene "${sceneName}": ${problem}`);
+            return false;
+        }
+
+        this.scenes.set(sceneName, updated);
+        this.saveToStorage();
+
+        this.log(`Scene "${sceneName}" updated with ${updated.lights.length} lights`);
+        return true;
+    }
+
+    /**
+     * Add a light to a scene, or change its level there. Sends nothing.
+     * @param {string} sceneName - Name of scene to edit
+     * @param {number} lightIndex - Light index
+     * @param {number} brightness - Stored level 0-100
+     * @returns {boolean} Success status
+     */
+    setSceneLight(sceneName, lightIndex, brightness) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene) {
+            this.error(`Scene "${sceneName}" not found`);
+            return false;
+        }
+
+        const lights = scene.lights.map(({ index, brightness }) => ({ index, brightness }));
+        const entry = lights.find(light => light.index === lightIndex);
+        if (entry) {
+            entry.brightness = brightness;
+        } else {
+            lights.push({ index: lightIndex, brightness });
+        }
+        return this.updateScene(sceneName, lights);
+    }
+
+    /**
+     * Remove a light from a scene. Sends nothing; a scene keeps at least one light.
+     * @param {string} sceneName - Name of scene to edit
+     * @param {number} lightIndex - Light index
+     * @returns {boolean} Success status
+     */
+    removeSceneLight(sceneName, lightIndex) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene || !scene.lights.some(light => light.index === lightIndex)) {
+            this.error(`Light ${lightIndex} is not in scene "${sceneName}"`);
+            return false;
+        }
+
+        return this.updateScene(sceneName, scene.lights
+            .filter(light => light.index !== lightIndex)
+            .map(({ index, brightness }) => ({ index, brightness })));
+    }
+
+    /**
+     * Try out scene levels on the lights without saving them. The levels
+     * from before the first preview are kept so endScenePreview() can put
+     * them back.
+     * @param {Array} lights - Levels to show: [{ index, brightness }]
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     * @returns {number} Number of lights set
+     */
+    previewScene(lights, options = {}) {
+        if (!this.scenePreview) {
+            this.scenePreview = new Map();
+        }
+
+        let count = 0;
+        for (const { index, brightness } of lights) {
+            const light = this.lights.get(index);
+            if (light && !this.scenePreview.has(index)) {
+                this.scenePreview.set(index, light.currentBrightness);
+            }
+            if (this.setLightBrightness(index, brightness, options)) {
+                count++;
+            }
+        }
+
+        this.log(`Previewing ${count}/${lights.length} scene lights`);
+        return count;
+    }
+
+    /**
+     * Finish a scene preview
+     * @param {boolean} [restore] - Put the previewed lights back to their earlier levels (default true)
+     * @returns {number} Number of lights restored
+     */
+    endScenePreview(restore = true) {
+        const previous = this.scenePreview;
+        this.scenePreview = null;
+        if (!previous || !restore) return 0;
+
+        let count = 0;
+        previous.forEach((brightness, index) => {
+            if (this.setLightBrightness(index, brightness)) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Compare a scene with the lights' current levels
+     * @param {string} sceneName - Name of scene to compare
+     * @param {Object} [options] - Comparison options
+     * @param {number} [options.tolerance] - Largest dimmer level difference that still matches
+     *   (default SCENE_MATCH_TOLERANCE); switch-type lights only need the same on/off state
+     * @returns {Object|null} { scene, tolerance, matches, differences }, or null if the scene
+     *   is missing. Each difference is { index, name, room, expected, actual, delta, reason }
+     *   where name is the user's alias if set, and reason is 'level', or 'missing' for a light
+     *   that is gone or was renumbered.
+     */
+    compareScene(sceneName, options = {}) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene) {
+            this.error(`Scene "${sceneName}" not found`);
+            return null;
+        }
+
+        const tolerance = options.tolerance !== undefined ? options.tolerance : SCENE_MATCH_TOLERANCE;
+        const differences = [];
+
+        for (const ref of scene.lights) {
+            const light = this.lights.get(ref.index);
+            if (!this.matchesLight(ref, light)) {
+                differences.push({
+                    index: ref.index, name: this.getLightDisplay(ref).name, room: ref.room,
+                    expected: ref.brightness, actual: null, delta: null, reason: 'missing'
+                });
+                continue;
+            }
+
+            const delta = light.currentBrightness - ref.brightness;
+            const same = light.isDimmer
+                ? Math.abs(delta) <= tolerance
+                : (light.currentBrightness > 0) === (ref.brightness > 0);
+            if (!same) {
+                differences.push({
+                    index: light.index, name: this.getLightDisplay(light).name, room: light.room,
+                    expected: ref.brightness, actual: light.currentBrightness, delta, reason: 'level'
+                });
+            }
+        }
+
+        return { scene: sceneName, tolerance, matches: differences.length === 0, differences };
+    }
+
+    /**
+     * The saved scene the lights are showing right now. When several
+     * match, e.g. a room scene inside a whole-coach one, the scene
+     * covering the most lights wins.
+     * @param {Object} [options] - As for compareScene
+     * @returns {string|null} Scene name, or null if no scene matches
+     */
+    getActiveScene(options = {}) {
+        let active = null;
+        for (const scene of this.scenes.values()) {
+            if (this.compareScene(scene.name, options).matches &&
+                (!active || scene.lights.length > active.lights.length)) {
+                active = scene;
+            }
+        }
+        return active ? active.name : null;
+    }
+
+    /**
+     * Apply a scene as a layer over the scenes already layered, e.g. a
+     * living room "Movie night" over an "Evening base" for the whole coach.
+     * Each light shows the highest-priority layer that sets it; among equal
+     * priorities the layer applied last wins. Applying a layer again moves
+     * it to the top of its priority. Only the lights the layer wins are sent.
+     * @param {string} sceneName - Name of scene to layer
+     * @param {Object} [options] - Layer and transition options (see setLightBrightness)
+     * @param {number} [options.priority] - Whole-number priority (default 0)
+     * @returns {boolean} Success status
+     */
+    applySceneLayer(sceneName, options = {}) {
+        const scene = this.scenes.get(sceneName);
+        if (!scene) {
+            this.error(`Scene "${sceneName}" not found`);
+            return false;
+        }
+
+        const priority = options.priority !== undefined ? options.priority : 0;
+        if (!Number.isInteger(priority)) {
+            this.error(`Invalid layer priority "${priority}"`);
+            return false;
+        }
+        this.recordSnapshot(`Layer scene "${sceneName}"`);
+
+        // The stack stays sorted, so this is just past every layer it outranks or ties
+        this.sceneLayers = this.sceneLayers.filter(layer => layer.scene !== sceneName);
+        const position = this.sceneLayers.filter(layer => layer.priority <= priority).length;
+        this.sceneLayers.splice(position, 0, { scene: sceneName, priority });
+        this.saveSceneLayers();
+
+        const levels = this.getLayeredLevels();
+        let count = 0;
+        levels.forEach((level, index) => {
+            if (level.scene === sceneName && this.setLightBrightness(index, level.brightness, options)) {
+                count++;
+            }
+        });
+
+        this.log(`Layered scene "${sceneName}" at priority ${priority}: ${count} lights set`);
+        return true;
+    }
+
+    /**
+     * Remove a scene layer. Lights it was showing go back to what the
+     * next layer down sets; lights no other layer sets are left as they are.
+     * @param {string} sceneName - Name of the layered scene
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     * @returns {boolean} Success status (false if the scene isn't layered)
+     */
+    removeSceneLayer(sceneName, options = {}) {
+        if (!this.sceneLayers.some(layer => layer.scene === sceneName)) {
+            this.error(`Scene "${sceneName}" is not layered`);
+            return false;
+        }
+
+        this.recordSnapshot(`Remove layer "${sceneName}"`);
+        const before = this.getLayeredLevels();
+        this.sceneLayers = this.sceneLayers.filter(layer => layer.scene !== sceneName);
+        this.saveSceneLayers();
+        const after = this.getLayeredLevels();
+
+        let count = 0;
+        before.forEach((level, index) => {
+            const lower = after.get(index);
+            if (level.scene === sceneName && lower && this.setLightBrightness(index, lower.brightness, options)) {
+                count++;
+            }
+        });
+
+        this.log(`Removed layer "${sceneName}": ${count} lights restored`);
+        return true;
+    }
+
+    /**
+     * Forget every scene layer without changing any lights
+     */
+    clearSceneLayers() {
+        this.sceneLayers = [];
+        this.saveSceneLayers();
+    }
+
+    /**
+     * The layer stack, top first
+     * @returns {Array} [{ scene, priority, lights }]: lights is how many lights the layer is showing
+     */
+    getSceneLayers() {
+        const levels = Array.from(this.getLayeredLevels().values());
+        return this.sceneLayers.slice().reverse().map(layer => ({
+            ...layer,
+            lights: levels.filter(level => level.scene === layer.scene).length
+        }));
+    }
+
+    /**
+     * What the layer stack sets each light to
+     * @returns {Map} Light index → { brightness, scene }
+     */
+    getLayeredLevels() {
+        const levels = new Map();
+        for (const layer of this.sceneLayers) {
+            const scene = this.scenes.get(layer.scene);
+            if (!scene) continue;
+
+            // Lowest first, so higher layers overwrite
+            for (const ref of scene.lights) {
+                if (this.matchesLight(ref, this.lights.get(ref.index))) {
+                    levels.set(ref.index, { brightness: ref.brightness, scene: layer.scene });
+                }
+            }
+        }
+        return levels;
+    }
+
+    /**
+     * Check a sequence against the same rules as the server's sequenceSchema
+     * @param {Object} sequence - Sequence object
+     * @returns {string|null} What is wrong with the sequence, or null if it is valid
+     */
+    validateSequence(sequence) {
+        const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        if (!sequence || typeof sequence.name !== 'string' || sequence.name.length < 1 || sequence.name.length > 50) {
+            return "Sequence name must be 1-50 characters";
+        }
+        if (!Array.isArray(sequence.steps) || sequence.steps.length === 0 || sequence.steps.length > SEQUENCE_MAX_STEPS) {
+            return `A sequence needs 1-${SEQUENCE_MAX_STEPS} steps`;
+        }
+
+        for (const [i, step] of sequence.steps.entries()) {
+            const kinds = ['scene', 'lights', 'room'].filter(key => step && step[key] !== undefined);
+            if (kinds.length !== 1) {
+                return `Step ${i + 1} needs exactly one of scene, lights or room`;
+            }
+            if (step.scene !== undefined && (typeof step.scene !== 'string' || !step.scene)) {
+                return `Step ${i + 1} has an invalid scene`;
+            }
+            if (step.lights !== undefined && (!Array.isArray(step.lights) || step.lights.length === 0 ||
+                step.lights.some(light => !light || !isInteger(light.index, 1, 255) || !isInteger(light.brightness, 0, 100)))) {
+                return `Step ${i + 1} needs lights with whole-number levels 0-100`;
+            }
+            if (step.room !== undefined && !isInteger(step.room, 0, 5)) {
+                return `Step ${i + 1} has an invalid room`;
+            }
+            if (step.brightness !== undefined && (step.room === undefined || !isInteger(step.brightness, 0, 100))) {
+                return `Step ${i + 1}: brightness is a whole number 0-100, for room steps only`;
+            }
+            if (step.delayMs !== undefined && !isInteger(step.delayMs, 0, 24 * 60 * 60 * 1000)) {
+                return `Step ${i + 1} has an invalid delay`;
+            }
+            if (step.fadeMs !== undefined && !isInteger(step.fadeMs, 0, 3600000)) {
+                return `Step ${i + 1} has an invalid fade`;
+            }
+        }
+
+        const cycleMs = sequence.steps.reduce((total, step) => total + Math.max(step.delayMs || 0, SEQUENCE_MIN_STEP_MS), 0);
+        if (sequence.loop && cycleMs < SEQUENCE_MIN_LOOP_MS) {
+            return `A looping sequence must take at least ${SEQUENCE_MIN_LOOP_MS}ms per cycle`;
+        }
+        return null;
+    }
+
+    /**
+     * Save an animated sequence: steps run in order, each waiting delayMs
+     * before the next, e.g. a "welcome home" walk-through from the
+     * exterior to the living room to the kitchen
+     * @param {string} sequenceName - Name for the sequence
+     * @param {Array} steps - [{ scene } | { lights: [{ index, brightness }] } | { room, brightness },
+     *   each with optional delayMs (wait before the next step), fadeMs and switchAt]
+     * @param {Object} [options] - Sequence options
+     * @param {boolean} [options.loop] - Start over after the last step until stopped
+     * @returns {boolean} Success status
+     */
+    createSequence(sequenceName, steps, options = {}) {
+        const sequence = {
+            name: sequenceName,
+            created: new Date().toISOString(),
+            loop: !!options.loop,
+            steps: Array.isArray(steps) ? steps.map(step => ({
+                ...step,
+                lights: step && step.lights && step.lights.map(ref => this.lights.has(ref.index)
+                    ? { ...ref, fingerprint: this.getLightFingerprint(this.lights.get(ref.index)) }
+                    : ref)
+            })) : steps
+        };
+
+        const problem = this.validateSequence(sequence);
+        if (problem) {
+            this.error(`Cannot save sequence "${sequenceName}": ${problem}`);
+            return false;
+        }
+
+        this.stopSequence(sequenceName);
+        this.sequences.set(sequenceName, sequence);
+        this.saveToStorage();
+
+        this.log(`Sequence "${sequenceName}" saved with ${sequence.steps.length} steps`);
+        return true;
+    }
+
+    /**
+     * Save a breathe effect: lights fade slowly up and down until stopped
+     * @param {string} sequenceName - Name for the effect
+     * @param {Object} options - Effect options: lights or room
+     * @param {Array<number>} [options.lights] - Indices of the lights that breathe
+     * @param {number} [options.room] - Room ID whose lights breathe
+     * @param {number} [options.min] - Lowest level (default 10)
+     * @param {number} [options.max] - Highest level (default 100)
+     * @param {number} [options.periodMs] - One full breath (default 8000)
+     * @returns {boolean} Success status
+     */
+    createBreatheEffect(sequenceName, options = {}) {
+        const { min = 10, max = 100, periodMs = 8000 } = options;
+        const half = Math.round(periodMs / 2);
+        const target = brightness => (options.lights
+            ? { lights: options.lights.map(index => ({ index, brightness })) }
+            : { room: options.room, brightness });
+
+        // Each fade ends a fade step early so it reaches its level before the next one starts
+        const fadeMs = Math.max(0, half - FADE_STEP_MS);
+        return this.createSequence(sequenceName, [
+            { ...target(max), fadeMs, delayMs: half },
+            { ...target(min), fadeMs, delayMs: half }
+        ], { loop: true });
+    }
+
+    /**
+     * Delete a sequence, stopping it if it is playing
+     * @param {string} sequenceName - Name of sequence to delete
+     * @returns {boolean} Success status
+     */
+    deleteSequence(sequenceName) {
+        this.stopSequence(sequenceName);
+        if (this.sequences.delete(sequenceName)) {
+            this.saveToStorage();
+            this.log(`Sequence "${sequenceName}" deleted`);
+            return true;
+        }
+        this.error(`Sequence "${sequenceName}" not found for deletion`);
+        return false;
+    }
+
+    /**
+     * Get all saved sequences
+     * @returns {Array} Array of sequence objects
+     */
+    getAllSequences() {
+        return Array.from(this.sequences.values());
+    }
+
+    /**
+     * Start a sequence from its first step, restarting it if it is already playing
+     * @param {string} sequenceName - Name of sequence to play
+     * @returns {boolean} Success status
+     */
+    playSequence(sequenceName) {
+        if (!this.sequences.has(sequenceName)) {
+            this.error(`Sequence "${sequenceName}" not found`);
+            return false;
+        }
+
+        this.stopSequence(sequenceName);
+        this.recordSnapshot(`Play sequence "${sequenceName}"`);
+        this.sequencePlayers.set(sequenceName, { step: 0, timer: null, lights: [] });
+
+        this.log(`Playing sequence: ${sequenceName}`);
+        this.runSequenceStep(sequenceName);
+        return true;
+    }
+
+    /**
+     * Stop a playing sequence. Lights stay where the sequence left them,
+     * part way through a fade if one was running.
+     * @param {string} sequenceName - Name of the sequence
+     * @returns {boolean} Whether it was playing
+     */
+    stopSequence(sequenceName) {
+        const player = this.sequencePlayers.get(sequenceName);
+        if (!player) return false;
+
+        clearTimeout(player.timer);
+        player.lights.forEach(index => this.cancelFade(index));
+        this.sequencePlayers.delete(sequenceName);
+        this.log(`Sequence "${sequenceName}" stopped`);
+        return true;
+    }
+
+    /**
+     * Stop every playing sequence
+     * @returns {number} Number of sequences stopped
+     */
+    stopAllSequences() {
+        const names = Array.from(this.sequencePlayers.keys());
+        names.forEach(name => this.stopSequence(name));
+        return names.length;
+    }
+
+    /**
+     * Sequences that are playing
+     * @returns {Array} [{ name, step, loop }]: step is the position of the next step
+     */
+    getPlayingSequences() {
+        return Array.from(this.sequencePlayers.entries()).map(([name, player]) => ({
+            name,
+            step: player.step,
+            loop: this.sequences.has(name) && this.sequences.get(name).loop
+        }));
+    }
+
+    /**
+     * Run a playing sequence's next step and wait for the one after. A
+     * step that would take sequences over SEQUENCE_MAX_COMMANDS light
+     * commands a second waits until there is room for it.
+     * @private
+     * @param {string} sequenceName - Name of the sequence
+     */
+    runSequenceStep(sequenceName) {
+        const player = this.sequencePlayers.get(sequenceName);
+        const sequence = this.sequences.get(sequenceName);
+        if (!player || !sequence) {
+            this.sequencePlayers.delete(sequenceName);
+            return;
+        }
+
+        const step = sequence.steps[player.step];
+        const levels = this.getSequenceStepLevels(step);
+
+        const now = Date.now();
+        this.sequenceCommands = this.sequenceCommands.filter(time => now - time < 1000);
+        const excess = this.sequenceCommands.length + levels.length - SEQUENCE_MAX_COMMANDS;
+        if (excess > 0 && this.sequenceCommands.length > 0) {
+            const freedAt = this.sequenceCommands[Math.min(excess, this.sequenceCommands.length) - 1] + 1000;
+            player.timer = setTimeout(() => this.runSequenceStep(sequenceName), freedAt - now);
+            return;
+        }
+
+        levels.forEach(() => this.sequenceCommands.push(now));
+        player.lights = levels.map(level => level.index);
+        this.withCommandPriority('schedule', () => {
+            for (const { index, brightness } of levels) {
+                this.setLightBrightness(index, brightness, { fadeMs: step.fadeMs, switchAt: step.switchAt });
+            }
+        });
+
+        player.step++;
+        if (player.step >= sequence.steps.length) {
+            if (!sequence.loop) {
+                this.sequencePlayers.delete(sequenceName);
+                this.log(`Sequence "${sequenceName}" finished`);
+                return;
+            }
+            player.step = 0;
+        }
+
+        const delayMs = Math.max(step.delayMs || 0, SEQUENCE_MIN_STEP_MS);
+        player.timer = setTimeout(() => this.runSequenceStep(sequenceName), delayMs);
+    }
+
+    /**
+     * The levels a sequence step sets
+     * @private
+     * @param {Object} step - Sequence step
+     * @returns {Array} [{ index, brightness }]
+     */
+    getSequenceStepLevels(step) {
+        if (step.scene !== undefined) {
+            const scene = this.scenes.get(step.scene);
+            if (!scene) {
+                this.error(`Sequence step skipped: scene "${step.scene}" not found`);
+                return [];
+            }
+            return this.getCurrentRefs(scene.lights);
+        }
+        if (step.lights) {
+            return this.getCurrentRefs(step.lights);
+        }
+
+        const brightness = step.brightness !== undefined ? step.brightness : 100;
+        return this.getLightsByRoom(step.room).map(light => ({ index: light.index, brightness }));
+    }
+
+    /**
+     * Create a lighting schedule
+     * @param {string} scheduleName - Name for the schedule
+     * @param {Array} events - Array of schedule event objects
+     * @param {Object} [options] - Schedule options
+     * @param {string} [options.catchUp] - What to do with events missed while asleep or offline:
+     *   'skip' (default), 'run_latest' or 'run_all'
+     * @param {string} [options.startDate] - First day the schedule runs ("YYYY-MM-DD")
+     * @param {string} [options.endDate] - Last day the schedule runs ("YYYY-MM-DD")
+     * @param {Array} [options.exceptions] - Days to skip: dates or { start, end, reason } ranges
+     * @param {boolean} [options.enabled] - Start the schedule straight away (default false; see activateSchedule)
+     * @returns {boolean} Success status
+     */
+    createSchedule(scheduleName, events, options = {}) {
+        if (!scheduleName || !Array.isArray(events)) {
+            this.error("Invalid schedule parameters");
+            return false;
+        }
+
+        const catchUp = options.catchUp || 'skip';
+        if (!CATCH_UP_POLICIES.includes(catchUp)) {
+            this.error(`Invalid catch-up policy "${catchUp}"`);
+            return false;
+        }
+
+        const invalidEvent = events.find(event => !SCHEDULE_ACTIONS.includes(event.action || 'load_scene'));
+        if (invalidEvent) {
+            this.error(`Invalid schedule action "${invalidEvent.action}"`);
+            return false;
+        }
+
+        const invalidDate = [options, ...events].map(bounds => this.findInvalidDate(bounds)).find(Boolean);
+        if (invalidDate) {
+            this.error(`Invalid schedule date "${invalidDate}"`);
+            return false;
+        }
+
+        const invalidCron = events.find(event => event.cron !== undefined && !scheduleTime.isValidCron(event.cron));
+        if (invalidCron) {
+            this.error(`Invalid cron expression "${invalidCron.cron}"`);
+            return false;
+        }
+
+        try {
+            const schedule = {
+                name: scheduleName,
+                enabled: false,
+                created: new Date().toISOString(),
+                catchUp,
+                startDate: options.startDate,
+                endDate: options.endDate,
+                exceptions: options.exceptions,
+                events: events.map(event => ({
+                    time: event.time,  // "HH:MM", "sunrise", "sunset", or offset like "sunset-15"
+                    days: event.date || event.cron ? event.days : event.days || ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+                    date: event.date,             // One-off date ("YYYY-MM-DD") instead of days
+                    cron: event.cron,             // Cron expression instead of time and days
+                    startDate: event.startDate,   // Optional per-event date range
+                    endDate: event.endDate,
+                    exceptions: event.exceptions, // Optional per-event exception dates
+                    scene: event.scene,
+                    sequence: event.sequence,     // Sequence for play_sequence, or stop_sequence (all if omitted)
+                    action: event.action || 'load_scene', // See SCHEDULE_ACTIONS
+                    room: event.room,             // Room ID for room_on, room_off and toggle
+                    brightness: event.brightness, // Level for room_on, or the level toggle turns on to
+                    lights: event.lights && event.lights.map(ref => this.lights.has(ref.index)
+                        ? { ...ref, fingerprint: this.getLightFingerprint(this.lights.get(ref.index)) }
+                        : ref),                   // [{ index, brightness }] for set_lights, [{ index }] for toggle
+                    fadeMs: event.fadeMs,      // Optional transition duration
+                    switchAt: event.switchAt   // Optional 'start'/'end' for switch-type lights
+                }))
+            };
+
+            this.schedules.set(scheduleName, schedule);
+            this.saveToStorage();
+
+            this.log(`Schedule "${scheduleName}" created with ${events.length} events`);
+            return options.enabled ? this.activateSchedule(scheduleName) : true;
+        } catch (error) {
+            this.error(`Failed to create schedule "${scheduleName}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Create an away schedule that makes the coach look occupied by
+     * switching rooms on and off at randomized times inside windows.
+     * The plan varies day to day but is fixed by the seed.
+     * @param {string} scheduleName - Name for the schedule
+     * @param {Object} options - Away options
+     * @param {Array<number>} options.rooms - Room IDs (0-5) to switch
+     * @param {Array<Object>} options.windows - { start, end } event times, e.g. { start: 'sunset', end: '23:30' }
+     * @param {Array<string>} [options.days] - Days the schedule runs (defaults to every day)
+     * @param {Array<number>} [options.onMinutes] - [min, max] minutes a room stays on (default [20, 90])
+     * @param {Array<number>} [options.offMinutes] - [min, max] minutes between periods (default [10, 60])
+     * @param {number} [options.brightness] - Level rooms are switched on to (default 100)
+     * @param {string|number} [options.seed] - Random seed (defaults to a new random seed)
+     * @param {boolean} [options.enabled] - Start the schedule straight away (default false)
+     * @returns {boolean} Success status
+     */
+    createAwaySchedule(scheduleName, options = {}) {
+        const { rooms, windows } = options;
+        const validRooms = Array.isArray(rooms) && rooms.length > 0 && rooms.every(room => this.roomNames[room] !== undefined);
+        const validWindows = Array.isArray(windows) && windows.length > 0 &&
+            windows.every(window => scheduleTime.parseEventTime(window.start) && scheduleTime.parseEventTime(window.end));
+
+        if (!scheduleName || !validRooms || !validWindows) {
+            this.error("Invalid away schedule parameters");
+            return false;
+        }
+
+        const catchUp = options.catchUp || 'skip';
+        if (!CATCH_UP_POLICIES.includes(catchUp)) {
+            this.error(`Invalid catch-up policy "${catchUp}"`);
+            return false;
+        }
+
+        const invalidDate = this.findInvalidDate(options);
+        if (invalidDate) {
+            this.error(`Invalid schedule date "${invalidDate}"`);
+            return false;
+        }
+
+        const schedule = {
+            name: scheduleName,
+            type: 'away',
+            enabled: false,
+            created: new Date().toISOString(),
+            catchUp,
+            rooms: rooms.slice(),
+            windows: windows.map(window => ({ start: window.start, end: window.end })),
+            days: options.days || scheduleTime.DAY_NAMES.slice(),
+            onMinutes: options.onMinutes,
+            offMinutes: options.offMinutes,
+            brightness: options.brightness,
+            seed: options.seed !== undefined ? options.seed : Math.floor(Math.random() * 0x7fffffff),
+            startDate: options.startDate,
+            endDate: options.endDate,
+            exceptions: options.exceptions,
+            events: []
+        };
+
+        this.schedules.set(scheduleName, schedule);
+        this.saveToStorage();
+
+        this.log(`Away schedule "${scheduleName}" created for ${rooms.length} rooms`);
+        return options.enabled ? this.activateSchedule(scheduleName) : true;
+    }
+
+    /**
+     * Find the first malformed date in a schedule's or event's date fields
+     * @private
+     * @param {Object} bounds - { date, startDate, endDate, exceptions }
+     * @returns {string|null} The bad value, or null if all dates are valid
+     */
+    findInvalidDate(bounds) {
+        const dates = [bounds.date, bounds.startDate, bounds.endDate].filter(date => date !== undefined);
+        for (const exception of bounds.exceptions || []) {
+            if (typeof exception === 'string' || !exception) {
+                dates.push(exception);
+            } else {
+                dates.push(exception.start);
+                if (exception.end !== undefined) dates.push(exception.end);
+            }
+        }
+
+        const invalid = dates.find(date => !scheduleTime.isCalendarDate(date));
+        if (invalid !== undefined) return String(invalid);
+
+        if (bounds.startDate && bounds.endDate && bounds.endDate < bounds.startDate) {
+            return `${bounds.startDate}..${bounds.endDate}`;
+        }
+        return null;
+    }
+
+    /**
+     * Change what a schedule does with events it missed
+     * @param {string} scheduleName - Name of schedule
+     * @param {string} policy - 'skip', 'run_latest' or 'run_all'
+     * @returns {boolean} Success status
+     */
+    setScheduleCatchUp(scheduleName, policy) {
+        const schedule = this.schedules.get(scheduleName);
+        if (!schedule || !CATCH_UP_POLICIES.includes(policy)) {
+            this.error(`Cannot set catch-up policy "${policy}" on schedule "${scheduleName}"`);
+            return false;
+        }
+
+        schedule.catchUp = policy;
+        this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Activate a schedule. Sets and persists its `enabled` flag; the
+     * schedule runs now if lights have been discovered, otherwise as soon
+     * as initialize() finishes.
+     * @param {string} scheduleName - Name of schedule to activate
+     * @param {Object} [options]
+     * @param {boolean} [options.resume] - Keep the stored checkpoint so events missed
+     *   since the schedule last ran are caught up (used when restoring after a restart)
+     * @returns {boolean} Success status
+     */
+    activateSchedule(scheduleName, options = {}) {
+        const schedule = this.schedules.get(scheduleName);
+        if (!schedule) {
+            this.error(`Schedule "${scheduleName}" not found`);
+            return false;
+        }
+
+        if (schedule.enabled !== true) {
+            schedule.enabled = true;
+            this.saveToStorage();
+        }
+
+        if (!this.runSchedules) {
+            this.log(`Schedule "${scheduleName}" enabled; it runs on the server`);
+            return true;
+        }
+
+        if (!this.isInitialized) {
+            this.log(`Schedule "${scheduleName}" enabled; it starts once lights are discovered`);
+            return true;
+        }
+
+        if (this.activeSchedules.has(scheduleName)) {
+            this.log(`Schedule "${scheduleName}" already active`);
+            return true;
+        }
+
+        this.activeSchedules.add(scheduleName);
+
+        // Events before activation never count as missed
+        if (!options.resume || !this.scheduleCheckpoints.has(scheduleName)) {
+            this.scheduleCheckpoints.set(scheduleName, Date.now());
+            this.saveScheduleState();
+        }
+
+        this.armScheduleTimer();
+
+        this.log(`Schedule "${scheduleName}" activated`);
+        return true;
+    }
+
+    /**
+     * Deactivate a schedule, clearing and persisting its `enabled` flag
+     * @param {string} scheduleName - Name of schedule to deactivate
+     * @returns {boolean} Success status
+     */
+    deactivateSchedule(scheduleName) {
+        const schedule = this.schedules.get(scheduleName);
+        const wasActive = this.activeSchedules.delete(scheduleName);
+        if (!schedule && !wasActive) {
+            return false;
+        }
+
+        if (schedule && schedule.enabled !== false) {
+            schedule.enabled = false;
+            this.saveToStorage();
+        }
+
+        if (wasActive) {
+            this.scheduleCheckpoints.delete(scheduleName);
+            this.saveScheduleState();
+            this.armScheduleTimer();
+        }
+
+        this.log(`Schedule "${scheduleName}" deactivated`);
+        return true;
+    }
+
+    /**
+     * Delete a schedule, stopping it first if it is running
+     * @param {string} scheduleName - Name of schedule to delete
+     * @returns {boolean} Success status
+     */
+    deleteSchedule(scheduleName) {
+        if (!this.schedules.has(scheduleName)) {
+            return false;
+        }
+
+        this.deactivateSchedule(scheduleName);
+        this.schedules.delete(scheduleName);
+        this.saveToStorage();
+
+        this.log(`Schedule "${scheduleName}" deleted`);
+        return true;
+    }
+
+    /**
+     * Rename a schedule, keeping its place in the list. A running
+     * schedule keeps running and keeps its checkpoint, so no events
+     * are missed or repeated.
+     * @param {string} scheduleName - Current name
+     * @param {string} newName - New name (1-50 characters, not already used)
+     * @returns {boolean} Success status
+     */
+    renameSchedule(scheduleName, newName) {
+        const schedule = this.schedules.get(scheduleName);
+        if (!schedule || !this.isFreeName(this.schedules, newName, 'Schedule')) {
+            if (!schedule) this.error(`Schedule "${scheduleName}" not found`);
+            return false;
+        }
+
+        schedule.name = newName;
+        this.schedules = this.renameEntry(this.schedules, scheduleName, newName);
+
+        if (this.scheduleCheckpoints.has(scheduleName)) {
+            this.scheduleCheckpoints = this.renameEntry(this.scheduleCheckpoints, scheduleName, newName);
+            this.saveScheduleState();
+        }
+        if (this.activeSchedules.delete(scheduleName)) {
+            this.activeSchedules.add(newName);
+            this.armScheduleTimer();
+        }
+
+        this.saveToStorage();
+        this.log(`Schedule "${scheduleName}" renamed to "${newName}"`);
+        return true;
+    }
+
+    /**
+     * Copy a schedule under a new name, placed just after the original.
+     * The copy starts disabled so the same events don't run twice.
+     * @param {string} scheduleName - Schedule to copy
+     * @param {string} newName - Name for the copy (1-50 characters, not already used)
+     * @returns {boolean} Success status
+     */
+    duplicateSchedule(scheduleName, newName) {
+        const schedule = this.schedules.get(scheduleName);
+        if (!schedule || !this.isFreeName(this.schedules, newName, 'Schedule')) {
+            if (!schedule) this.error(`Schedule "${scheduleName}" not found`);
+            return false;
+        }
+
+        const copy = {
+            ...JSON.parse(JSON.stringify(schedule)),
+            name: newName,
+            enabled: false,
+            created: new Date().toISOString()
+        };
+        delete copy.favorite;
+        this.schedules = this.insertEntryAfter(this.schedules, scheduleName, newName, copy);
+
+        this.saveToStorage();
+        this.log(`Schedule "${scheduleName}" duplicated as "${newName}"`);
+        return true;
+    }
+
+    /**
+     * Put schedules in a new order. Schedules left out keep their
+     * relative order after the listed ones.
+     * @param {Array<string>} names - Schedule names in the order wanted
+     * @returns {boolean} Success status (false for unknown or repeated names)
+     */
+    reorderSchedules(names) {
+        const schedules = this.reorderEntries(this.schedules, names, 'schedule');
+        if (!schedules) return false;
+
+        this.schedules = schedules;
+        this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Mark or unmark a schedule as a favorite
+     * @param {string} scheduleName - Name of schedule
+     * @param {boolean} [favorite] - Whether it is a favorite (default true)
+     * @returns {boolean} Success status
+     */
+    setScheduleFavorite(scheduleName, favorite = true) {
+        return this.setFavorite(this.schedules.get(scheduleName), favorite, `Schedule "${scheduleName}"`);
+    }
+
+    /**
+     * Schedules that should run whenever the coach is connected
+     * @returns {Array<Object>} Schedules whose `enabled` flag is not false
+     */
+    getEnabledSchedules() {
+        return Array.from(this.schedules.values()).filter(schedule => schedule.enabled !== false);
+    }
+
+    /**
+     * Bring the running schedules in line with their `enabled` flags:
+     * start every enabled schedule (catching up from its stored
+     * checkpoint) and stop any that were disabled or removed.
+     * Called automatically when initialize() finishes.
+     */
+    restoreActiveSchedules() {
+        for (const scheduleName of Array.from(this.activeSchedules)) {
+            const schedule = this.schedules.get(scheduleName);
+            if (!schedule || schedule.enabled === false) {
+                this.deactivateSchedule(scheduleName);
+            }
+        }
+
+        for (const schedule of this.schedules.values()) {
+            if (schedule.enabled !== false && !this.activeSchedules.has(schedule.name)) {
+                this.activateSchedule(schedule.name, { resume: true });
+            }
+        }
+
+        this.armScheduleTimer();
+        this.log(`${this.activeSchedules.size} schedules running`);
+    }
+
+    /**
+     * Start or stop running schedules on this host, e.g. as the server's
+     * schedule runner connects and disconnects. Enabled flags are kept.
+     * @param {boolean} run - Whether this host runs schedules
+     */
+    setRunSchedules(run) {
+        run = !!run;
+        if (run === this.runSchedules) return;
+        this.runSchedules = run;
+
+        if (run) {
+            if (this.isInitialized) {
+                this.restoreActiveSchedules();
+            }
+            return;
+        }
+
+        // Events the other host runs in the meantime must not be caught up if this one takes over again
+        for (const scheduleName of this.activeSchedules) {
+            this.scheduleCheckpoints.delete(scheduleName);
+        }
+        this.activeSchedules.clear();
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+        this.saveScheduleState();
+        this.log('Schedules left to another host');
+    }
+
+    /**
+     * Get every time an event fires in a window
+     * @param {Object} event - Schedule event
+     * @param {Date} from - Window start (exclusive)
+     * @param {Date} to - Window end (inclusive)
+     * @param {Object} [schedule] - Schedule whose date bounds also apply
+     * @returns {Array<Date>} Fire times in order
+     */
+    getEventOccurrences(event, from, to, schedule) {
+        return scheduleTime.getEventOccurrences(event, from, to, this.location, this.getTimezone(), schedule);
+    }
+
+    /**
+     * Get every action a schedule takes in a window, for regular and away schedules
+     * @param {Object} schedule - Schedule
+     * @param {Date} from - Window start (exclusive)
+     * @param {Date} to - Window end (inclusive)
+     * @returns {Array<Object>} { time: Date, event } entries in order
+     */
+    getScheduleOccurrences(schedule, from, to) {
+        if (schedule.type === 'away') {
+            return scheduleTime.getAwayOccurrences(schedule, from, to, this.location, this.getTimezone());
+        }
+
+        const runs = [];
+        for (const event of schedule.events) {
+            for (const time of this.getEventOccurrences(event, from, to, schedule)) {
+                runs.push({ time, event });
+            }
+        }
+        return runs.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Get the next time an active schedule will fire
+     * @param {string} scheduleName - Name of schedule
+     * @param {Date} after - Search from this instant (defaults to now)
+     * @returns {Object|null} { time: Date, event } or null if nothing fires within a week
+     */
+    getNextScheduleRun(scheduleName, after = new Date()) {
+        const schedule = this.schedules.get(scheduleName);
+        if (!schedule || !schedule.enabled) return null;
+
+        const horizon = new Date(after.getTime() + SCHEDULE_LOOKAHEAD);
+        return this.getScheduleOccurrences(schedule, after, horizon)[0] || null;
+    }
+
+    /**
+     * Arm a single timer for the earliest upcoming event across all
+     * active schedules. The timer never sleeps longer than the check
+     * interval, so clock changes and host sleep are noticed promptly.
+     * @private
+     */
+    armScheduleTimer() {
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+
+        if (this.activeSchedules.size === 0) return;
+
+        const now = new Date();
+        let delay = this.scheduleCheckInterval;
+
+        for (const scheduleName of this.activeSchedules) {
+            const next = this.getNextScheduleRun(scheduleName, now);
+            if (next) {
+                delay = Math.min(delay, next.time.getTime() - now.getTime());
+            }
+        }
+
+        this.scheduleTimer = setTimeout(() => {
+            this.scheduleTimer = null;
+            this.runDueSchedules();
+        }, Math.max(0, delay));
+    }
+
+    /**
+     * Run every event that came due since each active schedule's last check
+     * @private
+     * @param {Date} now - Current time (overridable for testing)
+     */
+    runDueSchedules(now = new Date()) {
+        for (const scheduleName of Array.from(this.activeSchedules)) {
+            this.checkScheduleEvents(scheduleName, now);
+        }
+        this.saveScheduleState();
+        this.armScheduleTimer();
+    }
+
+    /**
+     * Run the events of one schedule that came due since its last check.
+     * Events more than a minute late (host asleep or offline) are handled
+     * by the schedule's catch-up policy.
+     * @private
+     * @param {string} scheduleName - Name of schedule to check
+     * @param {Date} now - Current time (overridable for testing)
+     */
+    checkScheduleEvents(scheduleName, now = new Date()) {
+        const schedule = this.schedules.get(scheduleName);
+        if (!schedule) return;
+
+        // Without a checkpoint (never activated), look back one minute
+        const checkpoint = this.scheduleCheckpoints.get(scheduleName) || now.getTime() - 60000;
+        this.scheduleCheckpoints.set(scheduleName, Math.max(checkpoint, now.getTime()));
+
+        if (checkpoint >= now.getTime()) return;
+
+        const timeZone = this.getTimezone();
+        for (const { time, event } of this.getDueRuns(schedule, checkpoint, now)) {
+            this.log(`Triggering scheduled event: ${event.action} at ${scheduleTime.formatTime(time, timeZone)}`);
+            const outcome = this.withCommandPriority('schedule', () =>
+                this.withSnapshot(`Schedule "${schedule.name}": ${event.action}`, () => this.runScheduleEvent(event)));
+            this.recordScheduleRun(schedule, event, time, now, outcome);
+        }
+    }
+
+    /**
+     * Work out which of a schedule's events should run at `now`, given
+     * when it was last checked, applying its catch-up policy
+     * @private
+     * @param {Object} schedule - Schedule
+     * @param {number} checkpoint - When the schedule was last checked (epoch ms)
+     * @param {Date} now - Current (or virtual) time
+     * @returns {Array<Object>} { time: Date, event } entries to run, in order
+     */
+    getDueRuns(schedule, checkpoint, now) {
+        // Occurrences are instants, so a time skipped by DST still fires and a
+        // repeated hour doesn't fire twice
+        const from = new Date(Math.max(checkpoint, now.getTime() - MAX_CATCH_UP));
+        const due = this.getScheduleOccurrences(schedule, from, now);
+
+        const onTime = due.filter(run => now - run.time <= MISSED_EVENT_GRACE);
+        const missed = due.filter(run => now - run.time > MISSED_EVENT_GRACE);
+
+        if (missed.length === 0) {
+            return onTime;
+        }
+
+        const policy = schedule.catchUp || 'skip';
+        this.log(`Schedule "${schedule.name}" missed ${missed.length} events (catch-up: ${policy})`);
+
+        if (policy === 'run_all') {
+            return missed.concat(onTime);
+        }
+        if (policy === 'run_latest' && onTime.length === 0) {
+            return [missed[missed.length - 1]];
+        }
+        return onTime;
+    }
+
+    /**
+     * Preview what the schedule engine would do over a date range.
+     * Steps a virtual clock through each fire time, using the same
+     * due-event matching as the live engine, and tracks the resulting
+     * brightness of every light. Sends no commands.
+     * @param {Date} from - Start of the range (exclusive)
+     * @param {Date} to - End of the range (inclusive)
+     * @param {Object} [options]
+     * @param {Array<string>} [options.schedules] - Schedules to simulate (defaults to the enabled ones)
+     * @returns {Array<Object>} Actions in order: { time, schedule, event, lights, state }, where
+     *   `lights` lists { index, name, previous, brightness } for each light the event sets and
+     *   `state` maps every known light index to its brightness afterwards
+     */
+    simulateSchedules(from, to, options = {}) {
+        const names = options.schedules ||
+            this.getEnabledSchedules().map(schedule => schedule.name);
+
+        // Virtual clock ticks: every distinct fire time in the range
+        const ticks = new Set();
+        for (const name of names) {
+            for (const { time } of this.getScheduleOccurrences(this.schedules.get(name), from, to)) {
+                ticks.add(time.getTime());
+            }
+        }
+
+        const state = {};
+        const lightNames = new Map();
+        this.getKnownLights().forEach((room, index) => {
+            const light = this.lights.get(index);
+            state[index] = light ? light.currentBrightness : null;
+        });
+        for (const scene of this.scenes.values()) {
+            scene.lights.forEach(lightState => lightNames.set(lightState.index, this.getLightDisplay(lightState).name));
+        }
+        this.lights.forEach(light => lightNames.set(light.index, this.getLightDisplay(light).name));
+
+        const checkpoints = new Map(names.map(name => [name, from.getTime()]));
+        const actions = [];
+
+        for (const tick of Array.from(ticks).sort((a, b) => a - b)) {
+            const now = new Date(tick);
+
+            for (const name of names) {
+                const runs = this.getDueRuns(this.schedules.get(name), checkpoints.get(name), now);
+                checkpoints.set(name, tick);
+
+                for (const { time, event } of runs) {
+                    const lights = [];
+                    this.getEventTargets(event, state).forEach((brightness, index) => {
+                        lights.push({ index, name: lightNames.get(index), previous: state[index], brightness });
+                        state[index] = brightness;
+                    });
+                    actions.push({ time, schedule: name, event, lights, state: { ...state } });
+                }
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Perform a schedule event's action
+     * @private
+     * @param {Object} event - Schedule event
+     * @returns {Object} { targets, results }: light index → intended brightness, and
+     *   light index → whether it was set
+     */
+    runScheduleEvent(event) {
+        const results = new Map();
+        const transition = { fadeMs: event.fadeMs, switchAt: event.switchAt, results };
+
+        // Resolve the intended levels (toggles included) before anything changes
+        const state = {};
+        this.lights.forEach(light => { state[light.index] = light.currentBrightness; });
+        const targets = this.getEventTargets(event, state);
+
+        switch (event.action) {
+            case 'load_scene':
+                if (event.scene) {
+                    this.loadScene(event.scene, transition);
+                }
+                break;
+            case 'lights_off':
+                this.allLightsOff(transition);
+                break;
+            case 'lights_on':
+                this.allLightsOn(transition);
+                break;
+            case 'room_on':
+                this.setRoomBrightness(event.room, event.brightness !== undefined ? event.brightness : 100, transition);
+                break;
+            case 'room_off':
+                this.setRoomBrightness(event.room, 0, transition);
+                break;
+            case 'set_lights':
+                for (const { index, brightness } of this.getCurrentRefs(event.lights || [])) {
+                    this.setLightBrightness(index, brightness, transition);
+                }
+                break;
+            case 'toggle': {
+                const indices = event.lights
+                    ? this.getCurrentRefs(event.lights).map(light => light.index)
+                    : this.getLightsByRoom(event.room).map(light => light.index);
+                for (const index of indices) {
+                    this.toggleLight(index, null, { ...transition, brightness: event.brightness });
+                }
+                break;
+            }
+            case 'play_sequence':
+                this.playSequence(event.sequence);
+                break;
+            case 'stop_sequence':
+                if (event.sequence) {
+                    this.stopSequence(event.sequence);
+                } else {
+                    this.stopAllSequences();
+                }
+                break;
+            default:
+                this.error(`Unknown schedule action: ${event.action}`);
+        }
+
+        return { targets, results };
+    }
+
+    /**
+     * Drop schedule or sequence lights that were renumbered since they were saved
+     * @private
+     * @param {Array} refs - Stored light references
+     * @returns {Array} The refs that still point at their light
+     */
+    getCurrentRefs(refs) {
+        return refs.filter(ref => {
+            const current = this.matchesLight(ref, this.lights.get(ref.index));
+            if (!current) {
+                this.error(`Skipping light ${ref.index}: it has changed since it was saved`);
+            }
+            return current;
+        });
+    }
+
+    /**
+     * Add a schedule run to the execution history
+     * @private
+     * @param {Object} schedule - Schedule that ran
+     * @param {Object} event - Event that ran
+     * @param {Date} time - When the event was due
+     * @param {Date} now - When it actually ran
+     * @param {Object} outcome - From runScheduleEvent
+     */
+    recordScheduleRun(schedule, event, time, now, { targets, results }) {
+        const targetList = [];
+        let succeeded = 0;
+        targets.forEach((brightness, index) => {
+            const light = this.lights.get(index);
+            const ok = results.get(index) === true;
+            targetList.push({ index, name: light ? this.getLightDisplay(light).name : `Light ${index}`, brightness, ok });
+            if (ok) succeeded++;
+        });
+
+        const { time: eventTime, cron, action, scene, room } = event;
+        const run = {
+            time: now.toISOString(),
+            scheduledFor: time.toISOString(),
+            schedule: schedule.name,
+            event: { time: eventTime, cron, action, scene, sequence: event.sequence, room },
+            action,
+            targets: targetList,
+            succeeded,
+            failed: targetList.length - succeeded
+        };
+        this.history.push(run);
+
+        // Lights still waiting in the command queue turn failed if it gets dropped
+        for (const target of targetList) {
+            const waiting = target.ok && this.commandQueue.find(item => item.index === target.index);
+            if (waiting) waiting.runs.push(run);
+        }
+
+        if (this.history.length > MAX_HISTORY) {
+            this.history.splice(0, this.history.length - MAX_HISTORY);
+        }
+        this.saveHistory();
+    }
+
+    /**
+     * Get past schedule runs, newest first
+     * @param {Object} [options]
+     * @param {string} [options.schedule] - Only runs of this schedule
+     * @param {Date|string} [options.since] - Only runs at or after this time
+     * @param {boolean} [options.failedOnly] - Only runs where some lights failed
+     * @param {number} [options.limit] - At most this many runs
+     * @returns {Array<Object>} Runs: { time, scheduledFor, schedule, event, action,
+     *   targets: [{ index, name, brightness, ok }], succeeded, failed }
+     */
+    getScheduleHistory(options = {}) {
+        const since = options.since ? new Date(options.since).toISOString() : null;
+        const runs = this.history.filter(run =>
+            (!options.schedule || run.schedule === options.schedule) &&
+            (!since || run.time >= since) &&
+            (!options.failedOnly || run.failed > 0)
+        ).reverse();
+
+        return options.limit ? runs.slice(0, options.limit) : runs;
+    }
+
+    /**
+     * Forget all recorded schedule runs
+     */
+    clearScheduleHistory() {
+        this.history = [];
+        this.saveHistory();
+    }
+
+    /**
+     * Work out which lights a schedule event sets, and to what
+     * @param {Object} event - Schedule event
+     * @param {Object} [state] - Light index → current brightness, to resolve toggles.
+     *   Without it, toggled lights target the string 'toggle'.
+     * @returns {Map<number, number|string>} Light index → target brightness
+     */
+    getEventTargets(event, state) {
+        const targets = new Map();
+        const knownLights = this.getKnownLights();
+
+        switch (event.action) {
+            case 'load_scene': {
+                const scene = this.scenes.get(event.scene);
+                for (const lightState of scene ? scene.lights : []) {
+                    targets.set(lightState.index, lightState.brightness);
+                }
+                break;
+            }
+            case 'lights_off':
+            case 'lights_on':
+                knownLights.forEach((room, index) => targets.set(index, event.action === 'lights_on' ? 100 : 0));
+                break;
+            case 'room_on':
+            case 'room_off':
+                knownLights.forEach((room, index) => {
+                    if (room === event.room) {
+                        targets.set(index, event.action === 'room_off' ? 0 : event.brightness !== undefined ? event.brightness : 100);
+                    }
+                });
+                break;
+            case 'set_lights':
+                for (const { index, brightness } of event.lights || []) {
+                    targets.set(index, brightness);
+                }
+                break;
+            case 'toggle': {
+                const onLevel = event.brightness !== undefined ? event.brightness : 100;
+                const indices = event.lights
+                    ? event.lights.map(light => light.index)
+                    : Array.from(knownLights.keys()).filter(index => knownLights.get(index) === event.room);
+                for (const index of indices) {
+                    targets.set(index, !state ? 'toggle' : state[index] > 0 ? 0 : onLevel);
+                }
+                break;
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Lights this controller knows about, from discovery or, before
+     * discovery (e.g. offline analysis on the server), from saved scenes.
+     * Rooms follow the user's overrides, as room commands do.
+     * @private
+     * @returns {Map<number, number>} Light index → room ID
+     */
+    getKnownLights() {
+        const known = new Map();
+        for (const scene of this.scenes.values()) {
+            for (const lightState of scene.lights) {
+                known.set(lightState.index, this.getLightDisplay(lightState).room);
+            }
+        }
+        for (const light of this.lights.values()) {
+            known.set(light.index, this.getLightRoom(light));
+        }
+        return known;
+    }
+
+    /**
+     * Find schedule events that overlap in time and drive the same lights
+     * to different levels. Events overlap when they fire in the same
+     * minute or one fires while the other is still fading.
+     * @param {Object} [options]
+     * @param {Array<string>} [options.schedules] - Schedules to compare (defaults to every enabled schedule)
+     * @param {string} [options.include] - Another schedule to compare against them, e.g. one about to be enabled
+     * @param {Date} [options.from] - Start of the window (defaults to now)
+     * @param {number} [options.days] - Days to look ahead (default 7)
+     * @returns {Array<Object>} Conflicts: { schedules, events, lights, firstTime, occurrences },
+     *   one per pair of clashing events, earliest first
+     */
+    findScheduleConflicts(options = {}) {
+        const from = options.from || new Date();
+        const to = new Date(from.getTime() + (options.days || CONFLICT_LOOKAHEAD_DAYS) * 24 * 60 * 60 * 1000);
+        const names = (options.schedules || this.getEnabledSchedules().map(schedule => schedule.name))
+            .concat(options.include || []);
+
+        const targetCache = new Map();
+        const getTargets = event => {
+            if (!targetCache.has(event)) targetCache.set(event, this.getEventTargets(event));
+            return targetCache.get(event);
+        };
+
+        // Every run in the window, with the stretch of time it is "busy"
+        const runs = [];
+        for (const name of new Set(names)) {
+            const schedule = this.schedules.get(name);
+            if (!schedule) continue;
+
+            for (const { time, event } of this.getScheduleOccurrences(schedule, from, to)) {
+                // Away plans are generated, so identify their events by what they do
+                const key = schedule.type === 'away' ? 'away' : schedule.events.indexOf(event);
+                const end = time.getTime() + Math.max(event.fadeMs || 0, 60000);
+                runs.push({ schedule: name, key, event, time, end });
+            }
+        }
+        runs.sort((a, b) => a.time - b.time);
+
+        const conflicts = new Map();
+        for (let i = 0; i < runs.length; i++) {
+            for (let j = i + 1; j < runs.length && runs[j].time.getTime() < runs[i].end; j++) {
+                const a = runs[i];
+                const b = runs[j];
+                if (a.schedule === b.schedule && a.key === b.key) continue;
+
+                const targetsB = getTargets(b.event);
+                const lights = [];
+                getTargets(a.event).forEach((brightness, index) => {
+                    if (targetsB.has(index) && targetsB.get(index) !== brightness) {
+                        lights.push(index);
+                    }
+                });
+                if (lights.length === 0) continue;
+
+                const id = `${a.schedule}:${a.key}|${b.schedule}:${b.key}`;
+                if (conflicts.has(id)) {
+                    const conflict = conflicts.get(id);
+                    conflict.occurrences++;
+                    lights.forEach(index => conflict.lights.includes(index) || conflict.lights.push(index));
+                } else {
+                    conflicts.set(id, {
+                        schedules: [a.schedule, b.schedule],
+                        events: [a.event, b.event],
+                        lights,
+                        firstTime: a.time,
+                        occurrences: 1
+                    });
+                }
+            }
+        }
+
+        return Array.from(conflicts.values());
+    }
+
+    /**
+     * Conflicts a schedule would have with the enabled schedules if it were activated
+     * @param {string} scheduleName - Name of schedule
+     * @param {Object} [options] - As for findScheduleConflicts
+     * @returns {Array<Object>} Conflicts involving the schedule
+     */
+    getActivationConflicts(scheduleName, options = {}) {
+        return this.findScheduleConflicts({ ...options, include: scheduleName })
+            .filter(conflict => conflict.schedules.includes(scheduleName));
+    }
+
+    /**
+     * Set the coach location used for sunrise/sunset events
+     * @param {number} latitude - Degrees, north positive
+     * @param {number} longitude - Degrees, east positive
+     * @returns {boolean} Success status
+     */
+    setLocation(latitude, longitude) {
+        latitude = parseFloat(latitude);
+        longitude = parseFloat(longitude);
+
+        if (isNaN(latitude) || isNaN(longitude) ||
+            Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            this.error("Invalid location provided");
+            return false;
+        }
+
+        this.location = { latitude, longitude };
+        this.saveToStorage();
+        this.armScheduleTimer();
+
+        this.log(`Location set to ${latitude}, ${longitude}`);
+        return true;
+    }
+
+    /**
+     * Set the IANA time zone schedules run in
+     * @param {string} timezone - e.g. "America/Denver"
+     * @returns {boolean} Success status
+     */
+    setTimezone(timezone) {
+        if (!scheduleTime.isValidTimeZone(timezone)) {
+            this.error(`Invalid time zone "${timezone}"`);
+            return false;
+        }
+
+        this.timezone = timezone;
+        this.saveToStorage();
+        this.armScheduleTimer();
+
+        this.log(`Time zone set to ${timezone}`);
+        return true;
+    }
+
+    /**
+     * Get the time zone schedules run in
+     * @returns {string} Configured zone, or the host's own zone
+     */
+    getTimezone() {
+        return this.timezone || scheduleTime.getLocalTimeZone();
+    }
+
+    /**
+     * Resolve a schedule event's time on a given day
+     * @param {Object} event - Schedule event
+     * @param {Date} date - Day to resolve for (defaults to today)
+     * @returns {string|null} "HH:MM" in the schedule time zone, or null if a sun-relative time can't be worked out
+     */
+    getEventTime(event, date = new Date()) {
+        return scheduleTime.resolveEventTime(event.time, date, this.location, this.getTimezone());
+    }
+
+    /**
+     * Turn all lights off
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     */
+    allLightsOff(options = {}) {
+        this.recordSnapshot('All lights off');
+
+        // Otherwise a playing sequence would turn lights straight back on
+        this.stopAllSequences();
+
+        let count = 0;
+        for (const light of this.lights.values()) {
+            if (this.setLightBrightness(light.index, 0, options)) {
+                count++;
+            }
+        }
+        this.log(`All lights turned off (${count}/${this.lights.size} successful)`);
+    }
+
+    /**
+     * Turn all lights on
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     */
+    allLightsOn(options = {}) {
+        this.recordSnapshot('All lights on');
+
+        let count = 0;
+        for (const light of this.lights.values()) {
+            if (this.setLightBrightness(light.index, 100, options)) {
+                count++;
+            }
+        }
+        this.log(`All lights turned on (${count}/${this.lights.size} successful)`);
+    }
 
-        this.activeSchedules.add(scheduleName);
+    /**
+     * Remember every light's level before a change to several lights, so
+     * undo() can put them back. Does nothing inside another bulk action,
+     * e.g. a scene loaded by a schedule event, or if nothing changed since
+     * the last snapshot.
+     * @param {string} label - What is about to happen, e.g. 'All lights on'
+     */
+    recordSnapshot(label) {
+        if (this.bulkAction || !this.isInitialized) return;
+
+        const snapshot = this.createSnapshot(label);
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (!last || JSON.stringify(last.levels) !== JSON.stringify(snapshot.levels)) {
+            this.undoStack.push(snapshot);
+            if (this.undoStack.length > MAX_UNDO) {
+                this.undoStack.splice(0, this.undoStack.length - MAX_UNDO);
+            }
+        }
 
-        // Set up interval to check schedule every minute
-        const intervalId = setInterval(() => {
-            this.checkScheduleEvents(scheduleName);
-        }, 60000); // Check every minute
+        this.redoStack = [];
+        this.saveUndoHistory();
+    }
 
-        this.scheduleIntervals.set(scheduleName, intervalId);
+    /**
+     * Run a bulk action under a single snapshot, however many bulk
+     * actions it is made of
+     * @private
+     * @param {string} label - Snapshot label
+     * @param {Function} action - Changes the lights
+     * @returns {*} Whatever action returns
+     */
+    withSnapshot(label, action) {
+        if (this.bulkAction) return action();
 
-        this.log(`Schedule "${scheduleName}" activated`);
-        return true;
+        this.recordSnapshot(label);
+        this.bulkAction = true;
+        try {
+            return action();
+        } finally {
+            this.bulkAction = false;
+        }
     }
 
     /**
-     * Deactivate a schedule
-     * @param {string} scheduleName - Name of schedule to deactivate
-     * @returns {boolean} Success status
+     * @private
+     * @param {string} label - Snapshot label
+     * @returns {Object} { label, time, levels: light index → brightness }
      */
-    deactivateSchedule(scheduleName) {
-        if (!this.activeSchedules.has(scheduleName)) {
-            return false;
-        }
+    createSnapshot(label) {
+        const levels = {};
+        this.lights.forEach(light => { levels[light.index] = light.currentBrightness; });
+        return { label, time: new Date().toISOString(), levels };
+    }
 
-        const intervalId = this.scheduleIntervals.get(scheduleName);
-        if (intervalId) {
-            clearInterval(intervalId);
-            this.scheduleIntervals.delete(scheduleName);
-        }
+    /**
+     * Put the lights back to how they were before the last bulk action
+     * @returns {Object|null} The undone snapshot's { label, time }, or null if there is nothing to undo
+     */
+    undo() {
+        return this.stepHistory(this.undoStack, this.redoStack);
+    }
 
-        this.activeSchedules.delete(scheduleName);
-        this.log(`Schedule "${scheduleName}" deactivated`);
-        return true;
+    /**
+     * Repeat the last undone bulk action's result
+     * @returns {Object|null} The redone snapshot's { label, time }, or null if there is nothing to redo
+     */
+    redo() {
+        return this.stepHistory(this.redoStack, this.undoStack);
     }
 
     /**
-     * Check if any scheduled events should trigger
+     * Move one snapshot between the undo and redo stacks, saving the
+     * current levels in its place so the step can be reversed
      * @private
-     * @param {string} scheduleName - Name of schedule to check
      */
-    checkScheduleEvents(scheduleName) {
-        const schedule = this.schedules.get(scheduleName);
-        if (!schedule || !schedule.enabled) return;
-
-        const now = new Date();
-        const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-        const currentDay = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][now.getDay()];
+    stepHistory(from, to) {
+        const snapshot = from.pop();
+        if (!snapshot) return null;
 
-        for (const event of schedule.events) {
-            if (event.time === currentTime && event.days.includes(currentDay)) {
-                this.log(`Triggering scheduled event: ${event.action} at ${currentTime}`);
+        to.push(this.createSnapshot(snapshot.label));
 
-                switch (event.action) {
-                    case 'load_scene':
-                        if (event.scene) {
-                            this.loadScene(event.scene);
-                        }
-                        break;
-                    case 'lights_off':
-                        this.allLightsOff();
-                        break;
-                    case 'lights_on':
-                        this.allLightsOn();
-                        break;
-                    default:
-                        this.error(`Unknown schedule action: ${event.action}`);
-                }
+        let count = 0;
+        Object.entries(snapshot.levels).forEach(([index, brightness]) => {
+            const light = this.lights.get(Number(index));
+            if (light && light.currentBrightness !== brightness && this.setLightBrightness(light.index, brightness)) {
+                count++;
             }
+        });
+
+        this.saveUndoHistory();
+        this.log(`Restored ${count} lights (${snapshot.label})`);
+        return { label: snapshot.label, time: snapshot.time };
+    }
+
+    /**
+     * What undo() and redo() would do next
+     * @returns {Object} { undo, redo }: labels of the next snapshots, or null
+     */
+    getUndoState() {
+        const label = stack => (stack.length > 0 ? stack[stack.length - 1].label : null);
+        return { undo: label(this.undoStack), redo: label(this.redoStack) };
+    }
+
+    /**
+     * Start a countdown that turns a light, a room or every light off.
+     * Starting a timer for a target that already has one replaces it.
+     * @param {Object} target - What to turn off
+     * @param {string} target.type - 'light', 'room' or 'all'
+     * @param {number} [target.index] - Light index, for 'light'
+     * @param {number} [target.room] - Room ID, for 'room'
+     * @param {number} durationMs - Time until the lights go off (up to 24 hours)
+     * @param {Object} [options] - Transition options (see setLightBrightness)
+     * @returns {Object|null} The timer, or null if the target or duration is invalid
+     */
+    startSleepTimer(target, durationMs, options = {}) {
+        if (!target || !SLEEP_TIMER_TARGETS.includes(target.type)) {
+            this.error(`Invalid sleep timer target: ${JSON.stringify(target)}`);
+            return null;
+        }
+
+        if (target.type === 'light' && !this.lights.has(target.index)) {
+            this.error(`Light ${target.index} not found`);
+            return null;
+        }
+
+        if (target.type === 'room' && !(target.room in this.roomNames)) {
+            this.error(`Room ${target.room} not found`);
+            return null;
+        }
+
+        if (!(durationMs > 0 && durationMs <= MAX_SLEEP_TIMER)) {
+            this.error(`Invalid sleep timer duration: ${durationMs}`);
+            return null;
         }
+
+        const existing = this.getSleepTimers().find(timer => this.isSameSleepTarget(timer.target, target));
+        if (existing) {
+            this.cancelSleepTimer(existing.id);
+        }
+
+        const timer = {
+            id: this.nextSleepTimerId++,
+            target: {
+                type: target.type,
+                ...(target.type === 'light' && { index: target.index }),
+                ...(target.type === 'room' && { room: target.room })
+            },
+            label: this.describeSleepTarget(target),
+            endsAt: Date.now() + durationMs,
+            ...(options.fadeMs > 0 && { fadeMs: options.fadeMs })
+        };
+
+        this.sleepTimers.set(timer.id, timer);
+        this.armSleepTimer(timer);
+        this.saveSleepTimers();
+
+        this.log(`Sleep timer ${timer.id}: ${timer.label} off in ${Math.round(durationMs / 60000)} min`);
+        return timer;
     }
 
     /**
-     * Turn all lights off
+     * Cancel a sleep timer, leaving the lights as they are
+     * @param {number} timerId - Timer ID from startSleepTimer
+     * @returns {boolean} Whether a timer was cancelled
      */
-    allLightsOff() {
-        let count = 0;
-        for (const light of this.lights.values()) {
-            if (this.setLightBrightness(light.index, 0)) {
-                count++;
+    cancelSleepTimer(timerId) {
+        if (!this.sleepTimers.delete(timerId)) {
+            return false;
+        }
+
+        clearTimeout(this.sleepTimeouts.get(timerId));
+        this.sleepTimeouts.delete(timerId);
+        this.saveSleepTimers();
+
+        this.log(`Sleep timer ${timerId} cancelled`);
+        return true;
+    }
+
+    /**
+     * List pending sleep timers, soonest first
+     * @returns {Array<Object>} Timers with { id, target, label, endsAt, remainingMs }
+     */
+    getSleepTimers() {
+        const now = Date.now();
+        return Array.from(this.sleepTimers.values())
+            .map(timer => ({ ...timer, remainingMs: Math.max(0, timer.endsAt - now) }))
+            .sort((a, b) => a.endsAt - b.endsAt);
+    }
+
+    /**
+     * Arm every saved sleep timer. Timers that ran out while the page was
+     * closed fire straight away; ones overdue by more than a day are dropped.
+     * @private
+     */
+    armSleepTimers() {
+        const now = Date.now();
+        for (const timer of Array.from(this.sleepTimers.values())) {
+            if (now - timer.endsAt > MAX_SLEEP_TIMER) {
+                this.log(`Dropping sleep timer ${timer.id} (${timer.label}), overdue since ${new Date(timer.endsAt).toISOString()}`);
+                this.sleepTimers.delete(timer.id);
+                continue;
             }
+            this.armSleepTimer(timer);
         }
-        this.log(`All lights turned off (${count}/${this.lights.size} successful)`);
+        this.saveSleepTimers();
     }
 
     /**
-     * Turn all lights on
+     * @private
+     * @param {Object} timer - Sleep timer
      */
-    allLightsOn() {
-        let count = 0;
-        for (const light of this.lights.values()) {
-            if (this.setLightBrightness(light.index, 100)) {
-                count++;
+    armSleepTimer(timer) {
+        clearTimeout(this.sleepTimeouts.get(timer.id));
+
+        // Lights are only known after discovery; initialize() arms saved timers
+        if (!this.isInitialized) return;
+
+        this.sleepTimeouts.set(timer.id, setTimeout(() => {
+            this.runSleepTimer(timer.id);
+        }, Math.max(0, timer.endsAt - Date.now())));
+    }
+
+    /**
+     * Turn off a sleep timer's target and forget the timer
+     * @private
+     * @param {number} timerId - Timer ID
+     */
+    runSleepTimer(timerId) {
+        const timer = this.sleepTimers.get(timerId);
+        this.sleepTimeouts.delete(timerId);
+        if (!timer) return;
+
+        this.sleepTimers.delete(timerId);
+        this.saveSleepTimers();
+
+        const options = timer.fadeMs ? { fadeMs: timer.fadeMs } : {};
+        this.withCommandPriority('schedule', () => this.withSnapshot(`Sleep timer: ${timer.label}`, () => {
+            switch (timer.target.type) {
+                case 'light':
+                    this.setLightBrightness(timer.target.index, 0, options);
+                    break;
+                case 'room':
+                    this.setRoomBrightness(timer.target.room, 0, options);
+                    break;
+                case 'all':
+                    this.allLightsOff(options);
+                    break;
             }
+        }));
+
+        this.log(`Sleep timer ${timerId} finished: ${timer.label} off`);
+    }
+
+    /**
+     * @private
+     * @returns {boolean} Whether two sleep timer targets are the same lights
+     */
+    isSameSleepTarget(a, b) {
+        return a.type === b.type &&
+            (a.type !== 'light' || a.index === b.index) &&
+            (a.type !== 'room' || a.room === b.room);
+    }
+
+    /**
+     * @private
+     * @returns {string} Display name for a sleep timer target
+     */
+    describeSleepTarget(target) {
+        if (target.type === 'light') {
+            const light = this.lights.get(target.index);
+            return light ? this.getLightDisplay(light).name : `Light ${target.index}`;
         }
-        this.log(`All lights turned on (${count}/${this.lights.size} successful)`);
+        if (target.type === 'room') {
+            return this.roomNames[target.room];
+        }
+        return 'All lights';
     }
 
     /**
      * Get current brightness for a light
      * @private
      * @param {number} lightIndex - Light index
+     * @param {number} [timeoutMs] - How long to wait for the answer (default READBACK_TIMEOUT)
      * @returns {Promise<number>} Promise resolving to brightness level
      */
-    async getCurrentBrightness(lightIndex) {
+    async getCurrentBrightness(lightIndex, timeoutMs = READBACK_TIMEOUT) {
         return new Promise((resolve, reject) => {
             const eventName = `NEWMAR_DIMMER_BRIGHTNESS[${lightIndex}]`;
             const timeout = setTimeout(() => {
+                removeHandler();
                 reject(new Error("Brightness request timeout"));
-            }, 5000);
+            }, timeoutMs);
 
             const handler = (e, brightness) => {
                 clearTimeout(timeout);
-                try {
-                    const level = parseInt(brightness.toString().replace("%", ""));
-                    const light = this.lights.get(lightIndex);
-                    if (light) {
-                        light.currentBrightness = level;
-                    }
+                const level = this.applyLightReport(lightIndex, brightness);
+                if (level === null) {
+                    reject(new Error(`Unreadable brightness "${brightness}"`));
+                } else {
                     resolve(level);
-                } catch (error) {
-                    reject(error);
                 }
             };
 
-            this.addEventHandler(eventName, handler, true);
-            sendWSData(`NEWMAR_DIMMER_BRIGHTNESS[${lightIndex}]`);
+            const removeHandler = this.addEventHandler(eventName, handler, true);
+            if (this.send(`NEWMAR_DIMMER_BRIGHTNESS[${lightIndex}]`) === false) {
+                clearTimeout(timeout);
+                removeHandler();
+                reject(new Error("Brightness request not sent"));
+            }
         });
     }
 
@@ -551,36 +3502,330 @@ class RVLightingController {
      * @private
      */
     saveToStorage() {
+        this.syncToServer();
+        this.writeLocalData();
+    }
+
+    /**
+     * Write scenes, sequences, schedules and light overlays to localStorage
+     * without syncing them
+     * @private
+     */
+    writeLocalData() {
+        if (!this.storage) return;
+
         try {
             const data = {
                 scenes: Array.from(this.scenes.entries()),
+                sequences: Array.from(this.sequences.entries()),
                 schedules: Array.from(this.schedules.entries()),
+                lightOverlay: Array.from(this.lightOverlay.values()),
+                location: this.location,
+                timezone: this.timezone,
                 version: "1.0.0",
                 lastSaved: new Date().toISOString()
             };
-            localStorage.setItem('rv_lighting_data', JSON.stringify(data));
+            this.storage.setItem('rv_lighting_data', JSON.stringify(data));
             this.log("Data saved to localStorage");
         } catch (error) {
             this.error("Failed to save data to localStorage:", error);
         }
     }
 
+    /**
+     * Save schedule checkpoints (when each active schedule last ran),
+     * used to find events missed while the host was asleep or offline
+     * @private
+     */
+    saveScheduleState() {
+        if (!this.storage) return;
+
+        try {
+            const state = {
+                checkpoints: Object.fromEntries(this.scheduleCheckpoints)
+            };
+            this.storage.setItem('rv_lighting_schedule_state', JSON.stringify(state));
+        } catch (error) {
+            this.error("Failed to save schedule state:", error);
+        }
+    }
+
+    /**
+     * Save the schedule execution history
+     * @private
+     */
+    saveHistory() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem('rv_lighting_history', JSON.stringify(this.history));
+        } catch (error) {
+            this.error("Failed to save schedule history:", error);
+        }
+    }
+
+    /**
+     * Save undo and redo snapshots, which outlive an emergency reset
+     * @private
+     */
+    saveUndoHistory() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem('rv_lighting_undo', JSON.stringify({ undo: this.undoStack, redo: this.redoStack }));
+        } catch (error) {
+            this.error("Failed to save undo history:", error);
+        }
+    }
+
+    /**
+     * Save the scene layer stack so removing a layer after a reload still
+     * restores the layer below
+     * @private
+     */
+    saveSceneLayers() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem('rv_lighting_layers', JSON.stringify(this.sceneLayers));
+        } catch (error) {
+            this.error("Failed to save scene layers:", error);
+        }
+    }
+
+    /**
+     * Save pending sleep timers so they survive a page reload
+     * @private
+     */
+    saveSleepTimers() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem('rv_lighting_timers', JSON.stringify(Array.from(this.sleepTimers.values())));
+        } catch (error) {
+            this.error("Failed to save sleep timers:", error);
+        }
+    }
+
+    /**
+     * Push scenes and schedules to the server so the headless
+     * schedule runner sees the same data as this tablet. Pushes run one
+     * at a time and merge with whatever the server has by then.
+     * @private
+     */
+    syncToServer() {
+        if (!this.syncUrl || typeof fetch === 'undefined' || this.syncQueued) return;
+
+        this.syncQueued = true;
+        this.serverSync = this.serverSync.then(() => {
+            this.syncQueued = false;
+            return this.pushToServer();
+        }).catch(error => {
+            this.error("Failed to sync data to server:", error);
+        });
+    }
+
+    /**
+     * Load scenes, sequences, schedules and light overlays from the
+     * server, replacing this host's copies, so edits made through the
+     * REST API or another tablet show up here. When the server has no
+     * data yet, this host's data is pushed up instead.
+     * @returns {Promise<boolean>} Whether server data was loaded
+     */
+    loadFromServer() {
+        if (!this.syncUrl || typeof fetch === 'undefined') return Promise.resolve(false);
+
+        const load = this.serverSync.then(async () => {
+            const data = await this.fetchServerData();
+            // A copy: scenes and schedules are edited in place
+            this.serverData = JSON.parse(JSON.stringify(data));
+            if (!data.lastModified) {
+                this.syncToServer();
+                return false;
+            }
+
+            this.adoptServerData(data);
+            this.log("Data loaded from server");
+            return true;
+        });
+        this.serverSync = load.catch(error => {
+            this.error("Failed to load data from server:", error);
+        });
+        return load.catch(() => false);
+    }
+
+    /**
+     * Send this host's data to the server. If someone else saved since
+     * this host last loaded or saved, their changes are kept and this
+     * host's changes since then are replayed on top (see mergeServerData).
+     * @private
+     */
+    async pushToServer() {
+        const server = await this.fetchServerData();
+        if (server.lastModified !== (this.serverData && this.serverData.lastModified)) {
+            this.adoptServerData(this.mergeServerData(server, this.serverData || server));
+        }
+
+        const data = this.getSyncData();
+        const response = await fetch(this.syncUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const result = await response.json();
+        this.serverData = JSON.parse(JSON.stringify({ ...data, lastModified: result.lastModified }));
+        this.log("Data synced to server");
+    }
+
+    /**
+     * The data shared with the server
+     * @private
+     * @returns {Object} { scenes, sequences, schedules, lightOverlay, location }
+     */
+    getSyncData() {
+        return {
+            scenes: this.getAllScenes(),
+            sequences: this.getAllSequences(),
+            schedules: Array.from(this.schedules.values()),
+            lightOverlay: Array.from(this.lightOverlay.values()),
+            location: this.location
+        };
+    }
+
+    /**
+     * Fetch the server's copy of the shared data
+     * @private
+     * @returns {Promise<Object>} Lighting data; lastModified is missing when the server has none yet
+     */
+    async fetchServerData() {
+        const response = await fetch(this.syncUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const result = await response.json();
+        return result.data || {};
+    }
+
+    /**
+     * Three-way merge of this host's data into the server's: items this
+     * host added, changed or deleted since `base` win; everything else is
+     * the server's, in the server's order. Scenes, sequences and
+     * schedules are matched by name, light overlays by light identity.
+     * @private
+     * @param {Object} server - Server's current data
+     * @param {Object} base - Data as this host last loaded or saved it
+     * @returns {Object} Merged data, with the server's lastModified
+     */
+    mergeServerData(server, base) {
+        const local = this.getSyncData();
+        const merged = { ...server };
+        const idOf = {
+            scenes: item => item.name,
+            sequences: item => item.name,
+            schedules: item => item.name,
+            lightOverlay: item => this.getLightKey(item.fingerprint)
+        };
+
+        for (const [key, id] of Object.entries(idOf)) {
+            const before = new Map((base[key] || []).map(item => [id(item), JSON.stringify(item)]));
+            const items = new Map((server[key] || []).map(item => [id(item), item]));
+            const kept = new Set();
+
+            for (const item of local[key]) {
+                kept.add(id(item));
+                if (before.get(id(item)) !== JSON.stringify(item)) {
+                    items.set(id(item), item);
+                }
+            }
+            for (const itemId of before.keys()) {
+                if (!kept.has(itemId)) items.delete(itemId);
+            }
+            merged[key] = Array.from(items.values());
+        }
+
+        if (JSON.stringify(local.location) !== JSON.stringify(base.location || null)) {
+            merged.location = local.location;
+        }
+        return merged;
+    }
+
+    /**
+     * Replace this host's shared data with the server's, keeping it in
+     * localStorage without pushing it straight back
+     * @private
+     * @param {Object} data - Lighting data ({ scenes, sequences, schedules, lightOverlay, location })
+     */
+    adoptServerData(data) {
+        this.scenes = new Map((data.scenes || []).map(scene => [scene.name, scene]));
+        this.sequences = new Map((data.sequences || []).map(sequence => [sequence.name, sequence]));
+        this.schedules = new Map((data.schedules || []).map(schedule => [schedule.name, schedule]));
+        this.restoreLightOverlay(data.lightOverlay);
+        if (data.location) {
+            this.location = data.location;
+        }
+        this.writeLocalData();
+
+        if (this.isInitialized) {
+            this.restoreActiveSchedules();
+        }
+        if (this.onDataChange) {
+            this.onDataChange();
+        }
+    }
+
     /**
      * Load data from localStorage
      * @private
      */
     loadSavedData() {
+        if (!this.storage) return;
+
         try {
-            const data = JSON.parse(localStorage.getItem('rv_lighting_data') || '{}');
+            const data = JSON.parse(this.storage.getItem('rv_lighting_data') || '{}');
 
             if (data.scenes) {
                 this.scenes = new Map(data.scenes);
             }
 
+            if (data.sequences) {
+                this.sequences = new Map(data.sequences);
+            }
+
             if (data.schedules) {
                 this.schedules = new Map(data.schedules);
             }
 
+            if (data.lightOverlay) {
+                this.restoreLightOverlay(data.lightOverlay);
+            }
+
+            if (data.location) {
+                this.location = data.location;
+            }
+
+            if (data.timezone && !this.timezone) {
+                this.timezone = data.timezone;
+            }
+
+            const state = JSON.parse(this.storage.getItem('rv_lighting_schedule_state') || '{}');
+            if (state.checkpoints) {
+                this.scheduleCheckpoints = new Map(Object.entries(state.checkpoints));
+            }
+
+            this.history = JSON.parse(this.storage.getItem('rv_lighting_history') || '[]');
+
+            this.sceneLayers = JSON.parse(this.storage.getItem('rv_lighting_layers') || '[]');
+
+            const undo = JSON.parse(this.storage.getItem('rv_lighting_undo') || '{}');
+            this.undoStack = undo.undo || [];
+            this.redoStack = undo.redo || [];
+
+            const timers = JSON.parse(this.storage.getItem('rv_lighting_timers') || '[]');
+            for (const timer of timers) {
+                this.sleepTimers.set(timer.id, timer);
+                this.nextSleepTimerId = Math.max(this.nextSleepTimerId, timer.id + 1);
+            }
+
             this.log(`Loaded ${this.scenes.size} scenes and ${this.schedules.size} schedules`);
         } catch (error) {
             this.error("Error loading saved lighting data:", error);
@@ -594,15 +3839,24 @@ class RVLightingController {
     exportConfig() {
         return {
             scenes: this.getAllScenes(),
+            sequences: this.getAllSequences(),
             schedules: Array.from(this.schedules.values()),
+            lightOverlay: Array.from(this.lightOverlay.values()),
+            location: this.location,
             version: "1.0.0",
             exportDate: new Date().toISOString(),
-            lights: this.getAllLights().map(light => ({
-                name: light.name,
-                room: light.room,
-                roomName: light.roomName,
-                isDimmer: light.isDimmer
-            }))
+            lights: this.getAllLights({ includeHidden: true }).map(light => {
+                const display = this.getLightDisplay(light);
+                return {
+                    name: display.name,
+                    coachName: light.name,
+                    room: display.room,
+                    roomName: display.roomName,
+                    icon: display.icon,
+                    hidden: display.hidden,
+                    isDimmer: light.isDimmer
+                };
+            })
         };
     }
 
@@ -618,6 +3872,7 @@ class RVLightingController {
             }
 
             let importedScenes = 0;
+            let importedSequences = 0;
             let importedSchedules = 0;
 
             if (config.scenes && Array.isArray(config.scenes)) {
@@ -629,6 +3884,15 @@ class RVLightingController {
                 }
             }
 
+            if (config.sequences && Array.isArray(config.sequences)) {
+                for (const sequence of config.sequences) {
+                    if (sequence.name) {
+                        this.sequences.set(sequence.name, sequence);
+                        importedSequences++;
+                    }
+                }
+            }
+
             if (config.schedules && Array.isArray(config.schedules)) {
                 for (const schedule of config.schedules) {
                     if (schedule.name) {
@@ -638,8 +3902,21 @@ class RVLightingController {
                 }
             }
 
+            // Overlays are keyed by light identity, so ones for another coach's lights just go unused
+            if (Array.isArray(config.lightOverlay)) {
+                this.restoreLightOverlay([...this.lightOverlay.values(), ...config.lightOverlay]);
+            }
+
+            if (config.location && typeof config.location.latitude === 'number' &&
+                typeof config.location.longitude === 'number') {
+                this.location = config.location;
+            }
+
             this.saveToStorage();
-            this.log(`Configuration imported: ${importedScenes} scenes, ${importedSchedules} schedules`);
+            if (this.isInitialized) {
+                this.restoreActiveSchedules();
+            }
+            this.log(`Configuration imported: ${importedScenes} scenes, ${importedSequences} sequences, ${importedSchedules} schedules`);
             return true;
         } catch (error) {
             this.error("Error importing configuration:", error);
@@ -647,6 +3924,18 @@ class RVLightingController {
         }
     }
 
+    /**
+     * Remove everything controllers keep in storage: scenes, schedules,
+     * checkpoints, history, undo snapshots, layers and sleep timers.
+     * Call cleanup() on a running controller first, or it will keep
+     * going and save some of it again.
+     * @param {Storage} [storage] - Storage to clear (defaults to localStorage)
+     */
+    static clearAllStorage(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        if (!storage) return;
+        STORAGE_KEYS.forEach(key => storage.removeItem(key));
+    }
+
     /**
      * Get system status
      * @returns {Object} System status object
@@ -656,8 +3945,14 @@ class RVLightingController {
             initialized: this.isInitialized,
             lightsCount: this.lights.size,
             scenesCount: this.scenes.size,
+            sequencesCount: this.sequences.size,
+            playingSequences: Array.from(this.sequencePlayers.keys()),
             schedulesCount: this.schedules.size,
             activeSchedulesCount: this.activeSchedules.size,
+            sleepTimersCount: this.sleepTimers.size,
+            sceneLayersCount: this.sceneLayers.length,
+            commandQueue: this.getCommandQueueStatus(),
+            statusPollInterval: this.statusPollInterval,
             rooms: Object.keys(this.roomNames).map(id => ({
                 id: parseInt(id),
                 name: this.roomNames[id],
@@ -680,7 +3975,7 @@ class RVLightingController {
      * @private
      */
     log(message, ...args) {
-        if (this.debug || window.RV_LIGHTING_DEBUG) {
+        if (this.debug || (typeof window !== 'undefined' && window.RV_LIGHTING_DEBUG)) {
             console.log(`[RVLighting] ${message}`, ...args);
         }
     }
@@ -0,0 +1,718 @@
+/**
+ * RV Lighting Control System - Schedule Time Helpers
+ * Resolves schedule event times, including sunrise/sunset-relative
+ * times computed offline from a stored latitude/longitude, in an
+ * IANA time zone with predictable DST behaviour:
+ * - a wall time skipped by spring-forward fires once, shifted by the gap
+ *   (02:30 runs at 03:30)
+ * - a wall time repeated by fall-back fires once, at its first occurrence
+ * Events can be limited to a date range, a single date, or exclude
+ * exception dates; dates are "YYYY-MM-DD" days in the schedule's zone.
+ * Away schedules get a randomized on/off plan per day, generated from a
+ * seed so the same day always produces the same plan.
+ * Events can also use a five-field cron expression ("0,30 18-23 * * fri,sat")
+ * instead of a time and days; cron times follow the same DST rules.
+ * Shared by RVLightingController in the browser and on the server.
+ */
+
+const ScheduleTime = (() => {
+    const FIXED_TIME = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+    const SOLAR_TIME = /^(sunrise|sunset)(?:([+-])(\d{1,3}))?$/;
+    const CALENDAR_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    const RAD = Math.PI / 180;
+    const DAY_MS = 86400000;
+    const J1970 = 2440588;
+    const J2000 = 2451545;
+    const J0 = 0.0009;
+    const OBLIQUITY = RAD * 23.4397;
+    const SUN_ALTITUDE = -0.833 * RAD; // Upper limb at the horizon, with refraction
+    const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    // Away mode defaults, in minutes
+    const AWAY_ON_MINUTES = [20, 90];
+    const AWAY_OFF_MINUTES = [10, 60];
+
+    // Cron fields in order; day of week accepts 0-7 with both 0 and 7 meaning Sunday
+    const CRON_FIELDS = [
+        { min: 0, max: 59 },
+        { min: 0, max: 23 },
+        { min: 1, max: 31 },
+        { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+        { min: 0, max: 7, names: DAY_NAMES }
+    ];
+    const CRON_MACROS = {
+        '@yearly': '0 0 1 1 *',
+        '@annually': '0 0 1 1 *',
+        '@monthly': '0 0 1 * *',
+        '@weekly': '0 0 * * 0',
+        '@daily': '0 0 * * *',
+        '@midnight': '0 0 * * *',
+        '@hourly': '0 * * * *'
+    };
+    const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    const formatters = new Map();
+    const cronCache = new Map();
+
+    /**
+     * Get the host's own IANA time zone
+     * @returns {string}
+     */
+    function getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * Whether a string is a time zone this runtime understands
+     * @param {string} timeZone
+     * @returns {boolean}
+     */
+    function isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function getFormatter(timeZone) {
+        if (!formatters.has(timeZone)) {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+                weekday: 'short'
+            }));
+        }
+        return formatters.get(timeZone);
+    }
+
+    /**
+     * Break an instant into wall-clock fields in a time zone
+     * @param {Date} date - Instant
+     * @param {string} timeZone - IANA zone
+     * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday ('sun'..'sat') }
+     */
+    function getZonedParts(date, timeZone) {
+        const parts = {};
+        for (const part of getFormatter(timeZone).formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+
+        return {
+            year: parseInt(parts.year),
+            month: parseInt(parts.month),
+            day: parseInt(parts.day),
+            hour: parseInt(parts.hour),
+            minute: parseInt(parts.minute),
+            second: parseInt(parts.second),
+            weekday: parts.weekday.slice(0, 3).toLowerCase()
+        };
+    }
+
+    /**
+     * Offset of a time zone from UTC at an instant
+     * @param {number} timestamp - Epoch ms
+     * @param {string} timeZone - IANA zone
+     * @returns {number} Offset in ms (negative west of UTC)
+     */
+    function getOffset(timestamp, timeZone) {
+        const p = getZonedParts(new Date(timestamp), timeZone);
+        const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return wall - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * Convert a wall-clock time in a time zone to an instant.
+     * Skipped wall times resolve forward by the DST gap; repeated wall
+     * times resolve to their first occurrence.
+     * @returns {Date}
+     */
+    function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+        const wall = Date.UTC(year, month - 1, day, hour, minute);
+        const offsetBefore = getOffset(wall - DAY_MS, timeZone);
+        const offsetAfter = getOffset(wall + DAY_MS, timeZone);
+
+        const matches = [offsetBefore, offsetAfter]
+            .map(offset => wall - offset)
+            .filter(timestamp => {
+                const p = getZonedParts(new Date(timestamp), timeZone);
+                return p.day === day && p.hour === hour && p.minute === minute;
+            })
+            .sort((a, b) => a - b);
+
+        if (matches.length > 0) {
+            return new Date(matches[0]);
+        }
+
+        // In a spring-forward gap: read the wall time with the pre-transition offset
+        return new Date(wall - offsetBefore);
+    }
+
+    /**
+     * Calendar day in a time zone, shifted by a number of days
+     * @param {Object} parts - { year, month, day }
+     * @param {number} days - Days to add
+     * @returns {Object} { year, month, day, weekday }
+     */
+    function addDays(parts, days) {
+        const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            weekday: DAY_NAMES[date.getUTCDay()]
+        };
+    }
+
+    /**
+     * Stable key for a calendar day, e.g. "2024-03-10"
+     * @param {Object} parts - { year, month, day }
+     * @returns {string}
+     */
+    function dayKey(parts) {
+        return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Whether a string is a real "YYYY-MM-DD" calendar date
+     * @param {string} value
+     * @returns {boolean}
+     */
+    function isCalendarDate(value) {
+        const match = CALENDAR_DATE.exec(value);
+        if (!match) return false;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        return dayKey(addDays({ year, month, day }, 0)) === value;
+    }
+
+    /**
+     * Whether a day falls inside a set of date bounds
+     * @param {Object} bounds - { startDate, endDate, exceptions } (all optional).
+     *   Exceptions are dates or { start, end, reason } ranges.
+     * @param {string} key - Day key, e.g. "2024-12-25"
+     * @returns {boolean}
+     */
+    function isWithinDates(bounds, key) {
+        if (bounds.startDate && key < bounds.startDate) return false;
+        if (bounds.endDate && key > bounds.endDate) return false;
+
+        return !(bounds.exceptions || []).some(exception => typeof exception === 'string'
+            ? key === exception
+            : key >= exception.start && key <= (exception.end || exception.start));
+    }
+
+    /**
+     * Whether an event runs on a calendar day
+     * @param {Object} event - Schedule event ({ days } or { date }, plus optional bounds)
+     * @param {Object} day - { year, month, day, weekday }
+     * @param {Object} [schedule] - Schedule whose own bounds also apply
+     * @returns {boolean}
+     */
+    function isEventDay(event, day, schedule) {
+        const key = dayKey(day);
+
+        if (event.date) {
+            // One-off events ignore the day-of-week list
+            if (key !== event.date) return false;
+        } else if (event.cron) {
+            const cron = parseCron(event.cron);
+            if (!cron || !isCronDay(cron, day)) return false;
+        } else if (!event.days || !event.days.includes(day.weekday)) {
+            return false;
+        }
+
+        return isWithinDates(event, key) && (!schedule || isWithinDates(schedule, key));
+    }
+
+    /**
+     * Parse one cron field into the values it matches
+     * @param {string} text - Field text, e.g. "*", "18-23", "*\/15", "mon-fri", "1,15"
+     * @param {Object} field - Entry from CRON_FIELDS
+     * @returns {Array<number>|null} Sorted values, or null if the field is invalid
+     */
+    function parseCronField(text, field) {
+        const values = new Set();
+        const toNumber = value => {
+            const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+            if (named >= 0) return named + field.min;
+            return /^\d+$/.test(value) ? parseInt(value) : NaN;
+        };
+
+        for (const part of text.split(',')) {
+            const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i.exec(part);
+            if (!match) return null;
+
+            const [range, stepText] = [match[1], match[2]];
+            const step = stepText ? parseInt(stepText) : 1;
+            let [start, end] = range === '*' ? [field.min, field.max] : range.split('-').map(toNumber);
+            if (end === undefined) {
+                // "5/15" runs from 5 to the end of the field
+                end = stepText ? field.max : start;
+            }
+
+            if (isNaN(start) || isNaN(end) || start < field.min || end > field.max || start > end || step < 1) {
+                return null;
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return Array.from(values).sort((a, b) => a - b);
+    }
+
+    /**
+     * Parse a five-field cron expression (minute hour day-of-month month
+     * day-of-week) or a macro such as "@daily". As in classic cron, when
+     * both day fields are restricted a day matching either one runs.
+     * @param {string} expression - e.g. "*\/30 18-23 * * 5,6"
+     * @returns {Object|null} { fields, minutes, hours, daysOfMonth, months, daysOfWeek, anyDay },
+     *   or null if the expression is invalid
+     */
+    function parseCron(expression) {
+        if (typeof expression !== 'string') return null;
+        if (cronCache.has(expression)) return cronCache.get(expression);
+
+        const trimmed = expression.trim().toLowerCase();
+        const fields = (CRON_MACROS[trimmed] || trimmed).split(/\s+/);
+        let cron = null;
+
+        if (fields.length === 5) {
+            const values = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+            if (values.every(Boolean)) {
+                const [minutes, hours, daysOfMonth, months, daysOfWeek] = values;
+                cron = {
+                    fields,
+                    minutes,
+                    hours,
+                    daysOfMonth,
+                    months,
+                    daysOfWeek: Array.from(new Set(daysOfWeek.map(day => day % 7))).sort((a, b) => a - b),
+                    anyDay: fields[2].startsWith('*') || fields[4].startsWith('*')
+                };
+            }
+        }
+
+        cronCache.set(expression, cron);
+        return cron;
+    }
+
+    /**
+     * Whether a string is a valid cron expression
+     * @param {string} expression
+     * @returns {boolean}
+     */
+    function isValidCron(expression) {
+        return parseCron(expression) !== null;
+    }
+
+    /**
+     * Whether a parsed cron expression runs on a calendar day
+     * @param {Object} cron - From parseCron
+     * @param {Object} day - { year, month, day, weekday }
+     * @returns {boolean}
+     */
+    function isCronDay(cron, day) {
+        if (!cron.months.includes(day.month)) return false;
+
+        const dayOfMonth = cron.daysOfMonth.includes(day.day);
+        const dayOfWeek = cron.daysOfWeek.includes(DAY_NAMES.indexOf(day.weekday));
+        return cron.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+    }
+
+    /**
+     * Every instant a cron expression fires on a calendar day. Skipped and
+     * repeated wall times follow zonedTimeToUtc, so each fires once.
+     * @param {Object} cron - From parseCron
+     * @param {Object} day - { year, month, day } in the schedule's time zone
+     * @param {string} timeZone - IANA zone
+     * @returns {Array<Date>} Fire times in order
+     */
+    function getCronInstants(cron, day, timeZone) {
+        const midnight = zonedTimeToUtc(day.year, day.month, day.day, 0, 0, timeZone).getTime();
+        const offset = getOffset(midnight, timeZone);
+        const steady = getOffset(midnight + DAY_MS - 60000, timeZone) === offset;
+        const instants = new Set();
+
+        for (const hour of cron.hours) {
+            for (const minute of cron.minutes) {
+                // Without a DST change that day the offset is fixed; skip the slow lookup
+                const instant = steady
+                    ? Date.UTC(day.year, day.month - 1, day.day, hour, minute) - offset
+                    : zonedTimeToUtc(day.year, day.month, day.day, hour, minute, timeZone).getTime();
+                instants.add(instant);
+            }
+        }
+
+        return Array.from(instants).sort((a, b) => a - b).map(instant => new Date(instant));
+    }
+
+    // Collapse sorted values into [start, end] runs of consecutive values
+    function toRuns(values) {
+        const runs = [];
+        for (const value of values) {
+            const last = runs[runs.length - 1];
+            if (last && value === last[1] + 1) {
+                last[1] = value;
+            } else {
+                runs.push([value, value]);
+            }
+        }
+        return runs;
+    }
+
+    function joinList(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+    }
+
+    function describeRuns(values, label) {
+        return joinList(toRuns(values).flatMap(([start, end]) => end - start > 1
+            ? [`${label(start)}–${label(end)}`]
+            : Array.from(new Set([start, end]), label)));
+    }
+
+    /**
+     * Describe a cron expression in words, e.g. "*\/30 18-23 * * 5,6"
+     * becomes "Every 30 minutes, 18:00–23:59, on Fri and Sat"
+     * @param {string} expression - Cron expression
+     * @returns {string|null} Description, or null if the expression is invalid
+     */
+    function describeCron(expression) {
+        const cron = parseCron(expression);
+        if (!cron) return null;
+
+        const pad = value => String(value).padStart(2, '0');
+        const [minuteField, hourField] = cron.fields;
+        const parts = [];
+
+        if (cron.minutes.length * cron.hours.length <= 4) {
+            const times = cron.hours.flatMap(hour => cron.minutes.map(minute => `${pad(hour)}:${pad(minute)}`));
+            parts.push(`At ${joinList(times)}`);
+        } else {
+            const step = /^\*\/(\d+)$/.exec(minuteField);
+            parts.push(minuteField === '*' ? 'Every minute'
+                : step ? `Every ${step[1]} minutes`
+                    : `At minute${cron.minutes.length > 1 ? 's' : ''} ${joinList(cron.minutes.map(String))}`);
+
+            const hourStep = /^\*\/(\d+)$/.exec(hourField);
+            if (hourStep) {
+                parts.push(`every ${hourStep[1]} hours`);
+            } else if (hourField !== '*') {
+                parts.push(joinList(toRuns(cron.hours).map(([start, end]) => `${pad(start)}:00–${pad(end)}:59`)));
+            }
+        }
+
+        const dayOfMonth = cron.fields[2] === '*' ? null
+            : `on day${cron.daysOfMonth.length > 1 ? 's' : ''} ${describeRuns(cron.daysOfMonth, String)} of the month`;
+        const dayOfWeek = cron.daysOfWeek.length === 7 ? null : `on ${describeRuns(cron.daysOfWeek, day => DAY_LABELS[day])}`;
+        const days = [dayOfMonth, dayOfWeek].filter(Boolean).join(cron.anyDay ? ' and ' : ' or ');
+        const months = cron.months.length === 12 ? '' : ` in ${describeRuns(cron.months, month => MONTH_LABELS[month - 1])}`;
+
+        return `${parts.join(', ')}${days ? `${parts.length > 1 ? ',' : ''} ${days}` : ''}${months}`;
+    }
+
+    /**
+     * Parse an event time string
+     * @param {string} time - "HH:MM", "sunrise", "sunset", "sunset-15", "sunrise+30"
+     * @returns {Object|null} { type: 'fixed', hours, minutes } or { type: 'sunrise'|'sunset', offset }
+     */
+    function parseEventTime(time) {
+        if (typeof time !== 'string') return null;
+
+        const fixed = FIXED_TIME.exec(time);
+        if (fixed) {
+            return { type: 'fixed', hours: parseInt(fixed[1]), minutes: parseInt(fixed[2]) };
+        }
+
+        const solar = SOLAR_TIME.exec(time);
+        if (solar) {
+            const offset = solar[3] ? parseInt(solar[3]) * (solar[2] === '-' ? -1 : 1) : 0;
+            return { type: solar[1], offset };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether an event time is relative to sunrise or sunset
+     * @param {string} time - Event time string
+     * @returns {boolean}
+     */
+    function isSolarTime(time) {
+        const parsed = parseEventTime(time);
+        return !!parsed && parsed.type !== 'fixed';
+    }
+
+    function toDays(date) {
+        return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+    }
+
+    function fromJulian(j) {
+        return new Date((j + 0.5 - J1970) * DAY_MS);
+    }
+
+    /**
+     * Compute sunrise and sunset for the solar day nearest the given instant
+     * @param {Date} date - Instant on the day of interest (local noon works best)
+     * @param {number} latitude - Degrees, north positive
+     * @param {number} longitude - Degrees, east positive
+     * @returns {Object|null} { sunrise: Date, sunset: Date }, or null during polar day/night
+     */
+    function getSunTimes(date, latitude, longitude) {
+        const lw = RAD * -longitude;
+        const phi = RAD * latitude;
+        const d = toDays(date);
+
+        const n = Math.round(d - J0 - lw / (2 * Math.PI));
+        const ds = J0 + lw / (2 * Math.PI) + n;
+
+        const M = RAD * (357.5291 + 0.98560028 * ds);
+        const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const L = M + C + RAD * 102.9372 + Math.PI;
+        const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+
+        const transit = (approx) => J2000 + approx + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        const cosW = (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        if (cosW < -1 || cosW > 1) {
+            return null; // Sun never sets or never rises
+        }
+
+        const w = Math.acos(cosW);
+        const jNoon = transit(ds);
+        const jSet = transit(J0 + (w + lw) / (2 * Math.PI) + n);
+        const jRise = jNoon - (jSet - jNoon);
+
+        return { sunrise: fromJulian(jRise), sunset: fromJulian(jSet) };
+    }
+
+    /**
+     * Format an instant as "HH:MM" in a time zone
+     * @param {Date} date
+     * @param {string} timeZone - IANA zone
+     * @returns {string}
+     */
+    function formatTime(date, timeZone) {
+        const p = getZonedParts(date, timeZone);
+        return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+    }
+
+    /**
+     * Work out the instant an event time falls on for a calendar day
+     * @param {string} time - Event time string
+     * @param {Object} day - { year, month, day } in the schedule's time zone
+     * @param {Object|null} location - { latitude, longitude }
+     * @param {string} timeZone - IANA zone
+     * @returns {Date|null} Fire time, or null if it can't be resolved
+     */
+    function resolveEventInstant(time, day, location, timeZone) {
+        const parsed = parseEventTime(time);
+        if (!parsed) return null;
+
+        if (parsed.type === 'fixed') {
+            return zonedTimeToUtc(day.year, day.month, day.day, parsed.hours, parsed.minutes, timeZone);
+        }
+
+        if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+            return null;
+        }
+
+        const noon = zonedTimeToUtc(day.year, day.month, day.day, 12, 0, timeZone);
+        const sun = getSunTimes(noon, location.latitude, location.longitude);
+        if (!sun) return null;
+
+        // Whole minutes, so the event lines up with minute-based checks
+        const instant = sun[parsed.type].getTime() + parsed.offset * 60000;
+        return new Date(Math.floor(instant / 60000) * 60000);
+    }
+
+    /**
+     * Get every time an event fires in a window
+     * @param {Object} event - Schedule event ({ time, days }, { time, date } or { cron })
+     * @param {Date} from - Window start (exclusive)
+     * @param {Date} to - Window end (inclusive)
+     * @param {Object|null} location - { latitude, longitude }
+     * @param {string} timeZone - IANA zone
+     * @param {Object} [schedule] - Schedule whose date bounds also apply
+     * @returns {Array<Date>} Fire times in order
+     */
+    function getEventOccurrences(event, from, to, location, timeZone, schedule) {
+        const occurrences = [];
+        const firstDay = getZonedParts(from, timeZone);
+        const lastKey = dayKey(getZonedParts(to, timeZone));
+
+        // Start a day early: DST shifts and sun offsets can push an event past midnight
+        for (let offset = -1; ; offset++) {
+            const day = addDays(firstDay, offset);
+            if (dayKey(day) > lastKey) break;
+            if (!isEventDay(event, day, schedule)) continue;
+
+            const instants = event.cron
+                ? getCronInstants(parseCron(event.cron), day, timeZone)
+                : [resolveEventInstant(event.time, day, location, timeZone)];
+            for (const instant of instants) {
+                if (instant && instant > from && instant <= to) {
+                    occurrences.push(instant);
+                }
+            }
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Seedable pseudo-random generator (mulberry32 over an FNV-1a hash of the seed)
+     * @param {string|number} seed
+     * @returns {Function} Returns a float in [0, 1) on each call
+     */
+    function createRandom(seed) {
+        let state = 0x811c9dc5;
+        for (const char of String(seed)) {
+            state = Math.imul(state ^ char.charCodeAt(0), 0x01000193);
+        }
+
+        return () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function randomMinutes(random, [min, max]) {
+        return (min + random() * (max - min)) * 60000;
+    }
+
+    /**
+     * Build one day's randomized on/off plan for an away schedule.
+     * Each room gets its own periods inside every window; the plan depends
+     * only on the seed and the day, so it can be recomputed at will.
+     * @param {Object} schedule - Away schedule ({ seed, rooms, windows, onMinutes, offMinutes, brightness })
+     * @param {Object} day - { year, month, day } in the schedule's time zone
+     * @param {Object|null} location - { latitude, longitude }, for sun-relative windows
+     * @param {string} timeZone - IANA zone
+     * @returns {Array<Object>} { time: Date, event } entries in order
+     */
+    function getAwayPlan(schedule, day, location, timeZone) {
+        const plan = [];
+        const onMinutes = schedule.onMinutes || AWAY_ON_MINUTES;
+        const offMinutes = schedule.offMinutes || AWAY_OFF_MINUTES;
+        const floorToMinute = timestamp => new Date(Math.floor(timestamp / 60000) * 60000);
+
+        (schedule.windows || []).forEach((window, windowIndex) => {
+            const start = resolveEventInstant(window.start, day, location, timeZone);
+            let end = resolveEventInstant(window.end, day, location, timeZone);
+            if (!start || !end) return;
+
+            // Windows like 22:00-01:00 end the next day
+            if (end <= start) {
+                end = resolveEventInstant(window.end, addDays(day, 1), location, timeZone);
+            }
+
+            for (const room of schedule.rooms || []) {
+                const random = createRandom(`${schedule.seed}:${dayKey(day)}:${windowIndex}:${room}`);
+                let time = start.getTime() + random() * offMinutes[1] * 60000;
+
+                while (time < end.getTime()) {
+                    const off = Math.min(time + randomMinutes(random, onMinutes), end.getTime());
+                    plan.push({ time: floorToMinute(time), event: { action: 'room_on', room, brightness: schedule.brightness || 100 } });
+                    plan.push({ time: floorToMinute(off), event: { action: 'room_off', room } });
+                    time = off + randomMinutes(random, offMinutes);
+                }
+            }
+        });
+
+        return plan.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Get every action an away schedule takes in a window
+     * @param {Object} schedule - Away schedule
+     * @param {Date} from - Window start (exclusive)
+     * @param {Date} to - Window end (inclusive)
+     * @param {Object|null} location - { latitude, longitude }
+     * @param {string} timeZone - IANA zone
+     * @returns {Array<Object>} { time: Date, event } entries in order
+     */
+    function getAwayOccurrences(schedule, from, to, location, timeZone) {
+        const occurrences = [];
+        const firstDay = getZonedParts(from, timeZone);
+        const lastKey = dayKey(getZonedParts(to, timeZone));
+        const days = { days: schedule.days || DAY_NAMES };
+
+        // Start a day early: windows can run past midnight
+        for (let offset = -1; ; offset++) {
+            const day = addDays(firstDay, offset);
+            if (dayKey(day) > lastKey) break;
+            if (!isEventDay(days, day, schedule)) continue;
+
+            for (const run of getAwayPlan(schedule, day, location, timeZone)) {
+                if (run.time > from && run.time <= to) {
+                    occurrences.push(run);
+                }
+            }
+        }
+
+        return occurrences.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Resolve an event time to "HH:MM" on a given day
+     * @param {string} time - Event time string
+     * @param {Date} date - Any instant on the day of interest
+     * @param {Object|null} location - { latitude, longitude }
+     * @param {string} [timeZone] - IANA zone (defaults to the host zone)
+     * @returns {string|null} Resolved time, or null if it can't be resolved
+     */
+    function resolveEventTime(time, date, location, timeZone = getLocalTimeZone()) {
+        const instant = resolveEventInstant(time, getZonedParts(date, timeZone), location, timeZone);
+        return instant ? formatTime(instant, timeZone) : null;
+    }
+
+    return {
+        FIXED_TIME,
+        SOLAR_TIME,
+        DAY_NAMES,
+        getLocalTimeZone,
+        isValidTimeZone,
+        getZonedParts,
+        zonedTimeToUtc,
+        addDays,
+        dayKey,
+        isCalendarDate,
+        isWithinDates,
+        isEventDay,
+        parseEventTime,
+        isSolarTime,
+        parseCron,
+        isValidCron,
+        isCronDay,
+        getCronInstants,
+        describeCron,
+        getSunTimes,
+        formatTime,
+        resolveEventInstant,
+        getEventOccurrences,
+        createRandom,
+        getAwayPlan,
+        getAwayOccurrences,
+        resolveEventTime
+    };
+})();
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleTime;
+}
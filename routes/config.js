@@ -103,7 +103,9 @@ router.post('/reset', optionalAuth, async (req, res) => {
             advanced: {
                 debug_mode: false,
                 log_level: "info",
-                websocket_timeout: 10000
+                websocket_timeout: 10000,
+                command_interval: 50,
+                status_poll_interval: 60000
             },
             lastModified: new Date().toISOString()
         };
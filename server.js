@@ -66,6 +66,13 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const fs = require('fs').promises;
 const path = require('path');
+const ScheduleRunner = require('./server/schedule-runner');
+const {
+    validateLightCommand,
+    validateRename,
+    validateOrder,
+    validateFavorite
+} = require('./server/middleware/validation');
 
 const app = express();
 
@@ -77,6 +84,9 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 
 console.log("🚀 RV Lighting Control Server starting...");
 
+// Headless schedule engine (runs schedules without a browser tab)
+const scheduleRunner = new ScheduleRunner(DATA_DIR);
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -194,7 +204,9 @@ function createDefaultConfig() {
         advanced: {
             debug_mode: false,
             log_level: "info",
-            websocket_timeout: 10000
+            websocket_timeout: 10000,
+            command_interval: 50,
+            status_poll_interval: 60000
         },
         lastModified: new Date().toISOString()
     };
@@ -267,6 +279,7 @@ app.post('/api/config', validateConfig, optionalAuth, async (req, res) => {
         };
 
         await saveConfig(updatedConfig);
+        scheduleRunner.start(updatedConfig);
 
         res.json({
             success: true,
@@ -286,6 +299,7 @@ app.post('/api/config/reset', optionalAuth, async (req, res) => {
     try {
         const defaultConfig = createDefaultConfig();
         await saveConfig(defaultConfig);
+        scheduleRunner.start(defaultConfig);
 
         res.json({
             success: true,
@@ -338,10 +352,14 @@ app.post('/api/data', optionalAuth, async (req, res) => {
         };
 
         await fs.writeFile(dataFile, JSON.stringify(dataToSave, null, 2));
+        scheduleRunner.reloadData(true).catch(error => {
+            console.error('Schedule runner reload error:', error);
+        });
 
         res.json({
             success: true,
-            message: 'Lighting data saved successfully'
+            message: 'Lighting data saved successfully',
+            lastModified: dataToSave.lastModified
         });
     } catch (error) {
         console.error('Data save error:', error);
@@ -352,6 +370,333 @@ app.post('/api/data', optionalAuth, async (req, res) => {
     }
 });
 
+// Schedule runner status
+app.get('/api/scheduler/status', optionalAuth, (req, res) => {
+    res.json({
+        success: true,
+        scheduler: scheduleRunner.getStatus()
+    });
+});
+
+// Schedule conflicts: overlapping events that set the same lights to different levels
+app.get('/api/schedules/conflicts', optionalAuth, async (req, res) => {
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 31) {
+        return res.status(400).json({
+            error: 'days must be a whole number from 1 to 31',
+            code: 'INVALID_DAYS'
+        });
+    }
+
+    try {
+        // ?schedule=Name checks one schedule, enabled or not, against the enabled ones
+        const schedule = req.query.schedule;
+        let conflicts = await scheduleRunner.findConflicts({ days, include: schedule });
+        if (schedule) {
+            conflicts = conflicts.filter(conflict => conflict.schedules.includes(schedule));
+        }
+
+        res.json({
+            success: true,
+            conflicts: conflicts.map(conflict => ({
+                ...conflict,
+                firstTime: conflict.firstTime.toISOString()
+            }))
+        });
+    } catch (error) {
+        console.error('Conflict analysis error:', error);
+        res.status(500).json({
+            error: 'Failed to analyse schedules',
+            code: 'CONFLICT_ANALYSIS_ERROR'
+        });
+    }
+});
+
+// Preview of what the enabled schedules will do, without sending anything
+app.get('/api/schedules/preview', optionalAuth, async (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+        return res.status(400).json({
+            error: 'from and to must be ISO dates with to after from',
+            code: 'INVALID_RANGE'
+        });
+    }
+
+    if (to - from > 31 * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+            error: 'Preview range is limited to 31 days',
+            code: 'RANGE_TOO_LONG'
+        });
+    }
+
+    try {
+        const actions = await scheduleRunner.simulate(from, to);
+        res.json({
+            success: true,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            actions: actions.map(action => ({
+                ...action,
+                time: action.time.toISOString()
+            }))
+        });
+    } catch (error) {
+        console.error('Schedule preview error:', error);
+        res.status(500).json({
+            error: 'Failed to preview schedules',
+            code: 'PREVIEW_ERROR'
+        });
+    }
+});
+
+// What the schedule runner actually did: one entry per event run, newest first
+app.get('/api/schedules/history', optionalAuth, async (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({
+            error: 'limit must be a whole number from 1 to 500',
+            code: 'INVALID_LIMIT'
+        });
+    }
+
+    const since = req.query.since ? new Date(req.query.since) : null;
+    if (since && isNaN(since)) {
+        return res.status(400).json({
+            error: 'since must be an ISO date',
+            code: 'INVALID_SINCE'
+        });
+    }
+
+    try {
+        const history = await scheduleRunner.getHistory({
+            schedule: req.query.schedule,
+            since,
+            failedOnly: req.query.failed === 'true',
+            limit
+        });
+        res.json({
+            success: true,
+            count: history.length,
+            history
+        });
+    } catch (error) {
+        console.error('Schedule history error:', error);
+        res.status(500).json({
+            error: 'Failed to load schedule history',
+            code: 'HISTORY_ERROR'
+        });
+    }
+});
+
+// The saved scene the lights currently match, as seen by the schedule runner
+app.get('/api/scenes/active', optionalAuth, (req, res) => {
+    const tolerance = req.query.tolerance === undefined ? undefined : parseInt(req.query.tolerance);
+    if (tolerance !== undefined && (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > 100)) {
+        return res.status(400).json({
+            error: 'tolerance must be a whole number from 0 to 100',
+            code: 'INVALID_TOLERANCE'
+        });
+    }
+
+    const controller = scheduleRunner.getController();
+    if (!controller) {
+        return res.status(503).json({
+            error: 'Not connected to the coach controller',
+            code: 'CONTROLLER_UNAVAILABLE'
+        });
+    }
+
+    res.json({
+        success: true,
+        activeScene: controller.getActiveScene({ tolerance })
+    });
+});
+
+// Which lights differ from a scene, and by how much
+app.get('/api/scenes/:name/diff', optionalAuth, (req, res) => {
+    const tolerance = req.query.tolerance === undefined ? undefined : parseInt(req.query.tolerance);
+    if (tolerance !== undefined && (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > 100)) {
+        return res.status(400).json({
+            error: 'tolerance must be a whole number from 0 to 100',
+            code: 'INVALID_TOLERANCE'
+        });
+    }
+
+    const controller = scheduleRunner.getController();
+    if (!controller) {
+        return res.status(503).json({
+            error: 'Not connected to the coach controller',
+            code: 'CONTROLLER_UNAVAILABLE'
+        });
+    }
+
+    const diff = controller.compareScene(req.params.name, { tolerance });
+    if (!diff) {
+        return res.status(404).json({
+            error: `Scene "${req.params.name}" not found`,
+            code: 'SCENE_NOT_FOUND'
+        });
+    }
+
+    res.json({
+        success: true,
+        ...diff
+    });
+});
+
+// Rename, duplicate, reorder and favorite scenes and schedules. Edits go
+// through a controller so renamed scenes are followed by the schedule
+// events, sequence steps and layers that use them.
+
+// Why a rename or duplicate can't go ahead, as an error response
+function checkNewName(items, name, newName, label) {
+    if (!items.has(name)) {
+        return { status: 404, error: `${label} "${name}" not found`, code: `${label.toUpperCase()}_NOT_FOUND` };
+    }
+    if (items.has(newName)) {
+        return { status: 409, error: `${label} "${newName}" already exists`, code: 'NAME_TAKEN' };
+    }
+    return null;
+}
+
+function checkOrder(items, names, label) {
+    const unknown = names.filter(name => !items.has(name));
+    if (unknown.length > 0) {
+        return { status: 400, error: `Unknown ${label.toLowerCase()}s: ${unknown.join(', ')}`, code: 'INVALID_ORDER' };
+    }
+    return null;
+}
+
+// Edit lighting_data.json and answer with the outcome
+async function sendDataEdit(res, edit, message, failure) {
+    try {
+        const result = await scheduleRunner.editData(edit);
+        if (result === true) {
+            return res.json({ success: true, message });
+        }
+        if (result) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        res.status(400).json({ error: failure.error, code: 'INVALID_EDIT' });
+    } catch (error) {
+        console.error(`${failure.error}:`, error);
+        res.status(500).json({ error: failure.error, code: failure.code });
+    }
+}
+
+app.post('/api/scenes/:name/rename', validateRename, optionalAuth, (req, res) => {
+    const { name } = req.params;
+    const newName = req.body.name;
+    sendDataEdit(res,
+        controller => checkNewName(controller.scenes, name, newName, 'Scene') || controller.renameScene(name, newName),
+        `Scene "${name}" renamed to "${newName}"`,
+        { error: 'Failed to rename scene', code: 'SCENE_RENAME_ERROR' });
+});
+
+app.post('/api/scenes/:name/duplicate', validateRename, optionalAuth, (req, res) => {
+    const { name } = req.params;
+    const newName = req.body.name;
+    sendDataEdit(res,
+        controller => checkNewName(controller.scenes, name, newName, 'Scene') || controller.duplicateScene(name, newName),
+        `Scene "${name}" copied to "${newName}"`,
+        { error: 'Failed to duplicate scene', code: 'SCENE_DUPLICATE_ERROR' });
+});
+
+app.put('/api/scenes/order', validateOrder, optionalAuth, (req, res) => {
+    const { names } = req.body;
+    sendDataEdit(res,
+        controller => checkOrder(controller.scenes, names, 'Scene') || controller.reorderScenes(names),
+        'Scene order saved',
+        { error: 'Failed to reorder scenes', code: 'SCENE_ORDER_ERROR' });
+});
+
+app.put('/api/scenes/:name/favorite', validateFavorite, optionalAuth, (req, res) => {
+    const { name } = req.params;
+    const { favorite } = req.body;
+    sendDataEdit(res,
+        controller => controller.scenes.has(name)
+            ? controller.setSceneFavorite(name, favorite)
+            : { status: 404, error: `Scene "${name}" not found`, code: 'SCENE_NOT_FOUND' },
+        `Scene "${name}" ${favorite ? 'added to' : 'removed from'} favorites`,
+        { error: 'Failed to update scene', code: 'SCENE_FAVORITE_ERROR' });
+});
+
+app.post('/api/schedules/:name/rename', validateRename, optionalAuth, (req, res) => {
+    const { name } = req.params;
+    const newName = req.body.name;
+    sendDataEdit(res,
+        controller => checkNewName(controller.schedules, name, newName, 'Schedule') || controller.renameSchedule(name, newName),
+        `Schedule "${name}" renamed to "${newName}"`,
+        { error: 'Failed to rename schedule', code: 'SCHEDULE_RENAME_ERROR' });
+});
+
+app.post('/api/schedules/:name/duplicate', validateRename, optionalAuth, (req, res) => {
+    const { name } = req.params;
+    const newName = req.body.name;
+    sendDataEdit(res,
+        controller => checkNewName(controller.schedules, name, newName, 'Schedule') || controller.duplicateSchedule(name, newName),
+        `Schedule "${name}" copied to "${newName}" (disabled)`,
+        { error: 'Failed to duplicate schedule', code: 'SCHEDULE_DUPLICATE_ERROR' });
+});
+
+app.put('/api/schedules/order', validateOrder, optionalAuth, (req, res) => {
+    const { names } = req.body;
+    sendDataEdit(res,
+        controller => checkOrder(controller.schedules, names, 'Schedule') || controller.reorderSchedules(names),
+        'Schedule order saved',
+        { error: 'Failed to reorder schedules', code: 'SCHEDULE_ORDER_ERROR' });
+});
+
+app.put('/api/schedules/:name/favorite', validateFavorite, optionalAuth, (req, res) => {
+    const { name } = req.params;
+    const { favorite } = req.body;
+    sendDataEdit(res,
+        controller => controller.schedules.has(name)
+            ? controller.setScheduleFavorite(name, favorite)
+            : { status: 404, error: `Schedule "${name}" not found`, code: 'SCHEDULE_NOT_FOUND' },
+        `Schedule "${name}" ${favorite ? 'added to' : 'removed from'} favorites`,
+        { error: 'Failed to update schedule', code: 'SCHEDULE_FAVORITE_ERROR' });
+});
+
+// Light commands, sent through the schedule runner's coach connection
+app.post('/api/lights/command', validateLightCommand, optionalAuth, (req, res) => {
+    const controller = scheduleRunner.getController();
+    if (!controller) {
+        return res.status(503).json({
+            error: 'Not connected to the coach controller',
+            code: 'CONTROLLER_UNAVAILABLE'
+        });
+    }
+
+    const { lightIndex, action, fadeMs, switchAt } = req.body;
+    const light = controller.lights.get(lightIndex);
+    if (!light) {
+        return res.status(404).json({
+            error: `Light ${lightIndex} not found`,
+            code: 'LIGHT_NOT_FOUND'
+        });
+    }
+
+    let brightness = req.body.brightness;
+    if (action === 'on') brightness = 100;
+    if (action === 'off') brightness = 0;
+    if (action === 'toggle') brightness = light.currentBrightness > 0 ? 0 : 100;
+
+    if (!controller.setLightBrightness(lightIndex, brightness, { fadeMs, switchAt })) {
+        return res.status(500).json({
+            error: 'Failed to send light command',
+            code: 'LIGHT_COMMAND_ERROR'
+        });
+    }
+
+    res.json({
+        success: true,
+        light: { index: lightIndex, name: controller.getLightDisplay(light).name, brightness, fadeMs: fadeMs || 0 }
+    });
+});
+
 // Backup routes
 app.get('/api/backups', optionalAuth, async (req, res) => {
     try {
@@ -465,11 +810,13 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    scheduleRunner.stop();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
+    scheduleRunner.stop();
     process.exit(0);
 });
 
@@ -485,6 +832,8 @@ async function startServer() {
             console.log(`🔧 Environment: ${NODE_ENV}`);
         });
 
+        scheduleRunner.start(await loadConfig());
+
         // Handle server errors
         server.on('error', (error) => {
             if (error.code === 'EADDRINUSE') {
@@ -0,0 +1,143 @@
+// server/coach-client.js
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+
+/**
+ * Headless WebSocket client for the coach controller.
+ *
+ * Follows the same handshake as the browser UI (connect, "?*!", PIN,
+ * CORRECTPIN) and re-emits KEY=VALUE messages on `messages` so an
+ * RVLightingController can run against it without a page.
+ *
+ * Emits 'ready' once the PIN is accepted and 'disconnected' when the
+ * socket closes. Reconnects with backoff until close() is called.
+ */
+class CoachClient extends EventEmitter {
+    constructor(connection = {}, authentication = {}) {
+        super();
+        this.connection = connection;
+        this.pin = authentication.pin || '';
+        this.messages = new EventEmitter();
+        this.messages.setMaxListeners(0);
+        this.socket = null;
+        this.pingInterval = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = false;
+    }
+
+    get url() {
+        const { controller_ip, controller_port, use_ssl } = this.connection;
+        return `${use_ssl ? 'wss' : 'ws'}://${controller_ip}:${controller_port}/`;
+    }
+
+    get isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        this.closed = false;
+        console.log(`🔌 Connecting to coach controller at ${this.url}`);
+
+        const socket = new WebSocket(this.url, {
+            handshakeTimeout: this.connection.websocket_timeout || 10000
+        });
+        this.socket = socket;
+
+        socket.on('open', () => {
+            console.log('✅ Coach controller connected');
+            this.reconnectAttempts = 0;
+            this.send('?*!');
+
+            this.pingInterval = setInterval(() => {
+                this.send('ping');
+            }, this.connection.ping_interval || 30000);
+        });
+
+        socket.on('message', (data) => {
+            this.handleMessage(data.toString());
+        });
+
+        socket.on('error', (error) => {
+            console.error('❌ Coach connection error:', error.message);
+        });
+
+        socket.on('close', () => {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+            if (this.socket === socket) {
+                this.socket = null;
+            }
+            this.emit('disconnected');
+
+            if (!this.closed) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    scheduleReconnect() {
+        this.reconnectAttempts++;
+        const delay = Math.min(RECONNECT_DELAY * this.reconnectAttempts, MAX_RECONNECT_DELAY);
+        console.log(`🔁 Reconnecting to coach controller in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    handleMessage(message) {
+        if (message === 'SHOWPIN' || message === 'SHOWPINPAIR') {
+            if (!this.pin) {
+                console.error('❌ Coach controller requested a PIN but none is configured');
+                return;
+            }
+            this.send(`PIN=${this.pin}`);
+            return;
+        }
+
+        if (message === 'CORRECTPIN') {
+            console.log('🔓 PIN accepted by coach controller');
+            this.emit('ready');
+            return;
+        }
+
+        if (message === 'INCORRECTPIN' || message === 'LOCKEDPIN') {
+            // Retrying a bad PIN only extends the lockout
+            console.error(`❌ Coach controller rejected PIN (${message}); schedule runner stopped`);
+            this.close();
+            return;
+        }
+
+        const separator = message.indexOf('=');
+        if (separator > 0) {
+            this.messages.emit(message.slice(0, separator), message.slice(separator + 1));
+        }
+    }
+
+    send(data) {
+        if (!this.isOpen) {
+            return false;
+        }
+        this.socket.send(data);
+        return true;
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        clearInterval(this.pingInterval);
+        this.pingInterval = null;
+
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+module.exports = CoachClient;
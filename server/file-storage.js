@@ -0,0 +1,55 @@
+// server/file-storage.js
+const fs = require('fs').promises;
+
+/**
+ * Minimal localStorage stand-in backed by a JSON file, so a headless
+ * RVLightingController can persist its state on the server.
+ *
+ * Reads happen from memory; writes are queued and flushed in order.
+ * Use FileStorage.load() to create one with the file's current contents.
+ */
+class FileStorage {
+    constructor(file, items = {}) {
+        this.file = file;
+        this.items = items;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    static async load(file) {
+        try {
+            const data = await fs.readFile(file, 'utf8');
+            return new FileStorage(file, JSON.parse(data));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️ Ignoring unreadable state file ${file}:`, error.message);
+            }
+            return new FileStorage(file);
+        }
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+        this.flush();
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+        this.flush();
+    }
+
+    flush() {
+        const snapshot = JSON.stringify(this.items, null, 2);
+        this.pendingWrite = this.pendingWrite
+            .then(() => fs.writeFile(this.file, snapshot))
+            .catch(error => {
+                console.error(`❌ Failed to write state file ${this.file}:`, error.message);
+            });
+        return this.pendingWrite;
+    }
+}
+
+module.exports = FileStorage;
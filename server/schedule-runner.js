@@ -0,0 +1,331 @@
+// server/schedule-runner.js
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+const CoachClient = require('./coach-client');
+const FileStorage = require('./file-storage');
+
+/**
+ * Runs lighting schedules on the server so they fire even when no
+ * tablet has the UI open.
+ *
+ * Keeps its own connection to the coach controller, drives a headless
+ * RVLightingController and reloads scenes/schedules from
+ * lighting_data.json whenever the file changes. Controlled by the
+ * `scheduling.enabled` and `scheduling.check_interval` settings.
+ *
+ * Schedule checkpoints are kept in runner_state.json so events missed
+ * while the server was down are handled by each schedule's catch-up
+ * policy after a restart. The execution history lives there too.
+ */
+class ScheduleRunner {
+    constructor(dataDir) {
+        this.dataFile = path.join(dataDir, 'lighting_data.json');
+        this.stateFile = path.join(dataDir, 'runner_state.json');
+        this.storage = null;
+        this.config = null;
+        this.client = null;
+        this.controller = null;
+        this.reloadInterval = null;
+        this.dataModified = null;
+    }
+
+    /**
+     * (Re)start the runner with the given configuration
+     * @param {Object} config - Full server configuration
+     */
+    start(config) {
+        this.stop();
+        this.config = config;
+
+        if (!config.scheduling || !config.scheduling.enabled) {
+            console.log('⏸️ Server-side scheduling disabled');
+            return;
+        }
+
+        this.client = new CoachClient({
+            ...config.connection,
+            websocket_timeout: config.advanced?.websocket_timeout
+        }, config.authentication);
+
+        this.client.on('ready', () => {
+            this.onReady().catch(error => {
+                console.error('❌ Schedule runner failed to initialize:', error.message);
+            });
+        });
+
+        this.client.on('disconnected', () => {
+            this.releaseController();
+        });
+
+        this.client.connect();
+    }
+
+    stop() {
+        clearInterval(this.reloadInterval);
+        this.reloadInterval = null;
+        this.releaseController();
+
+        if (this.client) {
+            this.client.removeAllListeners();
+            this.client.close();
+            this.client = null;
+        }
+    }
+
+    async onReady() {
+        this.releaseController();
+
+        if (!this.storage) {
+            this.storage = await FileStorage.load(this.stateFile);
+        }
+
+        const controller = new RVLightingController({
+            send: data => this.client.send(data),
+            parserUtils,
+            events: this.client.messages,
+            storage: this.storage,
+            scheduleCheckInterval: this.config.scheduling.check_interval,
+            timezone: this.config.scheduling.timezone,
+            commandInterval: this.config.advanced?.command_interval,
+            statusPollInterval: this.config.advanced?.status_poll_interval,
+            // Schedules come from lighting_data.json, not the state file's copy
+            restoreSchedules: false
+        });
+        controller.setDebug(this.config.advanced?.debug_mode);
+        this.controller = controller;
+
+        await controller.initialize();
+        if (this.controller !== controller) return;
+
+        console.log(`💡 Schedule runner discovered ${controller.lights.size} lights`);
+
+        this.dataModified = null;
+        await this.reloadData();
+
+        this.reloadInterval = setInterval(() => {
+            this.reloadData().catch(error => {
+                console.error('❌ Schedule runner failed to reload data:', error.message);
+            });
+        }, this.config.scheduling.check_interval);
+    }
+
+    releaseController() {
+        clearInterval(this.reloadInterval);
+        this.reloadInterval = null;
+
+        if (this.controller) {
+            this.controller.cleanup();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Reload scenes and schedules if lighting_data.json changed
+     * @param {boolean} force - Reload even if the file looks unchanged
+     */
+    async reloadData(force = false) {
+        if (!this.controller || !this.controller.isInitialized) return;
+
+        let data = { scenes: [], schedules: [] };
+        try {
+            const stats = await fs.stat(this.dataFile);
+            if (!force && this.dataModified === stats.mtimeMs) return;
+            this.dataModified = stats.mtimeMs;
+            data = JSON.parse(await fs.readFile(this.dataFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (this.dataModified === 0) return;
+            this.dataModified = 0;
+        }
+
+        this.applyData(data);
+    }
+
+    /**
+     * Replace the controller's scenes, schedules and light overlay and
+     * run every enabled schedule
+     * @param {Object} data - Lighting data ({ scenes, schedules, lightOverlay, location })
+     */
+    applyData(data) {
+        const controller = this.controller;
+        const schedules = new Map((data.schedules || []).map(schedule => [schedule.name, schedule]));
+
+        controller.scenes = new Map((data.scenes || []).map(scene => [scene.name, scene]));
+        controller.sequences = new Map((data.sequences || []).map(sequence => [sequence.name, sequence]));
+        controller.schedules = schedules;
+        controller.restoreLightOverlay(data.lightOverlay);
+        controller.location = data.location || this.getConfiguredLocation();
+
+        // Resumes from stored checkpoints so missed events get caught up
+        controller.restoreActiveSchedules();
+
+        console.log(`⏰ Schedule runner loaded ${schedules.size} schedules (${controller.activeSchedules.size} active)`);
+
+        // Renumbered lights are skipped until someone remaps them from the UI
+        const mismatches = controller.findLightMismatches();
+        if (mismatches.length > 0) {
+            console.warn(`⚠️ ${mismatches.length} stored lights no longer match the coach's lights; remap them from the UI`);
+        }
+    }
+
+    /**
+     * Location from settings, used until a tablet syncs its own
+     * @returns {Object|null} { latitude, longitude }
+     */
+    getConfiguredLocation() {
+        const { latitude, longitude } = this.config.scheduling;
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+            return null;
+        }
+        return { latitude, longitude };
+    }
+
+    /**
+     * The runner's controller, once it is connected and has discovered lights
+     * @returns {RVLightingController|null}
+     */
+    getController() {
+        return this.controller && this.controller.isInitialized ? this.controller : null;
+    }
+
+    /**
+     * Find conflicts between enabled schedules in lighting_data.json
+     * @param {Object} options - As for RVLightingController#findScheduleConflicts
+     * @returns {Promise<Array>} Conflicts
+     */
+    async findConflicts(options = {}) {
+        const controller = await this.getAnalysisController();
+        return controller.findScheduleConflicts(options);
+    }
+
+    /**
+     * Preview what the enabled schedules will do over a date range
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range
+     * @returns {Promise<Array>} Actions, as for RVLightingController#simulateSchedules
+     */
+    async simulate(from, to) {
+        const controller = await this.getAnalysisController();
+        return controller.simulateSchedules(from, to);
+    }
+
+    /**
+     * Past schedule runs, newest first. Read from the state file when the
+     * runner isn't connected, so history survives restarts and outages.
+     * @param {Object} options - As for RVLightingController#getScheduleHistory
+     * @returns {Promise<Array>} Runs
+     */
+    async getHistory(options = {}) {
+        if (this.controller) {
+            return this.controller.getScheduleHistory(options);
+        }
+
+        const controller = new RVLightingController({
+            send: () => false,
+            parserUtils,
+            events: new EventEmitter(),
+            storage: this.storage || await FileStorage.load(this.stateFile)
+        });
+        return controller.getScheduleHistory(options);
+    }
+
+    /**
+     * A controller to analyse schedules with. Uses the live controller
+     * when connected, so "all lights" events cover every discovered light;
+     * otherwise builds an offline one from lighting_data.json that knows
+     * the lights found in saved scenes. Offline controllers never send.
+     * @returns {Promise<RVLightingController>}
+     */
+    async getAnalysisController() {
+        const live = this.getController();
+        if (live) {
+            return live;
+        }
+
+        return this.createOfflineController(await this.readData());
+    }
+
+    /**
+     * Edit lighting_data.json through a controller, so renames cascade
+     * and ordering is kept exactly as the tablets do it. Uses the live
+     * controller when connected, keeping running schedules' checkpoints.
+     * @param {Function} edit - Called with the controller; return true to save
+     * @returns {Promise<*>} Whatever edit returned
+     */
+    async editData(edit) {
+        const live = this.getController();
+        if (live) {
+            // Pick up any save the runner hasn't seen yet
+            await this.reloadData();
+        }
+        const data = await this.readData();
+        const controller = live || this.createOfflineController(data);
+
+        const result = edit(controller);
+        if (result !== true) return result;
+
+        await fs.writeFile(this.dataFile, JSON.stringify({
+            ...data,
+            scenes: controller.getAllScenes(),
+            sequences: controller.getAllSequences(),
+            schedules: Array.from(controller.schedules.values()),
+            lastModified: new Date().toISOString()
+        }, null, 2));
+
+        if (live) {
+            await this.reloadData(true);
+        }
+        return result;
+    }
+
+    /**
+     * Contents of lighting_data.json, or empty lists if there is none yet
+     * @returns {Promise<Object>} { scenes, schedules, ... }
+     */
+    async readData() {
+        try {
+            return JSON.parse(await fs.readFile(this.dataFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { scenes: [], schedules: [] };
+        }
+    }
+
+    /**
+     * A controller holding lighting data that never sends
+     * @param {Object} data - Lighting data ({ scenes, sequences, schedules, lightOverlay, location })
+     * @returns {RVLightingController}
+     */
+    createOfflineController(data) {
+        const controller = new RVLightingController({
+            send: () => false,
+            parserUtils,
+            events: new EventEmitter(),
+            storage: null,
+            timezone: this.config?.scheduling?.timezone
+        });
+        controller.scenes = new Map((data.scenes || []).map(scene => [scene.name, scene]));
+        controller.sequences = new Map((data.sequences || []).map(sequence => [sequence.name, sequence]));
+        controller.schedules = new Map((data.schedules || []).map(schedule => [schedule.name, schedule]));
+        controller.restoreLightOverlay(data.lightOverlay);
+        controller.location = data.location || (this.config ? this.getConfiguredLocation() : null);
+
+        return controller;
+    }
+
+    getStatus() {
+        return {
+            enabled: !!this.config?.scheduling?.enabled,
+            connected: !!this.client && this.client.isOpen,
+            initialized: !!this.controller && this.controller.isInitialized,
+            lightsCount: this.controller ? this.controller.lights.size : 0,
+            activeSchedules: this.controller ? Array.from(this.controller.activeSchedules) : [],
+            commandQueue: this.controller ? this.controller.getCommandQueueStatus() : null
+        };
+    }
+}
+
+module.exports = ScheduleRunner;
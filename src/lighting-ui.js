@@ -3,66 +3,7 @@
  * Handles user interface interactions and WebSocket communication
  */
 
-// Parser utilities implementation
-function upad(n, targetLength = 2) {
-    if (n.length > targetLength) throw new Error("target length smaller than length of n!");
-    return ("0".repeat(targetLength - n.length) + n);
-}
-
-function u16toHex(value) {
-    var temp1 = upad((value % 256).toString(16).toUpperCase());
-    var temp2 = upad(Math.floor(value / 256).toString(16).toUpperCase());
-    return temp1 + temp2;
-}
-
-function hexToU16(hex) {
-    byte1 = parseInt(hex.substring(0, 2), 16);
-    byte2 = parseInt(hex.substring(2, 4), 16);
-    return byte1 + 256 * byte2;
-}
-
-function packEvent(...args) {
-    let val = args.reduce((previous, current) => {
-        return previous | current;
-    });
-    let hex = val.toString(16).toUpperCase();
-    let phex = upad(hex, 4);
-    return `0x${phex}`;
-}
-
-function ESET_INSTANCE(instance) {
-    return (Math.round(instance) & 0xFF) << 8;
-}
-
-function ESET_INDEX(index) {
-    return ((Math.round(index) - 1) & 0xFF) << 8;
-}
-
-function ESET_BRIGHTNESS(brightness) {
-    return Math.round(brightness) & 0xFF;
-}
-
-function ESET_LEVEL(level) {
-    return (Math.round(level) & 0xF);
-}
-
-function ESET_BOOLEAN(trueval, falseval) {
-    return ((bool) => bool ? trueval : falseval);
-}
-
-const parserUtils = {
-    ESET_INSTANCE,
-    ESET_INDEX,
-    ESET_BRIGHTNESS,
-    ESET_LEVEL,
-    ESET_TURN_ON_OFF: ESET_BOOLEAN(1, 2),
-    ESET_ENABLE_DISABLE: ESET_BOOLEAN(1, 2),
-    ESET_LOCK_UNLOCK: ESET_BOOLEAN(1, 0),
-    packEvent,
-    u16toHex,
-    hexToU16,
-    upad
-};
+// Parser utilities (upad, packEvent, ESET_*) live in parser-utils.js
 
 // Global variables
 let client = null;
@@ -73,6 +14,8 @@ let maxReconnectAttempts = 5;
 let reconnectInterval = null;
 let wsReady = false;
 let uiUpdateInterval = null;
+let schedulerStatusInterval = null;
+let sceneDraft = null;
 
 /**
  * WebSocket communication function
@@ -145,6 +88,7 @@ function connect() {
             logMessage(`WebSocket closed (code: ${event.code})`, 'info');
             updateConnectionStatus('disconnected');
             wsReady = false;
+            releaseLightingController();
 
             // Hide main interface if connection lost
             if (document.getElementById('main-interface').style.display !== 'none') {
@@ -225,7 +169,8 @@ function handleMessage(message) {
         // Not JSON, continue processing
     }
 
-    // Handle key=value messages
+    // Handle key=value messages; the lighting controller listens for these, including
+    // NEWMAR_DIMMER_BRIGHTNESS[n] reports the coach sends when a light changes at a switch
     const parts = message.split("=");
     if (parts.length > 1) {
         const event = new CustomEvent(parts[0], { detail: parts[1] });
@@ -331,6 +276,20 @@ function hideMainInterface() {
     }
 }
 
+/**
+ * Stop the current lighting controller's timers and listeners so it
+ * can't keep driving lights after the connection it was built for is gone
+ */
+function releaseLightingController() {
+    clearInterval(schedulerStatusInterval);
+    schedulerStatusInterval = null;
+
+    if (lightingController) {
+        lightingController.cleanup();
+        lightingController = null;
+    }
+}
+
 /**
  * Initialize lighting system
  */
@@ -341,9 +300,29 @@ function initializeLightingSystem() {
         return;
     }
 
-    lightingController = new RVLightingController();
+    // A reconnect's PIN lands here again; the old controller must not keep running
+    releaseLightingController();
+
+    // Share scenes and schedules with the server, whose headless schedule runner runs them
+    // while it is connected to the coach; watchSchedulerStatus() hands them to this page
+    // whenever it isn't. A page opened from disk has no server and runs schedules itself.
+    // Levels changed from wall switches or the factory panel are pushed into the Lights tab
+    const hasServer = location.protocol.startsWith('http');
+    lightingController = new RVLightingController({
+        syncUrl: hasServer ? '/api/data' : null,
+        runSchedules: !hasServer,
+        statusPollInterval: parseInt(document.getElementById('status-poll-interval').value),
+        onLightUpdate: updateLightControl,
+        onDataChange: displayLightingData
+    });
     lightingController.setDebug(window.RV_LIGHTING_DEBUG || false);
 
+    // Start from the server's copy, which REST edits and other tablets also change
+    lightingController.loadFromServer();
+    if (hasServer) {
+        watchSchedulerStatus();
+    }
+
     lightingController.initialize().then(() => {
         logMessage('Lighting system initialized successfully', 'success');
         showAlert('Lighting system connected and ready!', 'success');
@@ -351,12 +330,58 @@ function initializeLightingSystem() {
         displayLights();
         displayScenes();
         displaySchedules();
+        displayLightMismatches();
     }).catch(error => {
         logMessage('Failed to initialize lighting system: ' + error.message, 'error');
         showAlert('Failed to initialize lighting system: ' + error.message, 'danger');
     });
 }
 
+/**
+ * Run schedules on this page unless the server's schedule runner is enabled
+ * and connected to the coach, re-checking as the runner comes and goes
+ */
+function watchSchedulerStatus() {
+    clearInterval(schedulerStatusInterval);
+    checkSchedulerStatus();
+    schedulerStatusInterval = setInterval(checkSchedulerStatus, 30000);
+}
+
+function checkSchedulerStatus() {
+    fetch('/api/scheduler/status')
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => data.scheduler)
+        .catch(error => {
+            logMessage(`Schedule runner status unavailable: ${error.message}`, 'warning');
+            return null;
+        })
+        .then(scheduler => {
+            if (!lightingController) return;
+
+            const runnerActive = !!scheduler && scheduler.enabled && scheduler.connected && scheduler.initialized;
+            if (lightingController.runSchedules !== runnerActive) return;
+
+            lightingController.setRunSchedules(!runnerActive);
+            if (runnerActive) {
+                logMessage('Server schedule runner connected; schedules run there', 'info');
+            } else {
+                logMessage('Server schedule runner is not running; schedules run on this page while it stays open', 'warning');
+                showAlert('Server schedule runner is not running. Keep this page open for schedules to run.', 'warning');
+            }
+        });
+}
+
+// Redraw everything that shows scenes, schedules or light details
+function displayLightingData() {
+    displayLights();
+    displayScenes();
+    displaySchedules();
+    displayLightMismatches();
+}
+
 /**
  * UI Functions
  */
@@ -436,6 +461,37 @@ function toggleLight(lightIndex, button) {
     }
 }
 
+function undoLightChange() {
+    const snapshot = lightingController && lightingController.undo();
+    if (snapshot) {
+        updateLightUI();
+        updateUndoButtons();
+        showAlert(`Undone: ${snapshot.label}`, 'success');
+    }
+}
+
+function redoLightChange() {
+    const snapshot = lightingController && lightingController.redo();
+    if (snapshot) {
+        updateLightUI();
+        updateUndoButtons();
+        showAlert(`Redone: ${snapshot.label}`, 'success');
+    }
+}
+
+// Enable the undo/redo buttons and name what they would undo or redo
+function updateUndoButtons() {
+    const state = lightingController.getUndoState();
+    const undo = document.getElementById('undo-button');
+    const redo = document.getElementById('redo-button');
+    if (!undo || !redo) return;
+
+    undo.disabled = !state.undo;
+    undo.title = state.undo ? `Undo: ${state.undo}` : 'Nothing to undo';
+    redo.disabled = !state.redo;
+    redo.title = state.redo ? `Redo: ${state.redo}` : 'Nothing to redo';
+}
+
 function allLightsOn() {
     if (lightingController) {
         lightingController.allLightsOn();
@@ -454,35 +510,68 @@ function allLightsOff() {
 
 function updateLightUI() {
     // Update all UI elements to reflect current state
-    document.querySelectorAll('.light-brightness').forEach(slider => {
-        const lightIndex = parseInt(slider.dataset.lightIndex);
-        if (lightingController && lightingController.lights.has(lightIndex)) {
-            const light = lightingController.lights.get(lightIndex);
-            slider.value = light.currentBrightness;
-        }
-    });
+    if (!lightingController) return;
+    lightingController.lights.forEach(light => updateLightControl(light));
+}
 
-    document.querySelectorAll('.light-toggle').forEach(btn => {
-        const lightIndex = parseInt(btn.dataset.lightIndex);
-        if (lightingController && lightingController.lights.has(lightIndex)) {
-            const light = lightingController.lights.get(lightIndex);
-            if (light.currentBrightness > 0) {
-                btn.textContent = 'ON';
-                btn.className = 'light-toggle on';
-            } else {
-                btn.textContent = 'OFF';
-                btn.className = 'light-toggle off';
-            }
+// Update one light's slider and toggle in place, leaving a slider the user is dragging alone
+function updateLightControl(light) {
+    const slider = document.querySelector(`.light-brightness[data-light-index="${light.index}"]`);
+    if (slider && slider !== document.activeElement) {
+        slider.value = light.currentBrightness;
+    }
+
+    const btn = document.querySelector(`.light-toggle[data-light-index="${light.index}"]`);
+    if (btn) {
+        if (light.currentBrightness > 0) {
+            btn.textContent = 'ON';
+            btn.className = 'light-toggle on';
+        } else {
+            btn.textContent = 'OFF';
+            btn.className = 'light-toggle off';
         }
-    });
+    }
+}
+
+function setStatusPollInterval(value) {
+    localStorage.setItem('rv_status_poll_interval', value);
+    if (lightingController) {
+        lightingController.setStatusPollInterval(parseInt(value));
+    }
+}
+
+function startSleepTimer() {
+    if (!lightingController) return;
+
+    const [type, id] = document.getElementById('sleep-timer-target').value.split(':');
+    const minutes = parseInt(document.getElementById('sleep-timer-minutes').value);
+    const target = type === 'light' ? { type, index: parseInt(id) }
+        : type === 'room' ? { type, room: parseInt(id) }
+            : { type };
+
+    const timer = lightingController.startSleepTimer(target, minutes * 60000);
+    if (timer) {
+        showAlert(`${timer.label} will turn off in ${minutes} minute${minutes !== 1 ? 's' : ''}`, 'success');
+        displaySleepTimers();
+    } else {
+        showAlert('Failed to start sleep timer', 'danger');
+    }
+}
+
+function cancelSleepTimer(timerId) {
+    if (lightingController && lightingController.cancelSleepTimer(timerId)) {
+        showAlert('Sleep timer cancelled', 'info');
+        displaySleepTimers();
+    }
 }
 
 function saveCurrentScene() {
     const sceneName = prompt('Enter scene name:');
     if (sceneName && lightingController) {
-        lightingController.saveScene(sceneName).then((success) => {
-            if (success) {
-                showAlert(`Scene "${sceneName}" saved successfully!`, 'success');
+        showAlert(`Reading light levels for "${sceneName}"...`, 'info');
+        lightingController.saveScene(sceneName).then((result) => {
+            if (result) {
+                showSceneSaved(`Scene "${sceneName}" saved successfully!`, result);
                 displayScenes();
             } else {
                 showAlert(`Failed to save scene "${sceneName}"`, 'danger');
@@ -502,9 +591,10 @@ function createScene() {
 
     if (lightingController) {
         const roomId = roomFilter ? parseInt(roomFilter) : null;
-        lightingController.saveScene(name, roomId).then((success) => {
-            if (success) {
-                showAlert(`Scene "${name}" created successfully!`, 'success');
+        showAlert(`Reading light levels for "${name}"...`, 'info');
+        lightingController.saveScene(name, roomId).then((result) => {
+            if (result) {
+                showSceneSaved(`Scene "${name}" created successfully!`, result);
                 document.getElementById('new-scene-name').value = '';
                 document.getElementById('scene-room-filter').value = '';
                 displayScenes();
@@ -515,11 +605,28 @@ function createScene() {
     }
 }
 
+/**
+ * Confirm a scene save, naming any lights that didn't report their level
+ * @param {string} message - Success message
+ * @param {Object} result - What saveScene returned
+ */
+function showSceneSaved(message, result) {
+    if (result.fallbacks.length === 0) {
+        showAlert(message, 'success');
+        return;
+    }
+
+    const names = result.fallbacks.map(light => `${light.name} (${light.brightness}%)`).join(', ');
+    showAlert(`${message} ${result.fallbacks.length} of ${result.lights} lights didn't report in time and were saved at their last known level: ${names}`, 'warning');
+}
+
 function loadScene(sceneName) {
     if (lightingController) {
-        const success = lightingController.loadScene(sceneName);
+        const fadeMs = parseInt(document.getElementById('scene-fade').value) || 0;
+        const success = lightingController.loadScene(sceneName, { fadeMs });
         if (success) {
             showAlert(`Scene "${sceneName}" loaded!`, 'success');
+            displaySceneLayers();
             updateLightUI();
         } else {
             showAlert(`Failed to load scene "${sceneName}"`, 'danger');
@@ -527,6 +634,107 @@ function loadScene(sceneName) {
     }
 }
 
+function editScene(sceneName) {
+    const scene = lightingController && lightingController.scenes.get(sceneName);
+    if (!scene) return;
+
+    // A previous editor's preview is abandoned, not restored over the new scene
+    lightingController.endScenePreview(false);
+    sceneDraft = { name: sceneName, lights: scene.lights.map(light => ({ ...light })) };
+    document.getElementById('scene-editor-name').textContent = sceneName;
+    document.getElementById('scene-editor').style.display = 'block';
+    displaySceneEditor();
+}
+
+function displaySceneEditor() {
+    if (!sceneDraft) return;
+
+    document.getElementById('scene-editor-lights').innerHTML = sceneDraft.lights.map(light => `
+        <div class="light-control scene-editor-light">
+            <span class="light-name">${sceneLightLabel(light)}</span>
+            <input type="range" class="light-brightness" min="0" max="100" value="${light.brightness}"
+                oninput="setSceneEditorLevel(${light.index}, this.value)">
+            <span id="scene-editor-level-${light.index}">${light.brightness}%</span>
+            <button type="button" class="btn btn-danger" onclick="removeSceneEditorLight(${light.index})">Remove</button>
+        </div>
+    `).join('');
+
+    // Discovered lights not yet in the scene can be added
+    const inScene = new Set(sceneDraft.lights.map(light => light.index));
+    const available = lightingController.getAllLights().filter(light => !inScene.has(light.index));
+    document.getElementById('scene-editor-add').innerHTML = available.length > 0
+        ? available.map(light => `<option value="${light.index}">${light.displayRoomName}: ${light.displayName}</option>`).join('')
+        : '<option value="">All lights are in this scene</option>';
+}
+
+// A scene light's name and room as set under Light Details
+function sceneLightLabel(light) {
+    const display = lightingController.getLightDisplay(light);
+    return `${display.icon ? `${display.icon} ` : ''}${display.name} <small>${display.roomName}</small>`;
+}
+
+function setSceneEditorLevel(lightIndex, brightness) {
+    const light = sceneDraft.lights.find(entry => entry.index === lightIndex);
+    light.brightness = parseInt(brightness);
+    document.getElementById(`scene-editor-level-${lightIndex}`).textContent = `${light.brightness}%`;
+}
+
+function addSceneEditorLight() {
+    const index = parseInt(document.getElementById('scene-editor-add').value);
+    const light = lightingController.lights.get(index);
+    if (!light) return;
+
+    sceneDraft.lights.push({ index, name: light.name, brightness: light.currentBrightness, room: light.room });
+    displaySceneEditor();
+}
+
+function removeSceneEditorLight(lightIndex) {
+    sceneDraft.lights = sceneDraft.lights.filter(light => light.index !== lightIndex);
+    displaySceneEditor();
+}
+
+function previewSceneEdits() {
+    const fadeMs = parseInt(document.getElementById('scene-fade').value) || 0;
+    const count = lightingController.previewScene(sceneDraft.lights, { fadeMs });
+    updateLightUI();
+    showAlert(`Previewing ${count} lights - Save or Apply to keep, Cancel to undo`, 'info');
+}
+
+function saveSceneEdits(apply) {
+    const problem = lightingController.validateScene({ name: sceneDraft.name, lights: sceneDraft.lights });
+    if (problem) {
+        showAlert(problem, 'warning');
+        return;
+    }
+
+    const name = sceneDraft.name;
+    if (!lightingController.updateScene(name, sceneDraft.lights)) {
+        showAlert(`Failed to save scene "${name}"`, 'danger');
+        return;
+    }
+
+    // Apply keeps the previewed levels and loads the scene; Save puts the lights back
+    lightingController.endScenePreview(!apply);
+    if (apply) {
+        const fadeMs = parseInt(document.getElementById('scene-fade').value) || 0;
+        lightingController.loadScene(name, { fadeMs });
+    }
+    updateLightUI();
+
+    sceneDraft = null;
+    document.getElementById('scene-editor').style.display = 'none';
+    showAlert(`Scene "${name}" ${apply ? 'saved and applied' : 'saved'}`, 'success');
+    displayScenes();
+}
+
+function closeSceneEditor() {
+    if (lightingController && lightingController.endScenePreview(true) > 0) {
+        updateLightUI();
+    }
+    sceneDraft = null;
+    document.getElementById('scene-editor').style.display = 'none';
+}
+
 function deleteScene(sceneName) {
     if (confirm(`Delete scene "${sceneName}"?`)) {
         if (lightingController) {
@@ -541,8 +749,87 @@ function deleteScene(sceneName) {
     }
 }
 
+function renameScene(sceneName) {
+    const newName = (prompt(`Rename scene "${sceneName}" to:`, sceneName) || '').trim();
+    if (!newName || newName === sceneName || !lightingController) return;
+
+    if (lightingController.renameScene(sceneName, newName)) {
+        if (sceneDraft && sceneDraft.name === sceneName) {
+            sceneDraft.name = newName;
+            document.getElementById('scene-editor-name').textContent = newName;
+        }
+        showAlert(`Scene renamed to "${newName}"; schedules using it were updated`, 'success');
+        displayScenes();
+        displaySchedules();
+    } else {
+        showAlert(`Cannot rename to "${newName}": the name is taken or too long`, 'danger');
+    }
+}
+
+function duplicateScene(sceneName) {
+    const newName = (prompt(`Name for the copy of "${sceneName}":`, `${sceneName} copy`) || '').trim();
+    if (!newName || !lightingController) return;
+
+    if (lightingController.duplicateScene(sceneName, newName)) {
+        showAlert(`Scene "${sceneName}" copied to "${newName}"`, 'success');
+        displayScenes();
+    } else {
+        showAlert(`Cannot copy to "${newName}": the name is taken or too long`, 'danger');
+    }
+}
+
+function toggleSceneFavorite(sceneName) {
+    const scene = lightingController && lightingController.scenes.get(sceneName);
+    if (scene && lightingController.setSceneFavorite(sceneName, !scene.favorite)) {
+        displayScenes();
+    }
+}
+
+function moveScene(sceneName, offset) {
+    const names = moveInList(favoritesFirst(lightingController.getAllScenes()), sceneName, offset);
+    if (names && lightingController.reorderScenes(names)) {
+        displayScenes();
+    }
+}
+
+/**
+ * Favorites pinned above everything else, each group in the saved order
+ * @param {Array} items - Scenes or schedules
+ * @returns {Array} Items in display order
+ */
+function favoritesFirst(items) {
+    return [...items.filter(item => item.favorite), ...items.filter(item => !item.favorite)];
+}
+
+/**
+ * Names in display order with one item moved up or down, staying among
+ * the favorites or the rest
+ * @param {Array} items - Scenes or schedules in display order
+ * @param {string} name - Item to move
+ * @param {number} offset - -1 for up, 1 for down
+ * @returns {Array<string>|null} New order, or null if it can't move that way
+ */
+function moveInList(items, name, offset) {
+    const from = items.findIndex(item => item.name === name);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= items.length || !items[to].favorite !== !items[from].favorite) {
+        return null;
+    }
+
+    const names = items.map(item => item.name);
+    [names[from], names[to]] = [names[to], names[from]];
+    return names;
+}
+
 function createSchedule() {
     const name = document.getElementById('new-schedule-name').value;
+    const catchUp = document.getElementById('new-schedule-catch-up').value;
+    const startDate = document.getElementById('new-schedule-start-date').value || undefined;
+    const endDate = document.getElementById('new-schedule-end-date').value || undefined;
+    const exceptions = document.getElementById('new-schedule-exceptions').value
+        .split(',')
+        .map(date => date.trim())
+        .filter(Boolean);
     if (!name) {
         showAlert('Please enter a schedule name', 'warning');
         return;
@@ -564,10 +851,18 @@ function createSchedule() {
     ];
 
     if (lightingController) {
-        const success = lightingController.createSchedule(name, events);
+        const success = lightingController.createSchedule(name, events, {
+            catchUp,
+            startDate,
+            endDate,
+            exceptions: exceptions.length > 0 ? exceptions : undefined
+        });
         if (success) {
             showAlert(`Schedule "${name}" created!`, 'success');
             document.getElementById('new-schedule-name').value = '';
+            document.getElementById('new-schedule-start-date').value = '';
+            document.getElementById('new-schedule-end-date').value = '';
+            document.getElementById('new-schedule-exceptions').value = '';
             displaySchedules();
         } else {
             showAlert(`Failed to create schedule "${name}"`, 'danger');
@@ -575,8 +870,56 @@ function createSchedule() {
     }
 }
 
+function saveLocation() {
+    const latitude = document.getElementById('location-latitude').value;
+    const longitude = document.getElementById('location-longitude').value;
+
+    if (!latitude || !longitude) {
+        showAlert('Please enter latitude and longitude', 'warning');
+        return;
+    }
+
+    if (lightingController) {
+        if (lightingController.setLocation(latitude, longitude)) {
+            showAlert('Location saved - sunrise/sunset times updated', 'success');
+            displaySchedules();
+        } else {
+            showAlert('Invalid location', 'danger');
+        }
+    }
+}
+
+function createAwaySchedule() {
+    const name = document.getElementById('away-schedule-name').value;
+    const rooms = Array.from(document.getElementById('away-rooms').selectedOptions)
+        .map(option => parseInt(option.value));
+    const start = document.getElementById('away-window-start').value;
+    const end = document.getElementById('away-window-end').value;
+
+    if (!name || rooms.length === 0) {
+        showAlert('Please enter a name and pick at least one room', 'warning');
+        return;
+    }
+
+    if (lightingController) {
+        const success = lightingController.createAwaySchedule(name, { rooms, windows: [{ start, end }] });
+        if (success) {
+            showAlert(`Away schedule "${name}" created!`, 'success');
+            document.getElementById('away-schedule-name').value = '';
+            displaySchedules();
+        } else {
+            showAlert(`Failed to create away schedule "${name}"`, 'danger');
+        }
+    }
+}
+
 function activateSchedule(scheduleName) {
     if (lightingController) {
+        const conflicts = lightingController.getActivationConflicts(scheduleName);
+        if (conflicts.length > 0 && !confirm(`"${scheduleName}" conflicts with active schedules:\n\n${conflicts.map(describeConflict).join('\n')}\n\nActivate anyway?`)) {
+            return;
+        }
+
         const success = lightingController.activateSchedule(scheduleName);
         if (success) {
             showAlert(`Schedule "${scheduleName}" activated!`, 'success');
@@ -602,20 +945,57 @@ function deactivateSchedule(scheduleName) {
 function deleteSchedule(scheduleName) {
     if (confirm(`Delete schedule "${scheduleName}"?`)) {
         if (lightingController) {
-            lightingController.schedules.delete(scheduleName);
-            lightingController.deactivateSchedule(scheduleName);
-            lightingController.saveToStorage();
+            lightingController.deleteSchedule(scheduleName);
             showAlert(`Schedule "${scheduleName}" deleted!`, 'success');
             displaySchedules();
         }
     }
 }
 
+function renameSchedule(scheduleName) {
+    const newName = (prompt(`Rename schedule "${scheduleName}" to:`, scheduleName) || '').trim();
+    if (!newName || newName === scheduleName || !lightingController) return;
+
+    if (lightingController.renameSchedule(scheduleName, newName)) {
+        showAlert(`Schedule renamed to "${newName}"`, 'success');
+        displaySchedules();
+    } else {
+        showAlert(`Cannot rename to "${newName}": the name is taken or too long`, 'danger');
+    }
+}
+
+function duplicateSchedule(scheduleName) {
+    const newName = (prompt(`Name for the copy of "${scheduleName}":`, `${scheduleName} copy`) || '').trim();
+    if (!newName || !lightingController) return;
+
+    if (lightingController.duplicateSchedule(scheduleName, newName)) {
+        showAlert(`Schedule "${scheduleName}" copied to "${newName}"; activate it when it's ready`, 'success');
+        displaySchedules();
+    } else {
+        showAlert(`Cannot copy to "${newName}": the name is taken or too long`, 'danger');
+    }
+}
+
+function toggleScheduleFavorite(scheduleName) {
+    const schedule = lightingController && lightingController.schedules.get(scheduleName);
+    if (schedule && lightingController.setScheduleFavorite(scheduleName, !schedule.favorite)) {
+        displaySchedules();
+    }
+}
+
+function moveSchedule(scheduleName, offset) {
+    const names = moveInList(favoritesFirst(Array.from(lightingController.schedules.values())), scheduleName, offset);
+    if (names && lightingController.reorderSchedules(names)) {
+        displaySchedules();
+    }
+}
+
 function refreshLights() {
     if (lightingController) {
         lightingController.initialize().then(() => {
             showAlert('Lights refreshed successfully!', 'success');
             displayLights();
+            displayLightMismatches();
             updateSystemStatus();
         }).catch(error => {
             showAlert('Failed to refresh lights: ' + error.message, 'danger');
@@ -645,12 +1025,12 @@ function displayLights() {
     const container = document.getElementById('room-lights-container');
     const roomsMap = {};
 
-    // Group lights by room
+    // Group lights by room, using the rooms and names set under Light Details
     lightingController.getAllLights().forEach(light => {
-        if (!roomsMap[light.roomName]) {
-            roomsMap[light.roomName] = [];
+        if (!roomsMap[light.displayRoomName]) {
+            roomsMap[light.displayRoomName] = [];
         }
-        roomsMap[light.roomName].push(light);
+        roomsMap[light.displayRoomName].push(light);
     });
 
     // Create HTML for each room
@@ -665,7 +1045,7 @@ function displayLights() {
                 </div>
                 ${roomLights.map(light => `
                     <div class="light-control">
-                        <span class="light-name">${light.name}</span>
+                        <span class="light-name" title="${light.name}">${light.icon ? `${light.icon} ` : ''}${light.displayName}</span>
                         ${light.isDimmer ?
                 `<input type="range" class="light-brightness" min="0" max="100" value="${light.currentBrightness}" 
                              data-light-index="${light.index}"
@@ -684,26 +1064,220 @@ function displayLights() {
     });
 
     container.innerHTML = html || '<div class="alert alert-warning">No lights discovered yet</div>';
+
+    // Offer every room and light as a sleep timer target
+    const target = document.getElementById('sleep-timer-target');
+    const selected = target.value;
+    target.innerHTML = '<option value="all">All Lights</option>' +
+        Object.keys(lightingController.roomNames).map(roomId =>
+            `<option value="room:${roomId}">${lightingController.roomNames[roomId]}</option>`).join('') +
+        lightingController.getAllLights().map(light =>
+            `<option value="light:${light.index}">${light.displayRoomName}: ${light.displayName}</option>`).join('');
+    target.value = selected;
+    if (!target.value) target.value = 'all';
+
+    displaySleepTimers();
+    displayLightDetails();
+}
+
+// Every light, hidden ones included, can be renamed, moved, sorted or hidden
+function displayLightDetails() {
+    const select = document.getElementById('light-details-light');
+    if (!select || !lightingController) return;
+
+    const selected = select.value;
+    const lights = lightingController.getAllLights({ includeHidden: true });
+    select.innerHTML = lights.length > 0
+        ? lights.map(light => `<option value="${light.index}">${light.displayName}${light.hidden ? ' (hidden)' : ''}` +
+            `${light.displayName !== light.name ? ` - ${light.name}` : ''}</option>`).join('')
+        : '<option value="">No lights discovered yet</option>';
+    select.value = selected;
+    if (!select.value && lights.length > 0) select.value = lights[0].index;
+
+    document.getElementById('light-details-room').innerHTML = Object.keys(lightingController.roomNames).map(roomId =>
+        `<option value="${roomId}">${lightingController.roomNames[roomId]}</option>`).join('');
+    showLightDetails();
+}
+
+function showLightDetails() {
+    const light = lightingController.lights.get(parseInt(document.getElementById('light-details-light').value));
+    if (!light) return;
+
+    const overlay = lightingController.getLightOverlay(light.index) || {};
+    document.getElementById('light-details-alias').value = overlay.alias || '';
+    document.getElementById('light-details-alias').placeholder = light.name;
+    document.getElementById('light-details-room').value = lightingController.getLightRoom(light);
+    document.getElementById('light-details-icon').value = overlay.icon || '';
+    document.getElementById('light-details-order').value = overlay.order !== undefined ? overlay.order : '';
+    document.getElementById('light-details-hidden').checked = !!overlay.hidden;
+}
+
+function saveLightDetails() {
+    const light = lightingController && lightingController.lights.get(parseInt(document.getElementById('light-details-light').value));
+    if (!light) return;
+
+    // Picking the coach's own room clears the override
+    const room = parseInt(document.getElementById('light-details-room').value);
+    const order = document.getElementById('light-details-order').value;
+    const saved = lightingController.setLightOverlay(light.index, {
+        alias: document.getElementById('light-details-alias').value,
+        room: room === light.room ? null : room,
+        icon: document.getElementById('light-details-icon').value,
+        order: order === '' ? null : parseInt(order),
+        hidden: document.getElementById('light-details-hidden').checked
+    });
+
+    if (saved) {
+        showAlert(`Saved details for ${light.displayName}`, 'success');
+        displayLights();
+    } else {
+        showAlert('Failed to save light details', 'danger');
+    }
+}
+
+function resetLightDetails() {
+    const light = lightingController && lightingController.lights.get(parseInt(document.getElementById('light-details-light').value));
+    if (!light || !lightingController.setLightOverlay(light.index, null)) return;
+
+    showAlert(`${light.name} is back to the coach's name and room`, 'info');
+    displayLights();
+}
+
+// Scenes and schedules that point at renumbered lights, with a suggested replacement for each
+function displayLightMismatches() {
+    const card = document.getElementById('light-remap');
+    if (!card || !lightingController || !lightingController.isInitialized) return;
+
+    const mismatches = lightingController.findLightMismatches();
+    card.style.display = mismatches.length > 0 ? 'block' : 'none';
+    if (mismatches.length === 0) return;
+
+    const suggested = mismatches.filter(mismatch => mismatch.match !== null).length;
+    document.getElementById('light-remap-summary').textContent =
+        `${mismatches.length} light${mismatches.length !== 1 ? 's' : ''} used by your scenes or schedules ` +
+        `changed since they were saved. ${suggested} can be matched automatically; choose the rest below.`;
+
+    const lights = lightingController.getAllLights({ includeHidden: true });
+    document.getElementById('light-remap-list').innerHTML = mismatches.map((mismatch, i) => {
+        const stored = mismatch.fingerprint;
+        const storedRoom = lightingController.roomNames[stored.room];
+        const now = mismatch.current ? `now "${mismatch.current.name}"` : 'now missing';
+        const usedBy = mismatch.usedBy.map(owner => `${owner.type} "${owner.name}"`).join(', ');
+
+        return `
+            <div class="light-control light-remap-row">
+                <span class="light-name">
+                    ${stored.name ? `"${stored.name}"` : 'Light'}${storedRoom ? ` (${storedRoom})` : ''}
+                    <small>was light ${mismatch.index}, ${now} • ${usedBy}</small>
+                </span>
+                <select id="light-remap-${i}" data-light-index="${mismatch.index}">
+                    <option value="">Leave as is</option>
+                    ${lights.map(light => `<option value="${light.index}" ${light.index === mismatch.match ? 'selected' : ''}>
+                        ${light.displayRoomName}: ${light.displayName}</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }).join('');
+}
+
+function autoRemapLights() {
+    const { remapped, unresolved } = lightingController.autoRemapLights();
+    finishLightRemap(remapped, unresolved.length);
+}
+
+function applyLightRemap() {
+    const mapping = {};
+    document.querySelectorAll('#light-remap-list select').forEach(select => {
+        if (select.value) {
+            mapping[select.dataset.lightIndex] = parseInt(select.value);
+        }
+    });
+
+    const remapped = lightingController.remapLights(mapping);
+    finishLightRemap(remapped, lightingController.findLightMismatches().length);
+}
+
+function finishLightRemap(remapped, remaining) {
+    logMessage(`Remapped ${remapped} stored light references`, 'info');
+    showAlert(remaining > 0
+        ? `Remapped ${remapped} references; ${remaining} light${remaining !== 1 ? 's' : ''} still need a match`
+        : `Remapped ${remapped} references`, remaining > 0 ? 'warning' : 'success');
+    displayScenes();
+    displaySchedules();
+    displayLightMismatches();
+}
+
+function displaySleepTimers() {
+    const container = document.getElementById('sleep-timers-list');
+    if (!container || !lightingController) return;
+
+    container.innerHTML = lightingController.getSleepTimers().map(timer => `
+        <div class="sleep-timer" data-timer-id="${timer.id}">
+            <span>${timer.label}</span>
+            <span class="sleep-timer-remaining">${formatCountdown(timer.remainingMs)}</span>
+            <button class="btn btn-secondary" onclick="cancelSleepTimer(${timer.id})">Cancel</button>
+        </div>
+    `).join('');
+}
+
+function updateSleepTimers() {
+    const container = document.getElementById('sleep-timers-list');
+    if (!container) return;
+
+    const timers = lightingController.getSleepTimers();
+    const shown = container.querySelectorAll('.sleep-timer');
+
+    // A timer started, finished or was replaced: redraw the list and the lights
+    const shownIds = Array.from(shown).map(element => element.dataset.timerId).join();
+    if (shownIds !== timers.map(timer => timer.id).join()) {
+        displaySleepTimers();
+        updateLightUI();
+        return;
+    }
+
+    // Otherwise just tick the countdowns
+    timers.forEach((timer, i) => {
+        shown[i].querySelector('.sleep-timer-remaining').textContent = formatCountdown(timer.remainingMs);
+    });
+}
+
+function formatCountdown(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
 }
 
 function displayScenes() {
     if (!lightingController) return;
 
     const container = document.getElementById('scenes-list');
-    const scenes = lightingController.getAllScenes();
+    const scenes = favoritesFirst(lightingController.getAllScenes());
 
     let html = '';
     scenes.forEach(scene => {
         const date = new Date(scene.created).toLocaleDateString();
         const roomText = scene.room !== null ? ` • ${lightingController.roomNames[scene.room]}` : '';
         html += `
-            <div class="scene-item">
+            <div class="scene-item" data-scene-name="${scene.name}">
                 <div class="scene-info">
-                    <h4>${scene.name}</h4>
+                    <h4>
+                        <button class="favorite-toggle" title="Favorite" onclick="toggleSceneFavorite('${scene.name}')">${scene.favorite ? '★' : '☆'}</button>
+                        ${scene.name} <span class="scene-active-badge">● Active</span>
+                    </h4>
                     <p>Created: ${date} • ${scene.lights.length} lights${roomText}</p>
+                    <div class="scene-diff"></div>
                 </div>
                 <div class="scene-actions">
                     <button class="btn btn-primary" onclick="loadScene('${scene.name}')">Load</button>
+                    <button class="btn btn-secondary" onclick="layerScene('${scene.name}')">Layer</button>
+                    <button class="btn btn-secondary" onclick="compareScene('${scene.name}')">Compare</button>
+                    <button class="btn btn-secondary" onclick="editScene('${scene.name}')">Edit</button>
+                    <button class="btn btn-secondary" onclick="renameScene('${scene.name}')">Rename</button>
+                    <button class="btn btn-secondary" onclick="duplicateScene('${scene.name}')">Duplicate</button>
+                    <button class="btn btn-secondary" title="Move up" onclick="moveScene('${scene.name}', -1)">↑</button>
+                    <button class="btn btn-secondary" title="Move down" onclick="moveScene('${scene.name}', 1)">↓</button>
                     <button class="btn btn-danger" onclick="deleteScene('${scene.name}')">Delete</button>
                 </div>
             </div>
@@ -711,34 +1285,248 @@ function displayScenes() {
     });
 
     container.innerHTML = html || '<div class="alert alert-warning">No scenes saved yet</div>';
+    updateActiveScene();
+    displaySceneLayers();
+    displaySequences();
+}
+
+function displaySequences() {
+    const container = document.getElementById('sequences-list');
+    if (!container || !lightingController) return;
+
+    container.innerHTML = lightingController.getAllSequences().map(sequence => {
+        const seconds = sequence.steps.reduce((total, step) => total + (step.delayMs || 0), 0) / 1000;
+        return `
+            <div class="scene-item sequence-item" data-sequence-name="${sequence.name}">
+                <div class="scene-info">
+                    <h4>${sequence.name} <span class="sequence-playing-badge">▶ Playing</span></h4>
+                    <p>${sequence.steps.length} step${sequence.steps.length !== 1 ? 's' : ''} • ${seconds}s${sequence.loop ? ' • loops' : ''}</p>
+                </div>
+                <div class="scene-actions">
+                    <button class="btn btn-primary" onclick="playSequence('${sequence.name}')">Play</button>
+                    <button class="btn btn-secondary" onclick="stopSequence('${sequence.name}')">Stop</button>
+                    <button class="btn btn-danger" onclick="deleteSequence('${sequence.name}')">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('') || '<div class="alert alert-info">No sequences saved yet</div>';
+
+    updatePlayingSequences();
+}
+
+// Mark the sequences that are playing
+function updatePlayingSequences() {
+    if (!lightingController) return;
+
+    const playing = new Set(lightingController.getPlayingSequences().map(sequence => sequence.name));
+    document.querySelectorAll('#sequences-list .sequence-item').forEach(item => {
+        item.classList.toggle('playing', playing.has(item.dataset.sequenceName));
+    });
+}
+
+function updateSequenceForm() {
+    const breathe = document.getElementById('new-sequence-type').value === 'breathe';
+    document.getElementById('sequence-steps-fields').style.display = breathe ? 'none' : 'block';
+    document.getElementById('sequence-breathe-fields').style.display = breathe ? 'block' : 'none';
+}
+
+function createSequence() {
+    const name = document.getElementById('new-sequence-name').value.trim();
+    if (!name || !lightingController) return;
+
+    let success;
+    if (document.getElementById('new-sequence-type').value === 'breathe') {
+        success = lightingController.createBreatheEffect(name, {
+            room: parseInt(document.getElementById('new-sequence-room').value),
+            periodMs: Math.round(parseFloat(document.getElementById('new-sequence-period').value) * 1000) || 8000
+        });
+    } else {
+        const scenes = document.getElementById('new-sequence-scenes').value
+            .split(',')
+            .map(scene => scene.trim())
+            .filter(Boolean);
+        const missing = scenes.find(scene => !lightingController.scenes.has(scene));
+        if (scenes.length === 0 || missing) {
+            showAlert(missing ? `Scene "${missing}" not found` : 'Please list at least one scene', 'warning');
+            return;
+        }
+
+        const delayMs = Math.round(parseFloat(document.getElementById('new-sequence-delay').value) * 1000) || 0;
+        const fadeMs = parseInt(document.getElementById('scene-fade').value) || 0;
+        success = lightingController.createSequence(name, scenes.map(scene => ({ scene, delayMs, fadeMs })), {
+            loop: document.getElementById('new-sequence-loop').checked
+        });
+    }
+
+    if (success) {
+        showAlert(`Sequence "${name}" created!`, 'success');
+        document.getElementById('new-sequence-name').value = '';
+        displaySequences();
+    } else {
+        showAlert(`Failed to create sequence "${name}"`, 'danger');
+    }
+}
+
+function playSequence(sequenceName) {
+    if (lightingController.playSequence(sequenceName)) {
+        updatePlayingSequences();
+        updateLightUI();
+    } else {
+        showAlert(`Failed to play sequence "${sequenceName}"`, 'danger');
+    }
+}
+
+function stopSequence(sequenceName) {
+    lightingController.stopSequence(sequenceName);
+    updatePlayingSequences();
+}
+
+function deleteSequence(sequenceName) {
+    if (confirm(`Delete sequence "${sequenceName}"?`) && lightingController.deleteSequence(sequenceName)) {
+        showAlert(`Sequence "${sequenceName}" deleted!`, 'success');
+        displaySequences();
+    }
+}
+
+function displaySceneLayers() {
+    const container = document.getElementById('scene-layers-list');
+    if (!container || !lightingController) return;
+
+    const layers = lightingController.getSceneLayers();
+    container.innerHTML = layers.map(layer => `
+        <div class="scene-layer">
+            <span>${layer.scene} <small>priority ${layer.priority} • ${layer.lights} light${layer.lights !== 1 ? 's' : ''}</small></span>
+            <button class="btn btn-secondary" onclick="removeSceneLayer('${layer.scene}')">Remove</button>
+        </div>
+    `).join('') || '<small>No layers applied</small>';
+}
+
+function layerScene(sceneName) {
+    const priority = parseInt(document.getElementById('layer-priority').value) || 0;
+    const fadeMs = parseInt(document.getElementById('scene-fade').value) || 0;
+
+    if (lightingController.applySceneLayer(sceneName, { priority, fadeMs })) {
+        showAlert(`Scene "${sceneName}" layered at priority ${priority}`, 'success');
+        displaySceneLayers();
+        updateLightUI();
+    } else {
+        showAlert(`Failed to layer scene "${sceneName}"`, 'danger');
+    }
+}
+
+function removeSceneLayer(sceneName) {
+    const fadeMs = parseInt(document.getElementById('scene-fade').value) || 0;
+
+    if (lightingController.removeSceneLayer(sceneName, { fadeMs })) {
+        showAlert(`Layer "${sceneName}" removed`, 'success');
+        displaySceneLayers();
+        updateLightUI();
+    }
+}
+
+function clearSceneLayers() {
+    lightingController.clearSceneLayers();
+    displaySceneLayers();
+}
+
+// Highlight the scene the lights currently match
+function updateActiveScene() {
+    if (!lightingController || !lightingController.isInitialized) return;
+
+    const active = lightingController.getActiveScene();
+    document.querySelectorAll('#scenes-list .scene-item').forEach(item => {
+        item.classList.toggle('active-scene', item.dataset.sceneName === active);
+    });
+}
+
+// Show which lights differ from a scene, or hide the list if it is showing
+function compareScene(sceneName) {
+    const item = Array.from(document.querySelectorAll('#scenes-list .scene-item'))
+        .find(element => element.dataset.sceneName === sceneName);
+    const container = item && item.querySelector('.scene-diff');
+    if (!container) return;
+
+    if (container.innerHTML) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const diff = lightingController.compareScene(sceneName);
+    if (!diff) return;
+
+    container.innerHTML = diff.matches
+        ? '<small>All lights match this scene</small>'
+        : diff.differences.map(light => `
+            <small>${light.name}: ${light.reason === 'missing'
+                ? 'light has changed or is missing'
+                : `${light.actual}% (scene ${light.expected}%, ${light.delta > 0 ? '+' : ''}${light.delta})`}</small>
+        `).join('');
 }
 
 function displaySchedules() {
     if (!lightingController) return;
 
     const container = document.getElementById('schedules-list');
-    const schedules = Array.from(lightingController.schedules.values());
+    const schedules = favoritesFirst(Array.from(lightingController.schedules.values()));
+
+    const location = lightingController.location;
+    if (location) {
+        document.getElementById('location-latitude').value = location.latitude;
+        document.getElementById('location-longitude').value = location.longitude;
+    }
+
+    const catchUpLabels = {
+        skip: 'skip missed events',
+        run_latest: 'run latest missed event',
+        run_all: 'run all missed events'
+    };
+
+    const timeZone = lightingController.getTimezone();
+    const today = ScheduleTime.dayKey(ScheduleTime.getZonedParts(new Date(), timeZone));
+
+    // Enabled schedules run whenever the coach is connected, so they are the active ones
+    const activeConflicts = lightingController.findScheduleConflicts();
 
     let html = '';
     schedules.forEach(schedule => {
         const date = new Date(schedule.created).toLocaleDateString();
-        const isActive = lightingController.activeSchedules.has(schedule.name);
-        const statusClass = isActive ? 'active' : 'inactive';
-        const statusText = isActive ? 'Active' : 'Inactive';
+        const isActive = schedule.enabled !== false;
+        const hasEnded = !!schedule.endDate && schedule.endDate < today;
+        const statusClass = isActive && !hasEnded ? 'active' : 'inactive';
+        const statusText = hasEnded ? 'Ended' : isActive ? 'Active' : 'Inactive';
+        const dates = describeDateBounds(schedule);
+        const conflicts = isActive
+            ? activeConflicts.filter(conflict => conflict.schedules.includes(schedule.name))
+            : lightingController.getActivationConflicts(schedule.name);
+        const nextRun = isActive ? lightingController.getNextScheduleRun(schedule.name) : null;
+        const nextText = nextRun ? ` • Next: ${nextRun.time.toLocaleString([], {
+            weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone
+        })}` : '';
 
         html += `
-            <div class="schedule-item ${schedule.enabled ? '' : 'disabled'}">
+            <div class="schedule-item ${isActive ? '' : 'disabled'}">
                 <div class="schedule-info">
-                    <h4>${schedule.name}
+                    <h4>
+                        <button class="favorite-toggle" title="Favorite" onclick="toggleScheduleFavorite('${schedule.name}')">${schedule.favorite ? '★' : '☆'}</button>
+                        ${schedule.name}
                         <span class="schedule-status ${statusClass}">${statusText}</span>
                     </h4>
-                    <p>Created: ${date} • ${schedule.events.length} events</p>
+                    <p>Created: ${date} • ${schedule.type === 'away' ? 'Away mode' : `${schedule.events.length} events`} • If missed: ${catchUpLabels[schedule.catchUp || 'skip']}${nextText}</p>
+                    ${dates ? `<p class="schedule-dates">Runs: ${dates}</p>` : ''}
+                    ${conflicts.map(conflict => `<p class="schedule-conflict">⚠️ ${describeConflict(conflict)}</p>`).join('')}
+                    <ul class="schedule-events">
+                        ${describeScheduleEvents(schedule).map(text => `<li>${text}</li>`).join('')}
+                    </ul>
                 </div>
                 <div class="schedule-actions">
                     ${isActive ?
                 `<button class="btn btn-warning" onclick="deactivateSchedule('${schedule.name}')">Deactivate</button>` :
                 `<button class="btn btn-success" onclick="activateSchedule('${schedule.name}')">Activate</button>`
             }
+                    <button class="btn btn-secondary" onclick="renameSchedule('${schedule.name}')">Rename</button>
+                    <button class="btn btn-secondary" onclick="duplicateSchedule('${schedule.name}')">Duplicate</button>
+                    <button class="btn btn-secondary" title="Move up" onclick="moveSchedule('${schedule.name}', -1)">↑</button>
+                    <button class="btn btn-secondary" title="Move down" onclick="moveSchedule('${schedule.name}', 1)">↓</button>
                     <button class="btn btn-danger" onclick="deleteSchedule('${schedule.name}')">Delete</button>
                 </div>
             </div>
@@ -746,6 +1534,154 @@ function displaySchedules() {
     });
 
     container.innerHTML = html || '<div class="alert alert-warning">No schedules created yet</div>';
+    displaySchedulePreview();
+    displayScheduleHistory();
+}
+
+function displayScheduleHistory() {
+    const container = document.getElementById('schedule-history');
+    if (!container || !lightingController) return;
+
+    const source = document.getElementById('history-source').value;
+    const failedOnly = document.getElementById('history-failed-only').checked;
+    const render = runs => {
+        container.innerHTML = runs.length === 0
+            ? '<div class="alert alert-info">No schedule runs recorded yet</div>'
+            : `<ul class="schedule-events">${runs.map(describeScheduleRun).join('')}</ul>`;
+    };
+
+    if (source === 'local') {
+        render(lightingController.getScheduleHistory({ failedOnly, limit: 100 }));
+        return;
+    }
+
+    fetch(`/api/schedules/history?limit=100${failedOnly ? '&failed=true' : ''}`)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => render(data.history))
+        .catch(error => {
+            container.innerHTML = `<div class="alert alert-warning">Server history unavailable: ${error.message}</div>`;
+        });
+}
+
+function describeScheduleRun(run) {
+    const time = new Date(run.time).toLocaleString([], {
+        weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+        timeZone: lightingController.getTimezone()
+    });
+    const late = new Date(run.time) - new Date(run.scheduledFor) > 60000 ? ' (caught up)' : '';
+    const failed = run.targets.filter(target => !target.ok).map(target => target.name);
+    const result = `${run.succeeded}/${run.targets.length} lights set`;
+    return `<li${failed.length > 0 ? ' class="history-failed"' : ''}>${time}${late} • ${run.schedule}: ${describeAction(run.event)} • ` +
+        `${result}${failed.length > 0 ? ` • failed: ${failed.join(', ')}` : ''}</li>`;
+}
+
+function displaySchedulePreview() {
+    const container = document.getElementById('schedule-preview');
+    if (!container || !lightingController) return;
+
+    const from = new Date();
+    const to = new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const actions = lightingController.simulateSchedules(from, to);
+    const timeZone = lightingController.getTimezone();
+
+    if (actions.length === 0) {
+        container.innerHTML = '<div class="alert alert-info">No active schedules will run in the next 7 days</div>';
+        return;
+    }
+
+    // Group by day in the schedule time zone
+    const days = new Map();
+    actions.forEach(action => {
+        const day = action.time.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric', timeZone });
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(action);
+    });
+
+    let html = '';
+    days.forEach((dayActions, day) => {
+        html += `
+            <h4>${day}</h4>
+            <ul class="schedule-events">
+                ${dayActions.map(action => {
+                    const time = action.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+                    const lights = action.lights
+                        .map(light => `${light.name || `Light ${light.index}`} ${light.brightness}%`)
+                        .join(', ');
+                    return `<li>${time} • ${action.schedule}: ${describeAction(action.event)} → ${lights || 'no lights'}</li>`;
+                }).join('')}
+            </ul>
+        `;
+    });
+
+    container.innerHTML = html;
+}
+
+function describeScheduleEvents(schedule) {
+    if (schedule.type === 'away') {
+        const rooms = schedule.rooms.map(room => lightingController.roomNames[room]).join(', ');
+        return schedule.windows.map(window =>
+            `${describeEventTime({ time: window.start })} to ${describeEventTime({ time: window.end })} • randomly switch ${rooms} • ${schedule.days.join(', ')}`
+        );
+    }
+
+    return schedule.events.map(event => {
+        const bounds = describeDateBounds(event);
+        const fade = event.fadeMs ? ` (${event.fadeMs / 1000}s fade)` : '';
+        if (event.cron) {
+            const description = ScheduleTime.describeCron(event.cron) || 'Invalid cron expression';
+            return `${description} (<code>${event.cron}</code>) • ${describeAction(event)}${fade}${bounds ? ` • ${bounds}` : ''}`;
+        }
+        return `${describeEventTime(event)} • ${describeAction(event)}${fade}` +
+            ` • ${event.date ? `on ${event.date}` : event.days.join(', ')}${bounds ? ` • ${bounds}` : ''}`;
+    });
+}
+
+function describeAction(event) {
+    const room = event.room !== undefined ? ` ${lightingController.roomNames[event.room]}` : '';
+    const level = event.brightness !== undefined ? ` at ${event.brightness}%` : '';
+    const lights = event.lights ? ` ${event.lights.length} light${event.lights.length === 1 ? '' : 's'}` : '';
+    const sequence = event.sequence ? ` "${event.sequence}"` : event.action === 'stop_sequence' ? ' (all)' : '';
+    return `${event.action.replace(/_/g, ' ')}${room}${lights}${level}${event.scene ? ` "${event.scene}"` : ''}${sequence}`;
+}
+
+function describeConflict(conflict) {
+    const [first, second] = conflict.events.map((event, i) => `${conflict.schedules[i]}: ${describeAction(event)}`);
+    const when = conflict.firstTime.toLocaleString([], {
+        weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: lightingController.getTimezone()
+    });
+    const repeats = conflict.occurrences > 1 ? `, ${conflict.occurrences} times this week` : '';
+    return `${first} clashes with ${second} on ${conflict.lights.length} lights (${when}${repeats})`;
+}
+
+function describeDateBounds(bounds) {
+    const parts = [];
+    if (bounds.startDate || bounds.endDate) {
+        parts.push(`${bounds.startDate || 'now'} to ${bounds.endDate || 'no end date'}`);
+    }
+
+    const exceptions = (bounds.exceptions || []).map(exception => {
+        if (typeof exception === 'string') return exception;
+        const range = exception.end && exception.end !== exception.start ? `${exception.start} to ${exception.end}` : exception.start;
+        return exception.reason ? `${range} (${exception.reason})` : range;
+    });
+    if (exceptions.length > 0) {
+        parts.push(`except ${exceptions.join(', ')}`);
+    }
+
+    return parts.join(', ');
+}
+
+function describeEventTime(event) {
+    if (!ScheduleTime.isSolarTime(event.time)) {
+        return event.time;
+    }
+
+    // Show what a sunrise/sunset-relative time works out to today
+    const resolved = lightingController.getEventTime(event);
+    return `${event.time} (today ${resolved || 'unknown - set location'})`;
 }
 
 function updateSystemStatus() {
@@ -755,13 +1691,33 @@ function updateSystemStatus() {
 
     document.getElementById('lights-count').textContent = status.lightsCount;
     document.getElementById('controller-status').textContent = status.initialized ? 'Connected' : 'Disconnected';
-    document.getElementById('active-schedules-count').textContent = status.activeSchedulesCount;
+    document.getElementById('active-schedules-count').textContent = lightingController.getEnabledSchedules().length;
+
+    const queue = status.commandQueue;
+    document.getElementById('command-queue').textContent = queue.depth > 0
+        ? `${queue.depth} waiting (${queue.user} user, ${queue.schedule} schedule) • ${queue.coalesced} merged`
+        : `Empty • ${queue.coalesced} merged`;
 }
 
 function updateUI() {
     // Periodic UI updates
     if (lightingController && lightingController.isInitialized) {
         updateSystemStatus();
+
+        // Follow lights while they fade
+        if (lightingController.fades.size > 0) {
+            updateLightUI();
+        }
+
+        updateSleepTimers();
+        updateActiveScene();
+        updateUndoButtons();
+        updatePlayingSequences();
+
+        // Follow lights while sequences play
+        if (lightingController.sequencePlayers.size > 0) {
+            updateLightUI();
+        }
     }
 }
 
@@ -801,8 +1757,10 @@ function importConfig() {
                 const config = JSON.parse(e.target.result);
                 if (lightingController && lightingController.importConfig(config)) {
                     showAlert('Configuration imported successfully', 'success');
+                    displayLights();
                     displayScenes();
                     displaySchedules();
+                    displayLightMismatches();
                 } else {
                     showAlert('Failed to import configuration', 'danger');
                 }
@@ -909,10 +1867,12 @@ document.addEventListener('DOMContentLoaded', function () {
     const savedIP = localStorage.getItem('rv_controller_ip');
     const savedPort = localStorage.getItem('rv_controller_port');
     const savedSSL = localStorage.getItem('rv_controller_ssl');
+    const savedStatusPoll = localStorage.getItem('rv_status_poll_interval');
 
     if (savedIP) document.getElementById('controller-ip').value = savedIP;
     if (savedPort) document.getElementById('controller-port').value = savedPort;
     if (savedSSL) document.getElementById('use-ssl').value = savedSSL;
+    if (savedStatusPoll) document.getElementById('status-poll-interval').value = savedStatusPoll;
 
     // Save connection settings on change
     document.getElementById('controller-ip').addEventListener('change', function () {
@@ -944,9 +1904,7 @@ window.addEventListener('beforeunload', function () {
     if (client) {
         client.close();
     }
-    if (lightingController) {
-        lightingController.cleanup();
-    }
+    releaseLightingController();
     if (uiUpdateInterval) {
         clearInterval(uiUpdateInterval);
     }
@@ -961,16 +1919,53 @@ window.addEventListener('error', function (event) {
 window.showTab = showTab;
 window.setLightBrightness = setLightBrightness;
 window.toggleLight = toggleLight;
+window.setStatusPollInterval = setStatusPollInterval;
+window.showLightDetails = showLightDetails;
+window.saveLightDetails = saveLightDetails;
+window.resetLightDetails = resetLightDetails;
+window.startSleepTimer = startSleepTimer;
+window.autoRemapLights = autoRemapLights;
+window.applyLightRemap = applyLightRemap;
+window.cancelSleepTimer = cancelSleepTimer;
 window.allLightsOn = allLightsOn;
+window.undoLightChange = undoLightChange;
+window.redoLightChange = redoLightChange;
 window.allLightsOff = allLightsOff;
 window.saveCurrentScene = saveCurrentScene;
 window.createScene = createScene;
 window.loadScene = loadScene;
 window.deleteScene = deleteScene;
+window.renameScene = renameScene;
+window.duplicateScene = duplicateScene;
+window.toggleSceneFavorite = toggleSceneFavorite;
+window.moveScene = moveScene;
+window.editScene = editScene;
+window.compareScene = compareScene;
+window.layerScene = layerScene;
+window.removeSceneLayer = removeSceneLayer;
+window.clearSceneLayers = clearSceneLayers;
+window.updateSequenceForm = updateSequenceForm;
+window.createSequence = createSequence;
+window.playSequence = playSequence;
+window.stopSequence = stopSequence;
+window.deleteSequence = deleteSequence;
+window.setSceneEditorLevel = setSceneEditorLevel;
+window.addSceneEditorLight = addSceneEditorLight;
+window.removeSceneEditorLight = removeSceneEditorLight;
+window.previewSceneEdits = previewSceneEdits;
+window.saveSceneEdits = saveSceneEdits;
+window.closeSceneEditor = closeSceneEditor;
 window.createSchedule = createSchedule;
+window.saveLocation = saveLocation;
+window.createAwaySchedule = createAwaySchedule;
 window.activateSchedule = activateSchedule;
 window.deactivateSchedule = deactivateSchedule;
 window.deleteSchedule = deleteSchedule;
+window.renameSchedule = renameSchedule;
+window.duplicateSchedule = duplicateSchedule;
+window.toggleScheduleFavorite = toggleScheduleFavorite;
+window.moveSchedule = moveSchedule;
+window.displayScheduleHistory = displayScheduleHistory;
 window.refreshLights = refreshLights;
 window.sendManualCommand = sendManualCommand;
 window.exportConfig = exportConfig;
@@ -0,0 +1,70 @@
+/**
+ * RV Lighting Control System - Parser Utilities
+ * Packs HMSEVENT payloads for the Newmar dimmer parser.
+ * Shared by the browser UI and the server-side schedule runner.
+ */
+
+function upad(n, targetLength = 2) {
+    if (n.length > targetLength) throw new Error("target length smaller than length of n!");
+    return ("0".repeat(targetLength - n.length) + n);
+}
+
+function u16toHex(value) {
+    var temp1 = upad((value % 256).toString(16).toUpperCase());
+    var temp2 = upad(Math.floor(value / 256).toString(16).toUpperCase());
+    return temp1 + temp2;
+}
+
+function hexToU16(hex) {
+    const byte1 = parseInt(hex.substring(0, 2), 16);
+    const byte2 = parseInt(hex.substring(2, 4), 16);
+    return byte1 + 256 * byte2;
+}
+
+function packEvent(...args) {
+    let val = args.reduce((previous, current) => {
+        return previous | current;
+    });
+    let hex = val.toString(16).toUpperCase();
+    let phex = upad(hex, 4);
+    return `0x${phex}`;
+}
+
+function ESET_INSTANCE(instance) {
+    return (Math.round(instance) & 0xFF) << 8;
+}
+
+function ESET_INDEX(index) {
+    return ((Math.round(index) - 1) & 0xFF) << 8;
+}
+
+function ESET_BRIGHTNESS(brightness) {
+    return Math.round(brightness) & 0xFF;
+}
+
+function ESET_LEVEL(level) {
+    return (Math.round(level) & 0xF);
+}
+
+function ESET_BOOLEAN(trueval, falseval) {
+    return ((bool) => bool ? trueval : falseval);
+}
+
+const parserUtils = {
+    ESET_INSTANCE,
+    ESET_INDEX,
+    ESET_BRIGHTNESS,
+    ESET_LEVEL,
+    ESET_TURN_ON_OFF: ESET_BOOLEAN(1, 2),
+    ESET_ENABLE_DISABLE: ESET_BOOLEAN(1, 2),
+    ESET_LOCK_UNLOCK: ESET_BOOLEAN(1, 0),
+    packEvent,
+    u16toHex,
+    hexToU16,
+    upad
+};
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = parserUtils;
+}
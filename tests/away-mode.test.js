@@ -0,0 +1,104 @@
+const EventEmitter = require('events');
+const ScheduleTime = require('../src/schedule-time');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+const AWAY = {
+    seed: 'campground',
+    rooms: [0, 2],
+    windows: [{ start: '18:00', end: '23:00' }]
+};
+
+function planFor(schedule, day) {
+    return ScheduleTime.getAwayPlan(schedule, day, null, 'UTC')
+        .map(({ time, event }) => `${time.toISOString()} ${event.action} ${event.room}`);
+}
+
+function createController() {
+    const controller = new RVLightingController({
+        send: () => true,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        timezone: 'UTC'
+    });
+    [[1, 0], [2, 0], [3, 2], [4, 5]].forEach(([index, room]) => {
+        controller.lights.set(index, {
+            name: `Light ${index}`, index, instance: index, command: 0,
+            room, roomName: controller.roomNames[room], isDimmer: true, currentBrightness: 0
+        });
+    });
+    controller.isInitialized = true;
+    return controller;
+}
+
+describe('Away mode', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('replays the same plan for the same seed and day', () => {
+        const day = { year: 2024, month: 6, day: 1 };
+        expect(planFor(AWAY, day)).toEqual(planFor({ ...AWAY }, day));
+        expect(planFor(AWAY, day)).not.toEqual(planFor({ ...AWAY, seed: 'other' }, day));
+    });
+
+    test('varies from day to day', () => {
+        expect(planFor(AWAY, { year: 2024, month: 6, day: 1 }))
+            .not.toEqual(planFor(AWAY, { year: 2024, month: 6, day: 2 }));
+    });
+
+    test('keeps every room inside its window and ends each period off', () => {
+        const plan = ScheduleTime.getAwayPlan(AWAY, { year: 2024, month: 6, day: 1 }, null, 'UTC');
+        const start = new Date('2024-06-01T18:00:00Z');
+        const end = new Date('2024-06-01T23:00:00Z');
+
+        expect(plan.length).toBeGreaterThan(0);
+        for (const { time } of plan) {
+            expect(time >= start && time <= end).toBe(true);
+        }
+
+        for (const room of AWAY.rooms) {
+            const actions = plan.filter(run => run.event.room === room).map(run => run.event.action);
+            expect(actions[0]).toBe('room_on');
+            expect(actions[actions.length - 1]).toBe('room_off');
+        }
+    });
+
+    test('handles windows that cross midnight', () => {
+        const schedule = { ...AWAY, windows: [{ start: '22:00', end: '01:00' }] };
+        const plan = ScheduleTime.getAwayPlan(schedule, { year: 2024, month: 6, day: 1 }, null, 'UTC');
+
+        expect(plan[plan.length - 1].time <= new Date('2024-06-02T01:00:00Z')).toBe(true);
+        expect(plan[0].time >= new Date('2024-06-01T22:00:00Z')).toBe(true);
+    });
+
+    test('switches only the selected rooms through setLightBrightness', () => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T17:59:00Z') });
+        const controller = createController();
+        const changes = [];
+        const setLightBrightness = controller.setLightBrightness.bind(controller);
+        controller.setLightBrightness = (index, brightness, options) => {
+            changes.push([index, brightness]);
+            return setLightBrightness(index, brightness, options);
+        };
+
+        expect(controller.createAwaySchedule('Away', AWAY)).toBe(true);
+        controller.activateSchedule('Away');
+        jest.advanceTimersByTime(6 * 60 * 60 * 1000);
+
+        // Living Room has two lights, Bedroom one
+        const plan = ScheduleTime.getAwayPlan(AWAY, { year: 2024, month: 6, day: 1 }, null, 'UTC');
+        const expected = plan.reduce((count, run) => count + controller.getLightsByRoom(run.event.room).length, 0);
+        expect(changes).toHaveLength(expected);
+        expect(changes.some(([index]) => index === 4)).toBe(false);
+        expect([1, 2, 3].map(index => controller.lights.get(index).currentBrightness)).toEqual([0, 0, 0]);
+        controller.cleanup();
+    });
+
+    test('rejects unknown rooms and malformed windows', () => {
+        const controller = createController();
+        expect(controller.createAwaySchedule('Away', { ...AWAY, rooms: [9] })).toBe(false);
+        expect(controller.createAwaySchedule('Away', { ...AWAY, windows: [{ start: 'dusk', end: '23:00' }] })).toBe(false);
+    });
+});
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Controller with four dimmers sending one command every 100ms, recording which light each command set
+function createController() {
+    const sent = [];
+    const controller = new RVLightingController({
+        send: data => sent.push(data),
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        timezone: 'UTC',
+        commandInterval: 100
+    });
+    ['Ceiling', 'Lamp', 'Porch', 'Awning'].forEach((name, i) => {
+        controller.lights.set(i + 1, {
+            name, index: i + 1, instance: i + 1, command: 0,
+            room: i < 2 ? 0 : 5, roomName: i < 2 ? 'Living Room' : 'Exterior', isDimmer: true, currentBrightness: 0
+        });
+    });
+    controller.isInitialized = true;
+
+    // [light index, brightness] for each command sent
+    const commands = () => sent.map(data => {
+        const packed = parseInt(data.split('|')[1], 16);
+        return [(packed >> 8) & 0xFF, Math.round((packed & 0xFF) / 2)];
+    });
+    return { controller, sent, commands };
+}
+
+describe('RVLightingController command queue', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T19:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('paces bursts at the configured interval', () => {
+        const { controller, sent } = createController();
+
+        controller.allLightsOn();
+        expect(sent).toHaveLength(1);
+        expect(controller.getStatus().commandQueue).toMatchObject({ depth: 3, user: 3, schedule: 0, intervalMs: 100 });
+        expect(controller.getAllLights().map(light => light.currentBrightness)).toEqual([100, 100, 100, 100]);
+
+        jest.advanceTimersByTime(199);
+        expect(sent).toHaveLength(2);
+        jest.advanceTimersByTime(101);
+        expect(sent).toHaveLength(4);
+        expect(controller.getCommandQueueStatus().depth).toBe(0);
+    });
+
+    test('keeps only the newest level for a light that is still waiting', () => {
+        const { controller, commands } = createController();
+
+        controller.setLightBrightness(1, 10);
+        for (const level of [20, 30, 40, 50]) {
+            controller.setLightBrightness(2, level);
+        }
+        controller.setLightBrightness(1, 60);
+
+        expect(controller.getCommandQueueStatus()).toMatchObject({ depth: 2, coalesced: 3 });
+        jest.advanceTimersByTime(1000);
+        expect(commands()).toEqual([[1, 10], [2, 50], [1, 60]]);
+    });
+
+    test('sends user commands ahead of schedule traffic', () => {
+        const { controller, commands } = createController();
+        controller.createSchedule('Dusk', [{ time: '19:00', days: EVERY_DAY, action: 'room_on', room: 5, brightness: 40 }]);
+        controller.setLightBrightness(1, 10);
+
+        controller.checkScheduleEvents('Dusk', new Date('2024-06-01T19:00:00Z'));
+        controller.setLightBrightness(2, 80);
+        expect(controller.getCommandQueueStatus()).toMatchObject({ user: 1, schedule: 2 });
+
+        jest.advanceTimersByTime(1000);
+        expect(commands()).toEqual([[1, 10], [2, 80], [3, 40], [4, 40]]);
+    });
+
+    test('reports queued schedule commands as failed when the socket closes before they go out', () => {
+        const { controller, sent } = createController();
+        let connected = true;
+        controller.send = data => connected && sent.push(data);
+        controller.createSchedule('Dusk', [{ time: '19:00', days: EVERY_DAY, action: 'lights_on' }]);
+
+        controller.checkScheduleEvents('Dusk', new Date('2024-06-01T19:00:00Z'));
+        expect(controller.getScheduleHistory()[0]).toMatchObject({ succeeded: 4, failed: 0 });
+
+        jest.advanceTimersByTime(100);
+        connected = false;
+        jest.advanceTimersByTime(1000);
+
+        expect(sent).toHaveLength(2);
+        const [run] = controller.getScheduleHistory({ failedOnly: true });
+        expect(run).toMatchObject({ succeeded: 2, failed: 2 });
+        expect(run.targets.map(target => target.ok)).toEqual([true, true, false, false]);
+    });
+
+    test('reports a queued schedule command as failed when its light is gone', () => {
+        const { controller, sent } = createController();
+        controller.createSchedule('Dusk', [{ time: '19:00', days: EVERY_DAY, action: 'lights_on' }]);
+
+        controller.checkScheduleEvents('Dusk', new Date('2024-06-01T19:00:00Z'));
+        controller.lights.delete(2);
+        jest.advanceTimersByTime(1000);
+
+        expect(sent).toHaveLength(3);
+        const [run] = controller.getScheduleHistory();
+        expect(run).toMatchObject({ succeeded: 3, failed: 1 });
+        expect(run.targets.map(target => target.ok)).toEqual([true, false, true, true]);
+    });
+
+    test('drops queued commands when the controller is cleaned up', () => {
+        const { controller, sent } = createController();
+
+        controller.allLightsOff();
+        controller.cleanup();
+        jest.advanceTimersByTime(1000);
+
+        expect(sent).toHaveLength(1);
+        expect(controller.getCommandQueueStatus().depth).toBe(0);
+    });
+});
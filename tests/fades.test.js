@@ -0,0 +1,101 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+// Controller with one dimmer (1) and one switch (2), recording sent commands
+function createController(options = {}) {
+    const sent = [];
+    const controller = new RVLightingController({
+        send: data => sent.push(data),
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        ...options
+    });
+    controller.lights.set(1, {
+        name: 'Ceiling', index: 1, instance: 1, command: 0,
+        room: 0, roomName: 'Living Room', isDimmer: true, currentBrightness: 0
+    });
+    controller.lights.set(2, {
+        name: 'Porch', index: 2, instance: 2, command: 0,
+        room: 5, roomName: 'Exterior', isDimmer: false, currentBrightness: 0
+    });
+    controller.isInitialized = true;
+    return { controller, sent };
+}
+
+describe('RVLightingController fades', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('steps a dimmer to its target over the fade time', () => {
+        const { controller, sent } = createController();
+        const light = controller.lights.get(1);
+
+        controller.setLightBrightness(1, 100, { fadeMs: 1000 });
+        expect(sent).toHaveLength(0);
+
+        jest.advanceTimersByTime(500);
+        expect(light.currentBrightness).toBe(50);
+
+        jest.advanceTimersByTime(500);
+        expect(light.currentBrightness).toBe(100);
+        expect(sent).toHaveLength(4);
+        expect(sent.every(command => command.startsWith('HMSEVENT=ENEWMARDIMMERPARSER_SET_BRIGHTNESS_NONSCALED|'))).toBe(true);
+        expect(controller.fades.size).toBe(0);
+    });
+
+    test('switches on/off lights at the end of the fade by default', () => {
+        const { controller, sent } = createController();
+
+        controller.setLightBrightness(2, 100, { fadeMs: 2000 });
+        jest.advanceTimersByTime(1999);
+        expect(sent).toHaveLength(0);
+
+        jest.advanceTimersByTime(1);
+        expect(sent).toHaveLength(1);
+        expect(controller.lights.get(2).currentBrightness).toBe(100);
+    });
+
+    test('switches on/off lights at the start when configured', () => {
+        const { controller, sent } = createController({ fadeSwitchAt: 'start' });
+
+        controller.setLightBrightness(2, 100, { fadeMs: 2000 });
+        expect(sent).toHaveLength(1);
+
+        controller.setLightBrightness(2, 0, { fadeMs: 2000, switchAt: 'end' });
+        expect(sent).toHaveLength(1);
+    });
+
+    test('a new level cancels a fade in progress', () => {
+        const { controller } = createController();
+        const light = controller.lights.get(1);
+
+        controller.setLightBrightness(1, 100, { fadeMs: 10000 });
+        jest.advanceTimersByTime(2500);
+
+        controller.setLightBrightness(1, 10);
+        jest.advanceTimersByTime(10000);
+        expect(light.currentBrightness).toBe(10);
+    });
+
+    test('passes the fade through scenes', () => {
+        const { controller } = createController();
+        controller.scenes.set('Evening', {
+            name: 'Evening',
+            lights: [{ index: 1, brightness: 40 }, { index: 2, brightness: 100 }]
+        });
+
+        expect(controller.loadScene('Evening', { fadeMs: 4000 })).toBe(true);
+        expect(controller.fades.size).toBe(2);
+
+        jest.advanceTimersByTime(4000);
+        expect(controller.lights.get(1).currentBrightness).toBe(40);
+        expect(controller.lights.get(2).currentBrightness).toBe(100);
+    });
+});
@@ -0,0 +1,67 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+// localStorage stand-in shared between controller instances
+function createStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+// Initialized controller whose lights are already known. Each light is
+// { name, room, isDimmer, currentBrightness }, numbered in order from 1;
+// rooms default to the living room and lights to dimmers at 0%.
+function createController({ lights = [], ...options } = {}) {
+    const controller = new RVLightingController({
+        send: () => true,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        restoreSchedules: false,
+        ...options
+    });
+    lights.forEach(({ room = 0, ...light }, i) => {
+        controller.lights.set(i + 1, {
+            index: i + 1, instance: i + 1, command: 0,
+            room, roomName: controller.roomNames[room], isDimmer: true, currentBrightness: 0,
+            ...light
+        });
+    });
+    controller.isInitialized = true;
+    return controller;
+}
+
+// Controller whose coach discovers the given { name, instance, room } lights,
+// numbered in order from 1, once initialize() is called
+function createDiscoveringController(lights, options = {}) {
+    const events = new EventEmitter();
+    const sent = [];
+    const controller = new RVLightingController({
+        send: data => {
+            sent.push(data);
+            if (data === 'GET_LIGHT_COUNT') {
+                events.emit('GET_LIGHT_COUNT', String(lights.length));
+            } else if (data.startsWith('GET_LIGHT_OBJECT[')) {
+                const i = parseInt(data.slice('GET_LIGHT_OBJECT['.length));
+                const light = lights[i];
+                events.emit(data, JSON.stringify({
+                    name: light.name, index: i + 1, instance: light.instance, command: 0, room_loc: light.room
+                }));
+            }
+            return true;
+        },
+        parserUtils,
+        events,
+        storage: null,
+        restoreSchedules: false,
+        commandInterval: 0,
+        ...options
+    });
+    return { controller, sent };
+}
+
+module.exports = { createStorage, createController, createDiscoveringController };
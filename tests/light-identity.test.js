@@ -0,0 +1,111 @@
+const { createStorage, createDiscoveringController } = require('./helpers');
+const { schemas } = require('../server/middleware/validation');
+
+const LIGHTS = [
+    { name: 'Ceiling', instance: 11, room: 0 },
+    { name: 'Lamp', instance: 12, room: 0 },
+    { name: 'Porch', instance: 30, room: 5 }
+];
+
+function sentLevels(sent) {
+    return sent.filter(data => data.startsWith('HMSEVENT')).length;
+}
+
+describe('RVLightingController light identity', () => {
+    // initialize() arms a discovery timeout
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('stores a fingerprint with scene and schedule lights', async () => {
+        const { controller } = createDiscoveringController(LIGHTS);
+        await controller.initialize();
+        controller.getCurrentBrightness = () => Promise.resolve();
+
+        await controller.saveScene('Evening');
+        controller.createSchedule('Porch', [{ time: '20:00', action: 'set_lights', lights: [{ index: 3, brightness: 60 }] }]);
+
+        const scene = controller.scenes.get('Evening');
+        expect(scene.lights[2].fingerprint).toEqual({ name: 'Porch', instance: 30, room: 5, command: 0 });
+        expect(controller.schedules.get('Porch').events[0].lights[0].fingerprint.name).toBe('Porch');
+        expect(schemas.sceneSchema.validate(scene).error).toBeUndefined();
+        expect(controller.findLightMismatches()).toEqual([]);
+    });
+
+    test('finds references to renumbered lights and suggests matches', async () => {
+        const storage = createStorage();
+        const { controller: before } = createDiscoveringController(LIGHTS, { storage });
+        await before.initialize();
+        before.getCurrentBrightness = () => Promise.resolve();
+        await before.saveScene('Evening');
+        before.createSchedule('Porch', [{ time: '20:00', action: 'toggle', lights: [{ index: 3 }] }]);
+
+        // Rewiring adds a light at the front and drops the lamp
+        const { controller } = createDiscoveringController(
+            [{ name: 'Awning', instance: 40, room: 5 }, LIGHTS[0], LIGHTS[2]], { storage });
+        await controller.initialize();
+
+        const mismatches = controller.findLightMismatches();
+        expect(mismatches.map(({ index, current, match }) => [index, current && current.name, match])).toEqual([
+            [1, 'Awning', 2],
+            [2, 'Ceiling', null]
+        ]);
+        expect(mismatches[0].usedBy).toEqual([{ type: 'scene', name: 'Evening' }]);
+    });
+
+    test('remaps automatically and leaves the rest for the user', async () => {
+        const storage = createStorage();
+        const { controller: before } = createDiscoveringController(LIGHTS, { storage });
+        await before.initialize();
+        before.getCurrentBrightness = () => Promise.resolve();
+        await before.saveScene('Evening');
+
+        const { controller, sent } = createDiscoveringController(
+            [LIGHTS[2], LIGHTS[0], { name: 'Sconce', instance: 13, room: 0 }], { storage });
+        await controller.initialize();
+
+        // Until remapped, changed lights are skipped instead of driving the wrong ones
+        controller.loadScene('Evening');
+        expect(sentLevels(sent)).toBe(0);
+
+        const { remapped, unresolved } = controller.autoRemapLights();
+        expect(remapped).toBe(2);
+        expect(unresolved.map(mismatch => mismatch.fingerprint.name)).toEqual(['Lamp']);
+
+        expect(controller.remapLights({ 2: 3 })).toBe(1);
+        expect(controller.findLightMismatches()).toEqual([]);
+        expect(controller.scenes.get('Evening').lights.map(light => [light.index, light.name])).toEqual([
+            [2, 'Ceiling'], [3, 'Sconce'], [1, 'Porch']
+        ]);
+
+        controller.loadScene('Evening');
+        expect(sentLevels(sent)).toBe(3);
+    });
+
+    test('fingerprints older scenes that still match and flags the ones that do not', async () => {
+        const storage = createStorage();
+        storage.setItem('rv_lighting_data', JSON.stringify({
+            scenes: [['Legacy', {
+                name: 'Legacy',
+                lights: [
+                    { index: 1, name: 'Ceiling', brightness: 50, room: 0 },
+                    { index: 2, name: 'Porch', brightness: 100, room: 5 }
+                ]
+            }]]
+        }));
+
+        const { controller } = createDiscoveringController(LIGHTS, { storage });
+        await controller.initialize();
+
+        const [ceiling, porch] = controller.scenes.get('Legacy').lights;
+        expect(ceiling.fingerprint).toEqual({ name: 'Ceiling', instance: 11, room: 0, command: 0 });
+        expect(porch.fingerprint).toBeUndefined();
+        expect(controller.findLightMismatches()).toEqual([
+            expect.objectContaining({ index: 2, fingerprint: { name: 'Porch', room: 5 }, match: 3 })
+        ]);
+    });
+});
@@ -0,0 +1,115 @@
+const { createStorage, createDiscoveringController } = require('./helpers');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const LIGHTS = [
+    { name: 'Ceiling Lt 2', instance: 11, room: 0 },
+    { name: 'Lamp', instance: 12, room: 0 },
+    { name: 'Water Pump', instance: 20, room: 1 },
+    { name: 'Porch', instance: 30, room: 5 }
+];
+
+// Controller that discovers the given lights, numbered in order from 1
+function createController(lights = LIGHTS, storage = null) {
+    return createDiscoveringController(lights, { storage });
+}
+
+describe('RVLightingController light overlay', () => {
+    // initialize() arms a discovery timeout
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('shows lights with their alias, room, icon and order, leaving hidden ones out', async () => {
+        const { controller, sent } = createController();
+        await controller.initialize();
+
+        expect(controller.setLightOverlay(1, { alias: ' Main Ceiling ', icon: '💡', order: 2 })).toBe(true);
+        expect(controller.setLightOverlay(2, { room: 2, order: 1 })).toBe(true);
+        expect(controller.setLightOverlay(3, { hidden: true })).toBe(true);
+
+        expect(controller.getAllLights().map(light => light.displayName)).toEqual(['Lamp', 'Main Ceiling', 'Porch']);
+        expect(controller.getAllLights({ includeHidden: true }).map(light => light.index)).toEqual([2, 1, 3, 4]);
+        expect(controller.lights.get(1)).toMatchObject({ name: 'Ceiling Lt 2', room: 0, icon: '💡', displayRoomName: 'Living Room' });
+        expect(controller.lights.get(2)).toMatchObject({ room: 0, displayRoom: 2, displayRoomName: 'Bedroom' });
+
+        // Moved lights follow room commands in their new room; hidden ones still take part
+        expect(controller.getLightsByRoom(0).map(light => light.index)).toEqual([1]);
+        expect(controller.setRoomBrightness(2, 50)).toBe(1);
+        expect(controller.setRoomBrightness(1, 50)).toBe(1);
+        expect(controller.lights.get(3).currentBrightness).toBe(50);
+        expect(sent.filter(data => data.startsWith('HMSEVENT'))).toHaveLength(2);
+
+        expect(controller.setLightOverlay(2, { room: 9 })).toBe(false);
+        expect(controller.setLightOverlay(2, { alias: 'x'.repeat(51) })).toBe(false);
+        expect(controller.setLightOverlay(2, { colour: 'red' })).toBe(false);
+        expect(controller.setLightOverlay(9, { alias: 'Missing' })).toBe(false);
+
+        expect(controller.setLightOverlay(1, { alias: '', order: null })).toBe(true);
+        expect(controller.getLightOverlay(1)).toMatchObject({ icon: '💡' });
+        expect(controller.getLightOverlay(1).alias).toBeUndefined();
+        expect(controller.setLightOverlay(1, null)).toBe(true);
+        expect(controller.getLightOverlay(1)).toBeNull();
+        expect(controller.lights.get(1).displayName).toBe('Ceiling Lt 2');
+    });
+
+    test('schedules, previews and history follow a light moved to another room', async () => {
+        const { controller } = createController();
+        await controller.initialize();
+        controller.setLightOverlay(2, { room: 5 });
+        controller.setLightBrightness(2, 60);
+        controller.timezone = 'UTC';
+        controller.createSchedule('Night', [{ time: '22:00', days: EVERY_DAY, action: 'room_off', room: 5 }], { enabled: true });
+
+        const [action] = controller.simulateSchedules(new Date('2024-06-01T21:00:00Z'), new Date('2024-06-01T23:00:00Z'));
+        expect(action.lights.map(light => light.index)).toEqual([2, 4]);
+
+        controller.scheduleCheckpoints.set('Night', Date.parse('2024-06-01T21:59:00Z'));
+        controller.checkScheduleEvents('Night', new Date('2024-06-01T22:00:00Z'));
+        expect(controller.lights.get(2).currentBrightness).toBe(0);
+        expect(controller.getScheduleHistory()[0].targets.map(target => target.index)).toEqual([2, 4]);
+    });
+
+    test('keeps the overlay with a light that discovery renumbers', async () => {
+        const storage = createStorage();
+        const { controller: before } = createController(LIGHTS, storage);
+        await before.initialize();
+        before.setLightOverlay(4, { alias: 'Front Porch', room: 0 });
+        before.setLightOverlay(3, { hidden: true });
+
+        const { controller } = createController([LIGHTS[3], LIGHTS[2], LIGHTS[0]], storage);
+        await controller.initialize();
+
+        expect(controller.getAllLights().map(light => [light.index, light.displayName, light.displayRoomName])).toEqual([
+            [1, 'Front Porch', 'Living Room'],
+            [3, 'Ceiling Lt 2', 'Living Room']
+        ]);
+        expect(controller.lights.get(2).hidden).toBe(true);
+    });
+
+    test('uses aliases in scene comparisons and carries the overlay through export and import', async () => {
+        const { controller } = createController();
+        await controller.initialize();
+        controller.getCurrentBrightness = () => Promise.resolve();
+        controller.setLightOverlay(1, { alias: 'Main Ceiling', icon: '💡' });
+        controller.setLightOverlay(3, { hidden: true });
+        await controller.saveScene('Evening');
+        controller.setLightBrightness(1, 80);
+
+        expect(controller.compareScene('Evening').differences.map(light => light.name)).toEqual(['Main Ceiling']);
+
+        const exported = controller.exportConfig();
+        expect(exported.lightOverlay).toHaveLength(2);
+        expect(exported.lights[0]).toMatchObject({ name: 'Main Ceiling', coachName: 'Ceiling Lt 2', icon: '💡', hidden: false });
+        expect(exported.lights[2]).toMatchObject({ name: 'Water Pump', hidden: true });
+
+        const { controller: other } = createController();
+        await other.initialize();
+        expect(other.importConfig(JSON.parse(JSON.stringify(exported)))).toBe(true);
+        expect(other.getAllLights().map(light => light.displayName)).toEqual(['Main Ceiling', 'Lamp', 'Porch']);
+    });
+});
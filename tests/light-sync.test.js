@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+const LIGHTS = ['Ceiling', 'Lamp', 'Porch'];
+
+// Controller whose coach discovers three dimmers and answers brightness requests from `levels`,
+// which tests change the way a wall switch would
+function createController({ silent = false, ...options } = {}) {
+    const events = new EventEmitter();
+    const levels = new Map(LIGHTS.map((name, i) => [i + 1, 0]));
+    const sent = [];
+    const updates = [];
+    const controller = new RVLightingController({
+        send: data => {
+            sent.push(data);
+            const brightness = /^NEWMAR_DIMMER_BRIGHTNESS\[(\d+)\]$/.exec(data);
+            if (data === 'GET_LIGHT_COUNT') {
+                events.emit(data, String(LIGHTS.length));
+            } else if (data.startsWith('GET_LIGHT_OBJECT[')) {
+                const i = parseInt(data.slice('GET_LIGHT_OBJECT['.length));
+                events.emit(data, JSON.stringify({ name: LIGHTS[i], index: i + 1, instance: i + 1, command: 0, room_loc: 0 }));
+            } else if (brightness && !silent) {
+                setTimeout(() => events.emit(data, `${levels.get(parseInt(brightness[1]))}%`), 100);
+            }
+            return true;
+        },
+        parserUtils,
+        events,
+        storage: null,
+        restoreSchedules: false,
+        onLightUpdate: light => updates.push([light.index, light.currentBrightness]),
+        ...options
+    });
+    const requests = () => sent.filter(data => data.startsWith('NEWMAR_DIMMER_BRIGHTNESS')).length;
+    return { controller, events, levels, updates, requests };
+}
+
+describe('RVLightingController live light status', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('picks up levels the coach reports on its own', async () => {
+        const { controller, events, updates } = createController();
+        await controller.initialize();
+
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[2]', '75%');
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[2]', '75%');
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[3]', 'n/a');
+
+        expect(controller.lights.get(2).currentBrightness).toBe(75);
+        expect(controller.lights.get(3).currentBrightness).toBe(0);
+        expect(updates).toEqual([[2, 75]]);
+
+        controller.cleanup();
+        expect(events.listenerCount('NEWMAR_DIMMER_BRIGHTNESS[2]')).toBe(0);
+    });
+
+    test('applies each report once after lights are refreshed', async () => {
+        const { controller, events, updates } = createController();
+        await controller.initialize();
+        await controller.initialize();
+
+        expect(events.listenerCount('NEWMAR_DIMMER_BRIGHTNESS[2]')).toBe(1);
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[2]', '75%');
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[2]', '0%');
+        expect(updates).toEqual([[2, 75], [2, 0]]);
+
+        controller.cleanup();
+        expect(events.listenerCount('NEWMAR_DIMMER_BRIGHTNESS[2]')).toBe(0);
+    });
+
+    test('ignores reports for a light whose command is still queued', async () => {
+        const { controller, events, updates } = createController({ commandInterval: 100 });
+        await controller.initialize();
+
+        controller.setLightBrightness(1, 40);
+        controller.setLightBrightness(2, 60);
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[2]', '0%');
+        expect(controller.lights.get(2).currentBrightness).toBe(60);
+
+        jest.advanceTimersByTime(100);
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[2]', '20%');
+        expect(controller.lights.get(2).currentBrightness).toBe(20);
+        expect(updates).toEqual([[2, 20]]);
+    });
+
+    test('polls every light in the background until stopped', async () => {
+        const { controller, levels, updates, requests } = createController({ statusPollInterval: 30000 });
+        await controller.initialize();
+        expect(controller.getStatus().statusPollInterval).toBe(30000);
+
+        levels.set(3, 50);
+        await jest.advanceTimersByTimeAsync(29999);
+        expect(requests()).toBe(0);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(requests()).toBe(3);
+        expect(updates).toEqual([[3, 50]]);
+
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(requests()).toBe(6);
+
+        controller.setStatusPollInterval(0);
+        await jest.advanceTimersByTimeAsync(120000);
+        expect(requests()).toBe(6);
+
+        controller.setStatusPollInterval(1000);
+        expect(controller.statusPollInterval).toBe(5000);
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(requests()).toBe(9);
+
+        controller.cleanup();
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(requests()).toBe(9);
+    });
+
+    test('stops listening for answers that never come', async () => {
+        const { controller, events, updates, requests } = createController({ statusPollInterval: 30000, silent: true });
+        await controller.initialize();
+
+        // Each poll waits out its 5s request timeouts before the next 30s wait
+        await jest.advanceTimersByTimeAsync(5 * 35000);
+        expect(requests()).toBe(15);
+        expect(events.listenerCount('NEWMAR_DIMMER_BRIGHTNESS[1]')).toBe(1);
+
+        events.emit('NEWMAR_DIMMER_BRIGHTNESS[1]', '40%');
+        expect(updates).toEqual([[1, 40]]);
+        controller.cleanup();
+    });
+});
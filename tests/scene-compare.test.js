@@ -0,0 +1,97 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+// Living room dimmers (1, 2), a living room switch (3) and a porch dimmer (4)
+function createController() {
+    const controller = new RVLightingController({
+        send: () => true,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null
+    });
+    const lights = [
+        { name: 'Ceiling', room: 0, isDimmer: true },
+        { name: 'Lamp', room: 0, isDimmer: true },
+        { name: 'Accent', room: 0, isDimmer: false },
+        { name: 'Porch', room: 5, isDimmer: true }
+    ];
+    lights.forEach((light, i) => {
+        controller.lights.set(i + 1, { ...light, index: i + 1, instance: i + 1, command: light.isDimmer ? 0 : 1, currentBrightness: 0 });
+    });
+    controller.isInitialized = true;
+
+    controller.scenes.set('Movie', {
+        name: 'Movie',
+        room: 0,
+        lights: [
+            { index: 1, name: 'Ceiling', brightness: 0, room: 0 },
+            { index: 2, name: 'Lamp', brightness: 30, room: 0 },
+            { index: 3, name: 'Accent', brightness: 100, room: 0 }
+        ]
+    });
+    controller.scenes.set('Movie Night', {
+        name: 'Movie Night',
+        room: null,
+        lights: [
+            { index: 1, name: 'Ceiling', brightness: 0, room: 0 },
+            { index: 2, name: 'Lamp', brightness: 30, room: 0 },
+            { index: 3, name: 'Accent', brightness: 100, room: 0 },
+            { index: 4, name: 'Porch', brightness: 0, room: 5 }
+        ]
+    });
+    return controller;
+}
+
+function setLevels(controller, levels) {
+    levels.forEach((level, i) => { controller.lights.get(i + 1).currentBrightness = level; });
+}
+
+describe('RVLightingController scene comparison', () => {
+    test('lists lights that differ from a scene and by how much', () => {
+        const controller = createController();
+        setLevels(controller, [40, 33, 0, 0]);
+
+        const diff = controller.compareScene('Movie');
+        expect(diff.matches).toBe(false);
+        expect(diff.tolerance).toBe(5);
+        expect(diff.differences).toEqual([
+            { index: 1, name: 'Ceiling', room: 0, expected: 0, actual: 40, delta: 40, reason: 'level' },
+            { index: 3, name: 'Accent', room: 0, expected: 100, actual: 0, delta: -100, reason: 'level' }
+        ]);
+
+        expect(controller.compareScene('Missing')).toBeNull();
+    });
+
+    test('matches dimmers within the tolerance and switches by on/off state', () => {
+        const controller = createController();
+        setLevels(controller, [3, 26, 60, 90]);
+
+        expect(controller.compareScene('Movie').matches).toBe(true);
+        expect(controller.compareScene('Movie', { tolerance: 2 }).differences.map(light => light.index)).toEqual([1, 2]);
+    });
+
+    test('reports the matching scene that covers the most lights as active', () => {
+        const controller = createController();
+
+        setLevels(controller, [0, 30, 100, 80]);
+        expect(controller.getActiveScene()).toBe('Movie');
+
+        setLevels(controller, [0, 30, 100, 0]);
+        expect(controller.getActiveScene()).toBe('Movie Night');
+
+        setLevels(controller, [100, 100, 100, 100]);
+        expect(controller.getActiveScene()).toBeNull();
+    });
+
+    test('treats renumbered lights as missing', () => {
+        const controller = createController();
+        setLevels(controller, [0, 30, 100, 0]);
+        controller.lights.get(2).name = 'Sconce';
+
+        expect(controller.compareScene('Movie').differences).toEqual([
+            { index: 2, name: 'Lamp', room: 0, expected: 30, actual: null, delta: null, reason: 'missing' }
+        ]);
+        expect(controller.getActiveScene()).toBeNull();
+    });
+});
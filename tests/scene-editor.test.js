@@ -0,0 +1,100 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+const { schemas } = require('../server/middleware/validation');
+
+// Controller with three living room dimmers and a saved "Movie" scene, recording sent commands
+function createController() {
+    const sent = [];
+    const controller = new RVLightingController({
+        send: data => sent.push(data),
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        commandInterval: 0
+    });
+    ['Ceiling', 'Lamp', 'Sconce'].forEach((name, i) => {
+        controller.lights.set(i + 1, {
+            name, index: i + 1, instance: i + 1, command: 0,
+            room: 0, roomName: 'Living Room', isDimmer: true, currentBrightness: 80
+        });
+    });
+    controller.isInitialized = true;
+    controller.scenes.set('Movie', {
+        name: 'Movie',
+        created: '2024-05-01T20:00:00.000Z',
+        room: 0,
+        lights: [
+            { index: 1, name: 'Ceiling', brightness: 0, room: 0 },
+            { index: 2, name: 'Lamp', brightness: 20, room: 0 }
+        ]
+    });
+    return { controller, sent };
+}
+
+function levels(controller) {
+    return Array.from(controller.lights.values()).map(light => light.currentBrightness);
+}
+
+describe('RVLightingController scene editing', () => {
+    test('adds, re-levels and removes scene lights without sending anything', () => {
+        const { controller, sent } = createController();
+
+        expect(controller.setSceneLight('Movie', 3, 10)).toBe(true);
+        expect(controller.setSceneLight('Movie', 2, 35)).toBe(true);
+        expect(controller.removeSceneLight('Movie', 1)).toBe(true);
+
+        const scene = controller.scenes.get('Movie');
+        expect(scene.lights).toEqual([
+            { index: 2, name: 'Lamp', brightness: 35, room: 0, fingerprint: { name: 'Lamp', instance: 2, room: 0, command: 0 } },
+            { index: 3, name: 'Sconce', brightness: 10, room: 0, fingerprint: { name: 'Sconce', instance: 3, room: 0, command: 0 } }
+        ]);
+        expect(schemas.sceneSchema.validate(scene).error).toBeUndefined();
+        expect(sent).toHaveLength(0);
+        expect(levels(controller)).toEqual([80, 80, 80]);
+    });
+
+    test('rejects edits the scene schema would reject', () => {
+        const { controller } = createController();
+
+        expect(controller.setSceneLight('Movie', 2, 150)).toBe(false);
+        expect(controller.setSceneLight('Movie', 2, 12.5)).toBe(false);
+        expect(controller.setSceneLight('Movie', 9, 50)).toBe(false);
+        expect(controller.updateScene('Movie', [{ index: 1, brightness: 5 }, { index: 1, brightness: 6 }])).toBe(false);
+        expect(controller.removeSceneLight('Movie', 3)).toBe(false);
+        expect(controller.setSceneLight('Missing', 1, 50)).toBe(false);
+
+        controller.removeSceneLight('Movie', 1);
+        expect(controller.removeSceneLight('Movie', 2)).toBe(false);
+        expect(controller.scenes.get('Movie').lights).toHaveLength(1);
+    });
+
+    test('agrees with sceneSchema on what is valid', () => {
+        const { controller } = createController();
+        const scenes = [
+            controller.scenes.get('Movie'),
+            { name: '', lights: [{ index: 1, name: 'Ceiling', brightness: 0, room: 0 }] },
+            { name: 'Empty', lights: [] },
+            { name: 'Dupes', lights: [{ index: 1, name: 'A', brightness: 0, room: 0 }, { index: 1, name: 'B', brightness: 5, room: 0 }] },
+            { name: 'Room', room: 6, lights: [{ index: 1, name: 'Ceiling', brightness: 0, room: 0 }] },
+            { name: 'Level', lights: [{ index: 1, name: 'Ceiling', brightness: -1, room: 0 }] }
+        ];
+
+        for (const scene of scenes) {
+            expect(controller.validateScene(scene) === null).toBe(!schemas.sceneSchema.validate(scene).error);
+        }
+    });
+
+    test('previews levels and puts the lights back afterwards', () => {
+        const { controller, sent } = createController();
+
+        controller.previewScene([{ index: 1, brightness: 0 }, { index: 3, brightness: 40 }]);
+        controller.previewScene([{ index: 3, brightness: 60 }]);
+        expect(levels(controller)).toEqual([0, 80, 60]);
+        expect(controller.scenes.get('Movie').lights[0].brightness).toBe(0);
+
+        expect(controller.endScenePreview()).toBe(2);
+        expect(levels(controller)).toEqual([80, 80, 80]);
+        expect(sent).toHaveLength(5);
+    });
+});
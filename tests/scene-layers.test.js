@@ -0,0 +1,102 @@
+const helpers = require('./helpers');
+
+// Two living room dimmers (1, 2), a bedroom dimmer (3) and a porch dimmer (4),
+// an "Evening base" scene for the whole coach and two living room scenes
+function createController(storage = null) {
+    const controller = helpers.createController({
+        lights: [{ name: 'Ceiling' }, { name: 'Lamp' }, { name: 'Bed', room: 2 }, { name: 'Porch', room: 5 }],
+        storage
+    });
+
+    const scene = (name, levels) => controller.scenes.set(name, {
+        name,
+        lights: Object.entries(levels).map(([index, brightness]) => {
+            const light = controller.lights.get(Number(index));
+            return { index: light.index, name: light.name, brightness, room: light.room };
+        })
+    });
+    scene('Evening base', { 1: 70, 2: 70, 3: 40, 4: 100 });
+    scene('Movie night', { 1: 0, 2: 15 });
+    scene('Reading', { 2: 90 });
+    return controller;
+}
+
+function levels(controller) {
+    return controller.getAllLights().map(light => light.currentBrightness);
+}
+
+describe('RVLightingController scene layers', () => {
+    test('merges layers so the top layer wins each light', () => {
+        const controller = createController();
+
+        controller.applySceneLayer('Evening base');
+        controller.applySceneLayer('Movie night');
+        expect(levels(controller)).toEqual([0, 15, 40, 100]);
+
+        controller.applySceneLayer('Reading');
+        expect(levels(controller)).toEqual([0, 90, 40, 100]);
+
+        expect(controller.getSceneLayers()).toEqual([
+            { scene: 'Reading', priority: 0, lights: 1 },
+            { scene: 'Movie night', priority: 0, lights: 1 },
+            { scene: 'Evening base', priority: 0, lights: 2 }
+        ]);
+    });
+
+    test('lets a higher priority layer win whatever order layers are applied in', () => {
+        const controller = createController();
+
+        controller.applySceneLayer('Movie night', { priority: 5 });
+        controller.applySceneLayer('Evening base');
+        expect(levels(controller)).toEqual([0, 15, 40, 100]);
+
+        // Re-applying an equal-priority layer moves it above its peers
+        controller.applySceneLayer('Reading', { priority: 5 });
+        controller.applySceneLayer('Movie night', { priority: 5 });
+        expect(levels(controller)).toEqual([0, 15, 40, 100]);
+
+        expect(controller.applySceneLayer('Reading', { priority: 1.5 })).toBe(false);
+        expect(controller.applySceneLayer('Missing')).toBe(false);
+    });
+
+    test('restores the layer below when a layer is removed', () => {
+        const controller = createController();
+
+        controller.applySceneLayer('Evening base');
+        controller.applySceneLayer('Movie night');
+        controller.lights.get(3).currentBrightness = 5;
+
+        expect(controller.removeSceneLayer('Movie night')).toBe(true);
+        expect(levels(controller)).toEqual([70, 70, 5, 100]);
+        expect(controller.removeSceneLayer('Movie night')).toBe(false);
+
+        // Nothing below: lights are left as they are
+        controller.removeSceneLayer('Evening base');
+        expect(levels(controller)).toEqual([70, 70, 5, 100]);
+        expect(controller.getSceneLayers()).toEqual([]);
+    });
+
+    test('drops the layer stack when a whole scene loads', () => {
+        const controller = createController();
+
+        controller.applySceneLayer('Evening base');
+        controller.applySceneLayer('Movie night');
+        controller.loadScene('Reading');
+
+        expect(controller.getSceneLayers()).toEqual([]);
+        expect(levels(controller)).toEqual([0, 90, 40, 100]);
+    });
+
+    test('keeps the stack across a reload', () => {
+        const storage = helpers.createStorage();
+        const first = createController(storage);
+        first.applySceneLayer('Evening base');
+        first.applySceneLayer('Movie night', { priority: 2 });
+
+        const second = createController(storage);
+        second.lights.forEach(light => { light.currentBrightness = [0, 15, 40, 100][light.index - 1]; });
+        second.removeSceneLayer('Movie night');
+
+        expect(levels(second)).toEqual([70, 70, 40, 100]);
+    });
+});
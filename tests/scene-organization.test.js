@@ -0,0 +1,166 @@
+const helpers = require('./helpers');
+const { schemas } = require('../server/middleware/validation');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Controller with one light and "Evening", "Movie" and "Reading" scenes
+function createController(storage = null) {
+    const controller = helpers.createController({ lights: [{ name: 'Ceiling' }], storage });
+    for (const [name, brightness] of [['Evening', 60], ['Movie', 10], ['Reading', 100]]) {
+        controller.scenes.set(name, {
+            name,
+            created: '2024-05-01T20:00:00.000Z',
+            room: null,
+            lights: [{ index: 1, name: 'Ceiling', brightness, room: 0 }]
+        });
+    }
+    return controller;
+}
+
+describe('RVLightingController scene and schedule organization', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T12:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('renames a scene in place and updates everything that uses it', () => {
+        const controller = createController();
+        controller.createSchedule('Nightly', [
+            { time: '20:00', days: EVERY_DAY, action: 'load_scene', scene: 'Movie' },
+            { time: '22:00', days: EVERY_DAY, action: 'load_scene', scene: 'Reading' }
+        ]);
+        controller.createSequence('Fade Show', [{ scene: 'Evening', delayMs: 1000 }, { scene: 'Movie', delayMs: 1000 }]);
+        controller.applySceneLayer('Movie');
+
+        expect(controller.renameScene('Movie', 'Movie Night')).toBe(true);
+
+        expect(Array.from(controller.scenes.keys())).toEqual(['Evening', 'Movie Night', 'Reading']);
+        expect(controller.scenes.get('Movie Night').name).toBe('Movie Night');
+        expect(controller.schedules.get('Nightly').events.map(event => event.scene)).toEqual(['Movie Night', 'Reading']);
+        expect(controller.sequences.get('Fade Show').steps.map(step => step.scene)).toEqual(['Evening', 'Movie Night']);
+        expect(controller.getSceneLayers().map(layer => layer.scene)).toEqual(['Movie Night']);
+
+        expect(controller.renameScene('Movie Night', 'Evening')).toBe(false);
+        expect(controller.renameScene('Movie Night', '')).toBe(false);
+        expect(controller.renameScene('Missing', 'Other')).toBe(false);
+    });
+
+    test('duplicates scenes and schedules next to the original, schedules disabled', () => {
+        const controller = createController();
+        controller.setSceneFavorite('Evening');
+        controller.createSchedule('Weekday', [{ time: '07:00', days: ['mon'], action: 'lights_on' }], { enabled: true });
+        controller.createSchedule('Weekend', [{ time: '09:00', days: ['sat'], action: 'lights_on' }]);
+
+        expect(controller.duplicateScene('Evening', 'Evening Dim')).toBe(true);
+        expect(controller.duplicateSchedule('Weekday', 'Weekday Early')).toBe(true);
+        expect(controller.duplicateScene('Evening', 'Movie')).toBe(false);
+
+        expect(Array.from(controller.scenes.keys())).toEqual(['Evening', 'Evening Dim', 'Movie', 'Reading']);
+        const copy = controller.scenes.get('Evening Dim');
+        expect(copy).toMatchObject({ name: 'Evening Dim', created: '2024-06-01T12:00:00.000Z' });
+        expect(copy.favorite).toBeUndefined();
+        copy.lights[0].brightness = 30;
+        expect(controller.scenes.get('Evening').lights[0].brightness).toBe(60);
+
+        expect(Array.from(controller.schedules.keys())).toEqual(['Weekday', 'Weekday Early', 'Weekend']);
+        expect(controller.schedules.get('Weekday Early').enabled).toBe(false);
+        expect(Array.from(controller.activeSchedules)).toEqual(['Weekday']);
+    });
+
+    test('keeps a running schedule and its checkpoint through a rename', () => {
+        const controller = createController();
+        controller.createSchedule('Morning', [{ time: '12:30', days: EVERY_DAY, action: 'lights_on' }], { enabled: true });
+        const checkpoint = controller.scheduleCheckpoints.get('Morning');
+
+        expect(controller.renameSchedule('Morning', 'Lunch')).toBe(true);
+        expect(Array.from(controller.activeSchedules)).toEqual(['Lunch']);
+        expect(controller.scheduleCheckpoints.get('Lunch')).toBe(checkpoint);
+        expect(controller.scheduleCheckpoints.has('Morning')).toBe(false);
+
+        jest.advanceTimersByTime(30 * 60000);
+        expect(controller.lights.get(1).currentBrightness).toBe(100);
+        expect(controller.getScheduleHistory()[0].schedule).toBe('Lunch');
+    });
+
+    test('saves ordering and favorites through storage and the schemas', () => {
+        const storage = helpers.createStorage();
+        const controller = createController(storage);
+
+        expect(controller.reorderScenes(['Reading', 'Evening'])).toBe(true);
+        expect(controller.reorderScenes(['Reading', 'Reading'])).toBe(false);
+        expect(controller.reorderScenes(['Missing'])).toBe(false);
+        expect(controller.setSceneFavorite('Movie')).toBe(true);
+        expect(controller.setSceneFavorite('Missing')).toBe(false);
+
+        const reloaded = createController(storage);
+        reloaded.loadSavedData();
+        expect(reloaded.getAllScenes().map(scene => [scene.name, !!scene.favorite])).toEqual([
+            ['Reading', false], ['Evening', false], ['Movie', true]
+        ]);
+
+        reloaded.setSceneFavorite('Movie', false);
+        expect(reloaded.scenes.get('Movie').favorite).toBeUndefined();
+
+        expect(schemas.sceneSchema.validate({ ...controller.scenes.get('Movie') }).error).toBeUndefined();
+        expect(schemas.orderSchema.validate({ names: ['Reading', 'Reading'] }).error).toBeDefined();
+        expect(schemas.renameSchema.validate({ name: '  Late  ' }).value).toEqual({ name: 'Late' });
+    });
+    describe('with a server', () => {
+        // /api/data stand-in: GET returns the stored data, POST replaces it
+        function createServer(data) {
+            const server = { data, posts: [] };
+            global.fetch = jest.fn(async (url, options = {}) => {
+                if (options.method === 'POST') {
+                    server.data = { ...JSON.parse(options.body), lastModified: `v${server.posts.length + 2}` };
+                    server.posts.push(server.data);
+                    return { ok: true, json: async () => ({ success: true, lastModified: server.data.lastModified }) };
+                }
+                return { ok: true, json: async () => ({ success: true, data: server.data }) };
+            });
+            return server;
+        }
+
+        afterEach(() => {
+            delete global.fetch;
+        });
+
+        test('keeps renames made through the API when the tablet saves', async () => {
+            const tablet = createController();
+            const server = createServer({ ...tablet.getSyncData(), lastModified: 'v1' });
+            tablet.syncUrl = '/api/data';
+            tablet.onDataChange = jest.fn();
+
+            await expect(tablet.loadFromServer()).resolves.toBe(true);
+
+            // The API renames a scene behind the tablet's back
+            const renamed = createController();
+            renamed.renameScene('Movie', 'Movie Night');
+            server.data = { ...renamed.getSyncData(), lastModified: 'v2' };
+
+            tablet.setSceneFavorite('Reading');
+            tablet.deleteScene('Evening');
+            await tablet.serverSync;
+
+            expect(server.posts).toHaveLength(1);
+            expect(server.data.scenes.map(scene => [scene.name, !!scene.favorite])).toEqual([
+                ['Movie Night', false], ['Reading', true]
+            ]);
+            expect(Array.from(tablet.scenes.keys())).toEqual(['Movie Night', 'Reading']);
+            expect(tablet.onDataChange).toHaveBeenCalled();
+        });
+
+        test('pushes local data to a server that has none yet', async () => {
+            const tablet = createController();
+            const server = createServer({ scenes: [], schedules: [] });
+            tablet.syncUrl = '/api/data';
+
+            await expect(tablet.loadFromServer()).resolves.toBe(false);
+            await tablet.serverSync;
+
+            expect(server.data.scenes.map(scene => scene.name)).toEqual(['Evening', 'Movie', 'Reading']);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+// Controller whose coach answers brightness requests after a second, except for silent lights
+function createController({ count, silent = [], connected = true, ...options }) {
+    const events = new EventEmitter();
+    const stats = { inFlight: 0, maxInFlight: 0, asked: [] };
+    const controller = new RVLightingController({
+        send: data => {
+            const match = /^NEWMAR_DIMMER_BRIGHTNESS\[(\d+)\]$/.exec(data);
+            if (!match || !connected) return connected;
+
+            const index = parseInt(match[1]);
+            stats.asked.push(index);
+            if (silent.includes(index)) return true;
+
+            stats.inFlight++;
+            stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+            setTimeout(() => {
+                stats.inFlight--;
+                events.emit(data, `${index * 10}%`);
+            }, 1000);
+            return true;
+        },
+        parserUtils,
+        events,
+        storage: null,
+        ...options
+    });
+    for (let index = 1; index <= count; index++) {
+        controller.lights.set(index, {
+            name: `Light ${index}`, index, instance: index, command: 0,
+            room: 0, roomName: 'Living Room', isDimmer: true, currentBrightness: 5
+        });
+    }
+    controller.isInitialized = true;
+    return { controller, stats };
+}
+
+describe('RVLightingController scene readback', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('reads levels a few lights at a time', async () => {
+        const { controller, stats } = createController({ count: 8, readbackConcurrency: 4 });
+
+        let result = null;
+        controller.saveScene('Evening').then(value => { result = value; });
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(result).toEqual({ scene: 'Evening', lights: 8, fallbacks: [] });
+        expect(stats.maxInFlight).toBe(4);
+        expect(controller.scenes.get('Evening').lights.map(light => light.brightness))
+            .toEqual([10, 20, 30, 40, 50, 60, 70, 80]);
+    });
+
+    test('falls back to cached levels at the deadline and reports which lights did', async () => {
+        const { controller, stats } = createController({ count: 6, silent: [3] });
+
+        let result = null;
+        controller.saveScene('Evening', null, { concurrency: 2, deadlineMs: 2500 }).then(value => { result = value; });
+        await jest.advanceTimersByTimeAsync(2499);
+        expect(result).toBeNull();
+        await jest.advanceTimersByTimeAsync(1);
+
+        expect(result.fallbacks).toEqual([
+            { index: 3, name: 'Light 3', brightness: 5, reason: 'timeout' },
+            { index: 5, name: 'Light 5', brightness: 5, reason: 'timeout' },
+            { index: 6, name: 'Light 6', brightness: 5, reason: 'deadline' }
+        ]);
+        expect(stats.asked).toEqual([1, 2, 3, 4, 5]);
+        expect(controller.scenes.get('Evening').lights.map(light => light.brightness))
+            .toEqual([10, 20, 5, 40, 5, 5]);
+    });
+
+    test('does not wait for requests that could not be sent', async () => {
+        const { controller } = createController({ count: 3, connected: false });
+
+        const result = await controller.saveScene('Evening');
+
+        expect(result.fallbacks.map(light => light.reason)).toEqual(['error', 'error', 'error']);
+        expect(controller.scenes.get('Evening').lights).toHaveLength(3);
+    });
+});
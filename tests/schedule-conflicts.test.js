@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FROM = new Date('2024-05-01T00:00:00Z');
+
+// Create schedules and activate them, as the user would before they run
+function activateAll(controller, schedules) {
+    for (const [name, event] of Object.entries(schedules)) {
+        controller.createSchedule(name, [{ days: EVERY_DAY, ...event }]);
+        controller.activateSchedule(name);
+    }
+}
+
+function createController() {
+    const controller = new RVLightingController({
+        send: () => true,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        timezone: 'UTC'
+    });
+    [[1, 0], [2, 0], [3, 2]].forEach(([index, room]) => {
+        controller.lights.set(index, {
+            name: `Light ${index}`, index, instance: index, command: 0,
+            room, roomName: controller.roomNames[room], isDimmer: true, currentBrightness: 0
+        });
+    });
+    controller.scenes.set('Reading', {
+        name: 'Reading',
+        lights: [{ index: 1, brightness: 80, room: 0 }, { index: 2, brightness: 0, room: 0 }]
+    });
+    controller.scenes.set('Bedtime', {
+        name: 'Bedtime',
+        lights: [{ index: 3, brightness: 20, room: 2 }]
+    });
+    controller.isInitialized = true;
+    return controller;
+}
+
+describe('RVLightingController schedule conflicts', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: FROM });
+    });
+
+    test('flags lights_on and lights_off in the same minute', () => {
+        const controller = createController();
+        activateAll(controller, {
+            Morning: { time: '22:00', action: 'lights_on' },
+            Night: { time: '22:00', action: 'lights_off' }
+        });
+
+        const conflicts = controller.findScheduleConflicts({ from: FROM });
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({
+            schedules: ['Morning', 'Night'],
+            lights: [1, 2, 3],
+            occurrences: 7
+        });
+        expect(conflicts[0].firstTime.toISOString()).toBe('2024-05-01T22:00:00.000Z');
+    });
+
+    test('ignores events that touch different lights or agree on levels', () => {
+        const controller = createController();
+        activateAll(controller, {
+            'Living': { time: '21:00', action: 'load_scene', scene: 'Reading' },
+            'Bedroom': { time: '21:00', action: 'load_scene', scene: 'Bedtime' },
+            'Also Reading': { time: '21:00', action: 'load_scene', scene: 'Reading' }
+        });
+
+        expect(controller.findScheduleConflicts({ from: FROM })).toEqual([]);
+    });
+
+    test('treats an event firing during another event\'s fade as overlapping', () => {
+        const controller = createController();
+        activateAll(controller, {
+            'Fade Up': { time: '20:00', action: 'lights_on', fadeMs: 600000 },
+            'Reading': { time: '20:05', action: 'load_scene', scene: 'Reading' },
+            'Late': { time: '20:15', action: 'lights_off' }
+        });
+
+        const conflicts = controller.findScheduleConflicts({ from: FROM, days: 1 });
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0].schedules).toEqual(['Fade Up', 'Reading']);
+        expect(conflicts[0].lights).toEqual([1, 2]);
+    });
+
+    test('reports conflicts a schedule would have if activated', () => {
+        const controller = createController();
+        controller.createSchedule('Evening', [{ time: '21:00', days: EVERY_DAY, action: 'load_scene', scene: 'Reading' }]);
+        controller.createSchedule('Off', [{ time: '21:00', days: ['sat'], action: 'lights_off' }]);
+        controller.createSchedule('Other', [{ time: '21:00', days: EVERY_DAY, action: 'load_scene', scene: 'Bedtime' }]);
+        controller.activateSchedule('Evening');
+
+        const conflicts = controller.getActivationConflicts('Off', { from: FROM });
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ schedules: ['Evening', 'Off'], lights: [1], occurrences: 1 });
+        expect(controller.getActivationConflicts('Other', { from: FROM })).toEqual([]);
+    });
+});
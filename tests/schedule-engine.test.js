@@ -0,0 +1,344 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+const { createStorage } = require('./helpers');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function createController() {
+    const controller = new RVLightingController({
+        send: () => true,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        timezone: 'UTC'
+    });
+    controller.isInitialized = true;
+    return controller;
+}
+
+// Schedule with hourly lights_on events from 18:00 to 21:00, recording what ran
+function createEveningSchedule(controller, catchUp) {
+    const events = ['18:00', '19:00', '20:00', '21:00'].map(time => ({
+        time, days: EVERY_DAY, action: 'load_scene', scene: time
+    }));
+    controller.createSchedule('Evening', events, { catchUp });
+
+    const ran = [];
+    controller.loadScene = sceneName => ran.push(sceneName);
+    return ran;
+}
+
+describe('RVLightingController schedule engine', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('arms one timer for the next event and runs it on time', () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T17:58:00Z') });
+        const controller = createController();
+        const ran = createEveningSchedule(controller, 'skip');
+
+        controller.activateSchedule('Evening');
+        expect(controller.getNextScheduleRun('Evening').time.toISOString()).toBe('2024-05-01T18:00:00.000Z');
+
+        jest.advanceTimersByTime(2 * 60 * 1000);
+        expect(ran).toEqual(['18:00']);
+
+        controller.cleanup();
+    });
+
+    test.each([
+        ['skip', []],
+        ['run_latest', ['20:00']],
+        ['run_all', ['18:00', '19:00', '20:00']]
+    ])('applies the %s catch-up policy to events missed while asleep', (policy, expected) => {
+        const controller = createController();
+        const ran = createEveningSchedule(controller, policy);
+
+        // Last checked just before 18:00, woke at 20:30
+        controller.scheduleCheckpoints.set('Evening', Date.parse('2024-05-01T17:59:00Z'));
+        controller.checkScheduleEvents('Evening', new Date('2024-05-01T20:30:00Z'));
+
+        expect(ran).toEqual(expected);
+    });
+
+    test('runs an on-time event instead of the latest missed one', () => {
+        const controller = createController();
+        const ran = createEveningSchedule(controller, 'run_latest');
+
+        controller.scheduleCheckpoints.set('Evening', Date.parse('2024-05-01T17:59:00Z'));
+        controller.checkScheduleEvents('Evening', new Date('2024-05-01T21:00:30Z'));
+
+        expect(ran).toEqual(['21:00']);
+    });
+
+    test('does not treat events before activation as missed', () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T20:30:00Z') });
+        const controller = createController();
+        const ran = createEveningSchedule(controller, 'run_all');
+
+        controller.activateSchedule('Evening');
+        controller.runDueSchedules(new Date('2024-05-01T20:31:00Z'));
+
+        expect(ran).toEqual([]);
+        controller.cleanup();
+    });
+
+    test('resumes from a stored checkpoint when restoring after a restart', () => {
+        const controller = createController();
+        const ran = createEveningSchedule(controller, 'run_all');
+
+        jest.useFakeTimers({ now: new Date('2024-05-01T20:30:00Z') });
+        controller.scheduleCheckpoints.set('Evening', Date.parse('2024-05-01T18:30:00Z'));
+        controller.activateSchedule('Evening', { resume: true });
+        controller.runDueSchedules(new Date());
+
+        expect(ran).toEqual(['19:00', '20:00']);
+        controller.cleanup();
+    });
+});
+
+describe('RVLightingController schedule actions', () => {
+    function createLitController() {
+        const controller = createController();
+        [[1, 0, 60], [2, 0, 0], [3, 5, 100], [4, 5, 0]].forEach(([index, room, brightness]) => {
+            controller.lights.set(index, {
+                name: `Light ${index}`, index, instance: index, command: 0,
+                room, roomName: controller.roomNames[room], isDimmer: true, currentBrightness: brightness
+            });
+        });
+        return controller;
+    }
+
+    function levels(controller) {
+        return Array.from(controller.lights.values()).map(light => light.currentBrightness);
+    }
+
+    test('room_off and room_on only touch the room', () => {
+        const controller = createLitController();
+
+        controller.runScheduleEvent({ action: 'room_off', room: 5 });
+        expect(levels(controller)).toEqual([60, 0, 0, 0]);
+
+        controller.runScheduleEvent({ action: 'room_on', room: 0, brightness: 30 });
+        expect(levels(controller)).toEqual([30, 30, 0, 0]);
+    });
+
+    test('set_lights sets explicit levels', () => {
+        const controller = createLitController();
+
+        controller.runScheduleEvent({ action: 'set_lights', lights: [{ index: 2, brightness: 45 }, { index: 3, brightness: 5 }] });
+        expect(levels(controller)).toEqual([60, 45, 5, 0]);
+    });
+
+    test('toggle flips lights or a whole room', () => {
+        const controller = createLitController();
+
+        controller.runScheduleEvent({ action: 'toggle', lights: [{ index: 1 }, { index: 2 }] });
+        expect(levels(controller)).toEqual([0, 100, 100, 0]);
+
+        controller.runScheduleEvent({ action: 'toggle', room: 5, brightness: 25 });
+        expect(levels(controller)).toEqual([0, 100, 0, 25]);
+    });
+
+    test('keeps the new action fields when creating a schedule', () => {
+        const controller = createLitController();
+
+        expect(controller.createSchedule('Exterior', [
+            { time: '23:00', days: EVERY_DAY, action: 'room_off', room: 5 },
+            { time: '06:00', days: EVERY_DAY, action: 'set_lights', lights: [{ index: 3, brightness: 40 }] }
+        ])).toBe(true);
+        expect(controller.schedules.get('Exterior').events[0]).toMatchObject({ action: 'room_off', room: 5 });
+        expect(controller.schedules.get('Exterior').events[1].lights).toEqual([
+            { index: 3, brightness: 40, fingerprint: { name: 'Light 3', instance: 3, room: 5, command: 0 } }
+        ]);
+
+        expect(controller.createSchedule('Bad', [{ time: '23:00', days: EVERY_DAY, action: 'dance' }])).toBe(false);
+    });
+});
+
+describe('RVLightingController active schedule persistence', () => {
+    // Controller whose coach reports no lights, so initialize() resolves at once
+    function createStoredController(storage) {
+        const events = new EventEmitter();
+        return new RVLightingController({
+            send: data => data === 'GET_LIGHT_COUNT' && events.emit('GET_LIGHT_COUNT', '0'),
+            parserUtils,
+            events,
+            storage,
+            timezone: 'UTC'
+        });
+    }
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('restores enabled schedules once initialize() finishes', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+        const storage = createStorage();
+
+        const before = createStoredController(storage);
+        await before.initialize();
+        before.createSchedule('Evening', [{ time: '18:00', days: EVERY_DAY, action: 'lights_on' }]);
+        before.createSchedule('Idle', [{ time: '19:00', days: EVERY_DAY, action: 'lights_off' }]);
+        before.activateSchedule('Evening');
+        before.cleanup();
+
+        // A page reload: schedules load from storage but run only after discovery
+        const after = createStoredController(storage);
+        expect(after.schedules.get('Evening').enabled).toBe(true);
+        expect(after.activeSchedules.size).toBe(0);
+
+        await after.initialize();
+        expect(Array.from(after.activeSchedules)).toEqual(['Evening']);
+        after.cleanup();
+    });
+
+    test('keeps the enabled flag and the running state in step', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+        const controller = createStoredController(createStorage());
+        controller.createSchedule('Evening', [{ time: '18:00', days: EVERY_DAY, action: 'lights_on' }]);
+
+        // Activating before discovery enables the schedule and defers running it
+        controller.activateSchedule('Evening');
+        expect(controller.schedules.get('Evening').enabled).toBe(true);
+        expect(controller.activeSchedules.has('Evening')).toBe(false);
+
+        await controller.initialize();
+        expect(controller.activeSchedules.has('Evening')).toBe(true);
+
+        controller.deactivateSchedule('Evening');
+        expect(controller.schedules.get('Evening').enabled).toBe(false);
+        expect(controller.activeSchedules.has('Evening')).toBe(false);
+
+        expect(controller.deleteSchedule('Evening')).toBe(true);
+        expect(controller.schedules.has('Evening')).toBe(false);
+        controller.cleanup();
+    });
+    test('leaves enabled schedules to another host when told not to run them', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T17:00:00Z') });
+        const events = new EventEmitter();
+        const controller = new RVLightingController({
+            send: data => data === 'GET_LIGHT_COUNT' && events.emit(data, '0'),
+            parserUtils,
+            events,
+            storage: null,
+            timezone: 'UTC',
+            restoreSchedules: false,
+            runSchedules: false
+        });
+        controller.createSchedule('Evening', [{ time: '18:00', days: EVERY_DAY, action: 'lights_on' }], { enabled: true });
+        await controller.initialize();
+
+        expect(controller.activateSchedule('Evening')).toBe(true);
+        expect(controller.schedules.get('Evening').enabled).toBe(true);
+        expect(controller.activeSchedules.size).toBe(0);
+        expect(controller.scheduleTimer).toBeNull();
+
+        controller.allLightsOn = jest.fn();
+        jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+        expect(controller.allLightsOn).not.toHaveBeenCalled();
+        controller.cleanup();
+    });
+
+    test('takes schedules over while the other host is away and hands them back', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T17:00:00Z') });
+        const events = new EventEmitter();
+        const controller = new RVLightingController({
+            send: data => data === 'GET_LIGHT_COUNT' && events.emit(data, '0'),
+            parserUtils,
+            events,
+            storage: null,
+            timezone: 'UTC',
+            runSchedules: false
+        });
+        controller.createSchedule('Evening', [{ time: '18:00', days: EVERY_DAY, action: 'lights_on' }], { enabled: true });
+        controller.createSchedule('Night', [{ time: '22:00', days: EVERY_DAY, action: 'lights_off' }],
+            { enabled: true, catchUp: 'run_latest' });
+        await controller.initialize();
+        controller.allLightsOn = jest.fn();
+        controller.allLightsOff = jest.fn();
+
+        controller.setRunSchedules(true);
+        expect(Array.from(controller.activeSchedules)).toEqual(['Evening', 'Night']);
+        jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+        expect(controller.allLightsOn).toHaveBeenCalledTimes(1);
+
+        // The other host is back before 22:00 and runs Night itself
+        controller.setRunSchedules(false);
+        expect(controller.activeSchedules.size).toBe(0);
+        expect(controller.scheduleTimer).toBeNull();
+        expect(controller.schedules.get('Night').enabled).toBe(true);
+        jest.advanceTimersByTime(4 * 60 * 60 * 1000);
+
+        // Taking over again later doesn't catch up what it ran
+        controller.setRunSchedules(true);
+        jest.advanceTimersByTime(60 * 1000);
+        expect(controller.allLightsOff).not.toHaveBeenCalled();
+        controller.cleanup();
+    });
+});
+
+describe('RVLightingController schedule history', () => {
+    // Porch (1) and awning (2) outside; the awning's commands never reach the coach
+    function createOutdoorController() {
+        const controller = new RVLightingController({
+            send: data => !data.includes(`|${parserUtils.packEvent(parserUtils.ESET_INSTANCE(2), parserUtils.ESET_LEVEL(0))}`),
+            parserUtils,
+            events: new EventEmitter(),
+            storage: null,
+            timezone: 'UTC',
+            // Unpaced, so each command's outcome is known when the event runs
+            commandInterval: 0
+        });
+        [[1, 'Porch'], [2, 'Awning']].forEach(([index, name]) => {
+            controller.lights.set(index, {
+                name, index, instance: index, command: 0,
+                room: 5, roomName: 'Exterior', isDimmer: false, currentBrightness: 100
+            });
+        });
+        controller.isInitialized = true;
+        return controller;
+    }
+
+    test('records what each run targeted and which lights failed', () => {
+        const controller = createOutdoorController();
+        controller.createSchedule('Night', [{ time: '23:00', days: EVERY_DAY, action: 'room_off', room: 5 }]);
+
+        controller.checkScheduleEvents('Night', new Date('2024-05-01T23:00:10Z'));
+
+        const [run] = controller.getScheduleHistory();
+        expect(run).toMatchObject({
+            time: '2024-05-01T23:00:10.000Z',
+            scheduledFor: '2024-05-01T23:00:00.000Z',
+            schedule: 'Night',
+            action: 'room_off',
+            succeeded: 1,
+            failed: 1
+        });
+        expect(run.targets).toEqual([
+            { index: 1, name: 'Porch', brightness: 0, ok: true },
+            { index: 2, name: 'Awning', brightness: 0, ok: false }
+        ]);
+        expect(controller.lights.get(2).currentBrightness).toBe(100);
+    });
+
+    test('filters runs and lists the newest first', () => {
+        const controller = createOutdoorController();
+        controller.createSchedule('Dusk', [{ time: '20:00', days: EVERY_DAY, action: 'set_lights', lights: [{ index: 1, brightness: 50 }] }]);
+        controller.createSchedule('Night', [{ time: '23:00', days: EVERY_DAY, action: 'room_off', room: 5 }]);
+
+        controller.checkScheduleEvents('Dusk', new Date('2024-05-01T20:00:00Z'));
+        controller.checkScheduleEvents('Night', new Date('2024-05-01T23:00:00Z'));
+        controller.checkScheduleEvents('Dusk', new Date('2024-05-02T20:00:00Z'));
+
+        expect(controller.getScheduleHistory().map(run => run.time)).toEqual([
+            '2024-05-02T20:00:00.000Z', '2024-05-01T23:00:00.000Z', '2024-05-01T20:00:00.000Z'
+        ]);
+        expect(controller.getScheduleHistory({ schedule: 'Dusk', limit: 1 })[0].time).toBe('2024-05-02T20:00:00.000Z');
+        expect(controller.getScheduleHistory({ since: '2024-05-02T00:00:00Z' })).toHaveLength(1);
+        expect(controller.getScheduleHistory({ failedOnly: true }).map(run => run.schedule)).toEqual(['Night']);
+    });
+});
@@ -0,0 +1,72 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function createController(send) {
+    const controller = new RVLightingController({
+        send,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        timezone: 'UTC'
+    });
+    [[1, 'Ceiling', 0], [2, 'Lamp', 0], [3, 'Porch', 5]].forEach(([index, name, room]) => {
+        controller.lights.set(index, {
+            name, index, instance: index, command: 0,
+            room, roomName: controller.roomNames[room], isDimmer: true, currentBrightness: 10
+        });
+    });
+    controller.scenes.set('Reading', {
+        name: 'Reading',
+        lights: [{ index: 1, name: 'Ceiling', brightness: 80, room: 0 }, { index: 2, name: 'Lamp', brightness: 40, room: 0 }]
+    });
+    controller.isInitialized = true;
+    return controller;
+}
+
+describe('RVLightingController schedule preview', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('lists actions in order with resolved scenes and resulting brightness', () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T00:00:00Z') });
+        const send = jest.fn();
+        const controller = createController(send);
+        controller.createSchedule('Evening', [
+            { time: '22:00', days: EVERY_DAY, action: 'lights_off' },
+            { time: '19:00', days: ['wed'], action: 'load_scene', scene: 'Reading' }
+        ]);
+        controller.activateSchedule('Evening');
+
+        const actions = controller.simulateSchedules(new Date('2024-05-01T00:00:00Z'), new Date('2024-05-03T00:00:00Z'));
+
+        expect(actions.map(action => `${action.time.toISOString()} ${action.event.action}`)).toEqual([
+            '2024-05-01T19:00:00.000Z load_scene',
+            '2024-05-01T22:00:00.000Z lights_off',
+            '2024-05-02T22:00:00.000Z lights_off'
+        ]);
+        expect(actions[0].lights).toEqual([
+            { index: 1, name: 'Ceiling', previous: 10, brightness: 80 },
+            { index: 2, name: 'Lamp', previous: 10, brightness: 40 }
+        ]);
+        expect(actions[0].state).toEqual({ 1: 80, 2: 40, 3: 10 });
+        expect(actions[1].state).toEqual({ 1: 0, 2: 0, 3: 0 });
+
+        // Nothing is sent and live state is untouched
+        expect(send).not.toHaveBeenCalled();
+        expect(controller.lights.get(1).currentBrightness).toBe(10);
+    });
+
+    test('only simulates enabled schedules unless told otherwise', () => {
+        const controller = createController(() => true);
+        controller.createSchedule('Porch', [{ time: '20:00', days: EVERY_DAY, action: 'lights_on' }]);
+
+        const from = new Date('2024-05-01T00:00:00Z');
+        const to = new Date('2024-05-08T00:00:00Z');
+        expect(controller.simulateSchedules(from, to)).toEqual([]);
+        expect(controller.simulateSchedules(from, to, { schedules: ['Porch'] })).toHaveLength(7);
+    });
+});
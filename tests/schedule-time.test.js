@@ -0,0 +1,220 @@
+const EventEmitter = require('events');
+const ScheduleTime = require('../src/schedule-time');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+
+const NEW_YORK = 'America/New_York';
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function createController(timezone) {
+    const controller = new RVLightingController({
+        send: () => true,
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        timezone
+    });
+    controller.lights.set(1, {
+        name: 'Ceiling', index: 1, instance: 1, command: 0,
+        room: 0, roomName: 'Living Room', isDimmer: true, currentBrightness: 0
+    });
+    controller.isInitialized = true;
+    return controller;
+}
+
+// Run checkScheduleEvents once a minute between two instants and record fire times
+function runEveryMinute(controller, scheduleName, from, to) {
+    const fired = [];
+    controller.allLightsOn = () => fired.push(new Date(now));
+
+    let now = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    for (; now <= end; now += 60000) {
+        controller.checkScheduleEvents(scheduleName, new Date(now));
+    }
+    return fired.map(date => date.toISOString());
+}
+
+describe('ScheduleTime', () => {
+    test('reads wall-clock fields in the requested zone', () => {
+        const parts = ScheduleTime.getZonedParts(new Date('2024-06-21T03:00:00Z'), NEW_YORK);
+        expect(parts).toMatchObject({ year: 2024, month: 6, day: 20, hour: 23, minute: 0, weekday: 'thu' });
+    });
+
+    test('converts ordinary wall times using the zone offset', () => {
+        expect(ScheduleTime.zonedTimeToUtc(2024, 1, 15, 7, 0, NEW_YORK).toISOString()).toBe('2024-01-15T12:00:00.000Z');
+        expect(ScheduleTime.zonedTimeToUtc(2024, 7, 15, 7, 0, NEW_YORK).toISOString()).toBe('2024-07-15T11:00:00.000Z');
+    });
+
+    test('shifts a wall time skipped by spring-forward past the gap', () => {
+        // 02:30 does not exist on 2024-03-10 in New York; it resolves to 03:30 EDT
+        expect(ScheduleTime.zonedTimeToUtc(2024, 3, 10, 2, 30, NEW_YORK).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    test('resolves a wall time repeated by fall-back to its first occurrence', () => {
+        // 01:30 happens twice on 2024-11-03 in New York; the EDT one comes first
+        expect(ScheduleTime.zonedTimeToUtc(2024, 11, 3, 1, 30, NEW_YORK).toISOString()).toBe('2024-11-03T05:30:00.000Z');
+    });
+
+    test('resolves sun-relative times in the requested zone', () => {
+        const location = { latitude: 40.7128, longitude: -74.006 };
+        const midsummer = new Date('2024-06-21T16:00:00Z');
+
+        expect(ScheduleTime.resolveEventTime('sunrise', midsummer, location, NEW_YORK)).toBe('05:26');
+        expect(ScheduleTime.resolveEventTime('sunset-15', midsummer, location, NEW_YORK)).toBe('20:16');
+        expect(ScheduleTime.resolveEventTime('sunset', midsummer, location, 'America/Los_Angeles')).toBe('17:31');
+    });
+
+    test('validates calendar dates', () => {
+        expect(ScheduleTime.isCalendarDate('2024-02-29')).toBe(true);
+        expect(ScheduleTime.isCalendarDate('2023-02-29')).toBe(false);
+        expect(ScheduleTime.isCalendarDate('2024-6-1')).toBe(false);
+    });
+
+    test('limits events to date ranges and skips exception dates', () => {
+        const schedule = {
+            startDate: '2024-12-20',
+            endDate: '2025-01-10',
+            exceptions: ['2024-12-25', { start: '2025-01-01', end: '2025-01-05', reason: 'Storage lot' }]
+        };
+        const event = { time: '07:00', days: EVERY_DAY };
+
+        const days = ScheduleTime.getEventOccurrences(event, new Date('2024-12-15T00:00:00Z'),
+            new Date('2025-01-15T00:00:00Z'), null, 'UTC', schedule).map(date => date.toISOString().slice(0, 10));
+
+        expect(days[0]).toBe('2024-12-20');
+        expect(days[days.length - 1]).toBe('2025-01-10');
+        expect(days).not.toContain('2024-12-25');
+        expect(days).not.toContain('2025-01-03');
+        expect(days).toHaveLength(22 - 1 - 5);
+    });
+
+    test('runs one-off events only on their date', () => {
+        const event = { time: '23:59', date: '2024-12-31' };
+        const occurrences = ScheduleTime.getEventOccurrences(event, new Date('2024-12-01T00:00:00Z'),
+            new Date('2025-02-01T00:00:00Z'), null, NEW_YORK);
+
+        expect(occurrences.map(date => date.toISOString())).toEqual(['2025-01-01T04:59:00.000Z']);
+    });
+
+    test('parses cron expressions', () => {
+        const cron = ScheduleTime.parseCron('*/30 18-23 * * 5,6');
+        expect(cron.minutes).toEqual([0, 30]);
+        expect(cron.hours).toEqual([18, 19, 20, 21, 22, 23]);
+        expect(cron.daysOfWeek).toEqual([5, 6]);
+
+        expect(ScheduleTime.parseCron('0 8 * jun-aug sat,sun').months).toEqual([6, 7, 8]);
+        expect(ScheduleTime.parseCron('0 0 * * 7').daysOfWeek).toEqual([0]);
+        expect(ScheduleTime.parseCron('@daily').fields).toEqual(['0', '0', '*', '*', '*']);
+
+        for (const invalid of ['60 * * * *', '* * *', '5-1 * * * *', '*/0 * * * *', '0 0 32 * *', 'sunset']) {
+            expect(ScheduleTime.isValidCron(invalid)).toBe(false);
+        }
+    });
+
+    test('describes cron expressions in words', () => {
+        expect(ScheduleTime.describeCron('*/30 18-23 * * 5,6')).toBe('Every 30 minutes, 18:00–23:59, on Fri and Sat');
+        expect(ScheduleTime.describeCron('0 7 * * 1-5')).toBe('At 07:00 on Mon–Fri');
+        expect(ScheduleTime.describeCron('0,30 6 1,15 * *')).toBe('At 06:00 and 06:30 on days 1 and 15 of the month');
+        expect(ScheduleTime.describeCron('0 20 * 1-3 *')).toBe('At 20:00 in Jan–Mar');
+        expect(ScheduleTime.describeCron('bogus')).toBeNull();
+    });
+
+    test('runs cron events when either restricted day field matches', () => {
+        const event = { cron: '0 12 1 * mon' };
+        const days = ScheduleTime.getEventOccurrences(event, new Date('2024-06-30T00:00:00Z'),
+            new Date('2024-07-16T00:00:00Z'), null, 'UTC').map(date => date.toISOString().slice(0, 10));
+
+        expect(days).toEqual(['2024-07-01', '2024-07-08', '2024-07-15']);
+    });
+
+    test('fires cron times skipped or repeated by DST once', () => {
+        const springForward = ScheduleTime.getEventOccurrences({ cron: '*/30 1-3 * * *' },
+            new Date('2024-03-10T04:00:00Z'), new Date('2024-03-10T09:00:00Z'), null, NEW_YORK);
+        expect(springForward.map(date => date.toISOString())).toEqual([
+            '2024-03-10T06:00:00.000Z', '2024-03-10T06:30:00.000Z', '2024-03-10T07:00:00.000Z', '2024-03-10T07:30:00.000Z'
+        ]);
+
+        const fallBack = ScheduleTime.getEventOccurrences({ cron: '30 1 * * *' },
+            new Date('2024-11-03T04:00:00Z'), new Date('2024-11-03T08:00:00Z'), null, NEW_YORK);
+        expect(fallBack.map(date => date.toISOString())).toEqual(['2024-11-03T05:30:00.000Z']);
+    });
+
+    test('validates time zone names', () => {
+        expect(ScheduleTime.isValidTimeZone('America/Denver')).toBe(true);
+        expect(ScheduleTime.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    });
+});
+
+describe('RVLightingController schedule time zone', () => {
+    test('uses the configured zone rather than the host zone', () => {
+        const controller = createController('Asia/Tokyo');
+        controller.createSchedule('Morning', [{ time: '07:00', days: EVERY_DAY, action: 'lights_on' }]);
+
+        const fired = runEveryMinute(controller, 'Morning', '2024-05-01T21:50:00Z', '2024-05-01T22:10:00Z');
+        expect(fired).toEqual(['2024-05-01T22:00:00.000Z']);
+    });
+
+    test('matches days of the week in the configured zone', () => {
+        const controller = createController('Pacific/Auckland');
+        controller.createSchedule('Weekend', [{ time: '08:00', days: ['sat'], action: 'lights_on' }]);
+
+        // Saturday 08:00 in Auckland is still Friday in UTC
+        const fired = runEveryMinute(controller, 'Weekend', '2024-05-03T19:55:00Z', '2024-05-03T20:05:00Z');
+        expect(fired).toEqual(['2024-05-03T20:00:00.000Z']);
+    });
+
+    test('runs an event skipped by spring-forward exactly once', () => {
+        const controller = createController(NEW_YORK);
+        controller.createSchedule('Night', [{ time: '02:30', days: EVERY_DAY, action: 'lights_on' }]);
+
+        const fired = runEveryMinute(controller, 'Night', '2024-03-10T05:00:00Z', '2024-03-10T09:00:00Z');
+        expect(fired).toEqual(['2024-03-10T07:30:00.000Z']);
+    });
+
+    test('does not double-fire during the hour repeated by fall-back', () => {
+        const controller = createController(NEW_YORK);
+        controller.createSchedule('Night', [{ time: '01:30', days: EVERY_DAY, action: 'lights_on' }]);
+
+        const fired = runEveryMinute(controller, 'Night', '2024-11-03T04:00:00Z', '2024-11-03T08:00:00Z');
+        expect(fired).toEqual(['2024-11-03T05:30:00.000Z']);
+    });
+
+    test('rejects malformed schedule dates', () => {
+        const controller = createController(NEW_YORK);
+        const events = [{ time: '07:00', action: 'lights_on' }];
+
+        expect(controller.createSchedule('Trip', events, { startDate: '2024-06-10', endDate: '2024-06-01' })).toBe(false);
+        expect(controller.createSchedule('Trip', events, { exceptions: ['June 5'] })).toBe(false);
+        expect(controller.createSchedule('Trip', [{ time: '07:00', date: '2024-02-30' }])).toBe(false);
+        expect(controller.createSchedule('Trip', events, { startDate: '2024-06-01', exceptions: [{ start: '2024-06-05' }] })).toBe(true);
+    });
+
+    test('runs cron events and finds their next run offline', () => {
+        const controller = createController(NEW_YORK);
+        expect(controller.createSchedule('Weekend', [{ cron: '*/30 18-23 * * 5,6', action: 'lights_on' }])).toBe(true);
+        expect(controller.createSchedule('Broken', [{ cron: '0 25 * * *', action: 'lights_on' }])).toBe(false);
+
+        // Thursday 2024-05-02 noon in New York
+        jest.useFakeTimers({ now: new Date('2024-05-02T16:00:00Z') });
+        controller.activateSchedule('Weekend');
+        expect(controller.getNextScheduleRun('Weekend').time.toISOString()).toBe('2024-05-03T22:00:00.000Z');
+        controller.cleanup();
+        jest.useRealTimers();
+
+        const fired = runEveryMinute(controller, 'Weekend', '2024-05-03T21:50:00Z', '2024-05-03T23:10:00Z');
+        expect(fired).toEqual(['2024-05-03T22:00:00.000Z', '2024-05-03T22:30:00.000Z', '2024-05-03T23:00:00.000Z']);
+    });
+
+    test('fires once per day even when checked more than once a minute', () => {
+        const controller = createController(NEW_YORK);
+        controller.createSchedule('Evening', [{ time: '19:00', days: EVERY_DAY, action: 'lights_on' }]);
+
+        let count = 0;
+        controller.allLightsOn = () => count++;
+        for (const seconds of [0, 10, 20, 50]) {
+            controller.checkScheduleEvents('Evening', new Date(Date.UTC(2024, 4, 1, 23, 0, seconds)));
+        }
+        expect(count).toBe(1);
+    });
+});
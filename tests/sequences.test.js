@@ -0,0 +1,137 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const parserUtils = require('../src/parser-utils');
+const { schemas } = require('../server/middleware/validation');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// A porch dimmer (1), an awning dimmer (2), living room dimmers (3, 4) and a kitchen dimmer (5)
+function createController() {
+    const sent = [];
+    const controller = new RVLightingController({
+        send: data => sent.push(data),
+        parserUtils,
+        events: new EventEmitter(),
+        storage: null,
+        commandInterval: 0
+    });
+    [['Porch', 5], ['Awning', 5], ['Ceiling', 0], ['Lamp', 0], ['Kitchen', 1]].forEach(([name, room], i) => {
+        controller.lights.set(i + 1, {
+            name, index: i + 1, instance: i + 1, command: 0,
+            room, roomName: controller.roomNames[room], isDimmer: true, currentBrightness: 0
+        });
+    });
+    controller.isInitialized = true;
+    return { controller, sent };
+}
+
+function levels(controller) {
+    return controller.getAllLights().map(light => light.currentBrightness);
+}
+
+describe('RVLightingController sequences', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T20:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('walks through steps with delays and finishes', () => {
+        const { controller } = createController();
+        controller.scenes.set('Kitchen', { name: 'Kitchen', lights: [{ index: 5, name: 'Kitchen', brightness: 60, room: 1 }] });
+        expect(controller.createSequence('Welcome Home', [
+            { room: 5, delayMs: 2000 },
+            { lights: [{ index: 3, brightness: 80 }, { index: 4, brightness: 40 }], delayMs: 2000 },
+            { scene: 'Kitchen' }
+        ])).toBe(true);
+
+        controller.playSequence('Welcome Home');
+        expect(levels(controller)).toEqual([100, 100, 0, 0, 0]);
+
+        jest.advanceTimersByTime(2000);
+        expect(levels(controller)).toEqual([100, 100, 80, 40, 0]);
+
+        jest.advanceTimersByTime(2000);
+        expect(levels(controller)).toEqual([100, 100, 80, 40, 60]);
+        expect(controller.getPlayingSequences()).toEqual([]);
+
+        const saved = controller.sequences.get('Welcome Home');
+        expect(saved.steps[1].lights[0].fingerprint).toEqual({ name: 'Ceiling', instance: 3, room: 0, command: 0 });
+        expect(schemas.sequenceSchema.validate(JSON.parse(JSON.stringify(saved))).error).toBeUndefined();
+    });
+
+    test('breathes until stopped', () => {
+        const { controller } = createController();
+        controller.createBreatheEffect('Awning Party', { lights: [2], min: 20, max: 80, periodMs: 4000 });
+
+        controller.playSequence('Awning Party');
+        jest.advanceTimersByTime(2000);
+        expect(levels(controller)[1]).toBe(80);
+        jest.advanceTimersByTime(2000);
+        expect(levels(controller)[1]).toBe(20);
+        jest.advanceTimersByTime(2000);
+        expect(levels(controller)[1]).toBe(80);
+
+        expect(controller.getPlayingSequences()).toEqual([{ name: 'Awning Party', step: 0, loop: true }]);
+
+        // Stopping part way down leaves the light where the fade had got to
+        jest.advanceTimersByTime(500);
+        expect(levels(controller)[1]).toBe(63);
+        expect(controller.stopSequence('Awning Party')).toBe(true);
+        jest.advanceTimersByTime(10000);
+        expect(levels(controller)[1]).toBe(63);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('is played and stopped by schedule events, and all lights off stops it', () => {
+        const { controller } = createController();
+        controller.createBreatheEffect('Awning Party', { room: 5, periodMs: 4000 });
+        controller.createSchedule('Party', [
+            { time: '20:00', days: EVERY_DAY, action: 'play_sequence', sequence: 'Awning Party' },
+            { time: '23:00', days: EVERY_DAY, action: 'stop_sequence' }
+        ]);
+
+        controller.checkScheduleEvents('Party', new Date('2024-06-01T20:00:30Z'));
+        expect(controller.getPlayingSequences().map(sequence => sequence.name)).toEqual(['Awning Party']);
+        controller.checkScheduleEvents('Party', new Date('2024-06-01T23:00:30Z'));
+        expect(controller.getPlayingSequences()).toEqual([]);
+
+        controller.playSequence('Awning Party');
+        controller.allLightsOff();
+        expect(controller.getPlayingSequences()).toEqual([]);
+    });
+
+    test('holds steps back to stay under the command rate limit', () => {
+        const { controller, sent } = createController();
+        const lights = [1, 2, 3, 4, 5].map(index => ({ index, brightness: 50 }));
+
+        expect(controller.createSequence('Too Fast', [{ lights, delayMs: 0 }], { loop: true })).toBe(false);
+        expect(schemas.sequenceSchema.validate({ name: 'Too Fast', loop: true, steps: [{ lights }] }).error).toBeDefined();
+
+        // Five sequences setting five lights every second want 25 commands a second
+        for (let i = 1; i <= 5; i++) {
+            controller.createSequence(`Pulse ${i}`, [{ lights, delayMs: 1000 }], { loop: true });
+            controller.playSequence(`Pulse ${i}`);
+        }
+        expect(sent).toHaveLength(20);
+
+        jest.advanceTimersByTime(999);
+        expect(sent).toHaveLength(20);
+        jest.advanceTimersByTime(1);
+        expect(sent).toHaveLength(40);
+
+        expect(controller.stopAllSequences()).toBe(5);
+    });
+
+    test('rejects malformed steps', () => {
+        const { controller } = createController();
+
+        expect(controller.createSequence('Empty', [])).toBe(false);
+        expect(controller.createSequence('Both', [{ room: 1, scene: 'Kitchen' }])).toBe(false);
+        expect(controller.createSequence('Level', [{ lights: [{ index: 1, brightness: 120 }] }])).toBe(false);
+        expect(controller.createSequence('Stray', [{ scene: 'Kitchen', brightness: 50 }])).toBe(false);
+        expect(controller.playSequence('Missing')).toBe(false);
+    });
+});
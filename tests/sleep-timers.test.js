@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+const RVLightingController = require('../src/RVLightingController');
+const helpers = require('./helpers');
+
+const MINUTE = 60000;
+
+// Controller with a bedroom dimmer (1), a bedroom switch (2) and a porch light (3)
+function createController(options = {}) {
+    return helpers.createController({
+        lights: [
+            { name: 'Bed Reading', room: 2, currentBrightness: 100 },
+            { name: 'Bed Ceiling', room: 2, isDimmer: false, currentBrightness: 100 },
+            { name: 'Porch', room: 5, isDimmer: false, currentBrightness: 100 }
+        ],
+        ...options
+    });
+}
+
+function brightness(controller) {
+    return controller.getAllLights().map(light => light.currentBrightness);
+}
+
+describe('RVLightingController sleep timers', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-06-01T21:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('turns a light, a room or every light off when the countdown ends', () => {
+        const controller = createController();
+
+        controller.startSleepTimer({ type: 'light', index: 3 }, 45 * MINUTE);
+        controller.startSleepTimer({ type: 'room', room: 2 }, 20 * MINUTE);
+
+        jest.advanceTimersByTime(20 * MINUTE);
+        expect(brightness(controller)).toEqual([0, 0, 100]);
+
+        jest.advanceTimersByTime(25 * MINUTE);
+        expect(brightness(controller)).toEqual([0, 0, 0]);
+        expect(controller.getSleepTimers()).toEqual([]);
+
+        controller.getAllLights().forEach(light => { light.currentBrightness = 100; });
+        controller.startSleepTimer({ type: 'all' }, MINUTE);
+        jest.advanceTimersByTime(MINUTE);
+        expect(brightness(controller)).toEqual([0, 0, 0]);
+    });
+
+    test('lists timers soonest first and cancels them', () => {
+        const controller = createController();
+
+        const porch = controller.startSleepTimer({ type: 'light', index: 3 }, 45 * MINUTE);
+        controller.startSleepTimer({ type: 'room', room: 2 }, 20 * MINUTE);
+        jest.advanceTimersByTime(5 * MINUTE);
+
+        expect(controller.getSleepTimers().map(timer => [timer.label, timer.remainingMs])).toEqual([
+            ['Bedroom', 15 * MINUTE],
+            ['Porch', 40 * MINUTE]
+        ]);
+
+        expect(controller.cancelSleepTimer(porch.id)).toBe(true);
+        expect(controller.cancelSleepTimer(porch.id)).toBe(false);
+
+        jest.advanceTimersByTime(60 * MINUTE);
+        expect(brightness(controller)).toEqual([0, 0, 100]);
+    });
+
+    test('replaces an existing timer for the same target', () => {
+        const controller = createController();
+
+        controller.startSleepTimer({ type: 'room', room: 2 }, 20 * MINUTE);
+        controller.startSleepTimer({ type: 'room', room: 2 }, 60 * MINUTE);
+
+        expect(controller.getSleepTimers()).toHaveLength(1);
+        jest.advanceTimersByTime(30 * MINUTE);
+        expect(brightness(controller)).toEqual([100, 100, 100]);
+    });
+
+    test('rejects unknown targets and bad durations', () => {
+        const controller = createController();
+
+        expect(controller.startSleepTimer({ type: 'light', index: 9 }, MINUTE)).toBeNull();
+        expect(controller.startSleepTimer({ type: 'room', room: 7 }, MINUTE)).toBeNull();
+        expect(controller.startSleepTimer({ type: 'scene' }, MINUTE)).toBeNull();
+        expect(controller.startSleepTimer({ type: 'all' }, 0)).toBeNull();
+        expect(controller.startSleepTimer({ type: 'all' }, 25 * 60 * MINUTE)).toBeNull();
+    });
+
+    test('survives a reload through storage', async () => {
+        const storage = helpers.createStorage();
+        const first = createController({ storage });
+        first.startSleepTimer({ type: 'room', room: 2 }, 20 * MINUTE, { fadeMs: 1000 });
+        first.cleanup();
+
+        jest.advanceTimersByTime(10 * MINUTE);
+
+        // A fresh page: the timer is restored once lights are discovered
+        const events = new EventEmitter();
+        const second = createController({
+            storage,
+            events,
+            send: data => data !== 'GET_LIGHT_COUNT' || events.emit('GET_LIGHT_COUNT', '0')
+        });
+        second.isInitialized = false;
+        await second.initialize();
+
+        const [timer] = second.getSleepTimers();
+        expect(timer).toMatchObject({ label: 'Bedroom', remainingMs: 10 * MINUTE, fadeMs: 1000 });
+
+        jest.advanceTimersByTime(10 * MINUTE + 1000);
+        expect(brightness(second)).toEqual([0, 0, 100]);
+        expect(JSON.parse(storage.getItem('rv_lighting_timers'))).toEqual([]);
+    });
+
+    test('drops restored timers that are more than a day overdue', () => {
+        const storage = helpers.createStorage();
+        const first = createController({ storage });
+        first.startSleepTimer({ type: 'all' }, MINUTE);
+        first.cleanup();
+
+        jest.setSystemTime(new Date('2024-06-03T21:00:00Z'));
+        const controller = createController({ storage });
+        controller.armSleepTimers();
+
+        expect(controller.getSleepTimers()).toEqual([]);
+        jest.runOnlyPendingTimers();
+        expect(brightness(controller)).toEqual([100, 100, 100]);
+    });
+
+    test('does not come back after an emergency reset clears storage', () => {
+        const storage = helpers.createStorage();
+        const first = createController({ storage });
+        first.startSleepTimer({ type: 'all' }, 20 * MINUTE);
+        first.cleanup();
+        storage.setItem('rv_lighting_data', '{}');
+        storage.setItem('rv_lighting_schedule_state', '{}');
+
+        RVLightingController.clearAllStorage(storage);
+
+        for (const key of ['rv_lighting_data', 'rv_lighting_timers', 'rv_lighting_schedule_state']) {
+            expect(storage.getItem(key)).toBeNull();
+        }
+        const controller = createController({ storage });
+        controller.armSleepTimers();
+        expect(controller.getSleepTimers()).toEqual([]);
+    });
+});
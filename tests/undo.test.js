@@ -0,0 +1,92 @@
+const RVLightingController = require('../src/RVLightingController');
+const helpers = require('./helpers');
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Three living room dimmers at 10/20/30 and a "Bright" scene
+function createController(storage = null) {
+    const controller = helpers.createController({
+        lights: ['Ceiling', 'Lamp', 'Sconce'].map((name, i) => ({ name, currentBrightness: (i + 1) * 10 })),
+        storage
+    });
+    controller.scenes.set('Bright', {
+        name: 'Bright',
+        lights: [
+            { index: 1, name: 'Ceiling', brightness: 90, room: 0 },
+            { index: 2, name: 'Lamp', brightness: 80, room: 0 }
+        ]
+    });
+    return controller;
+}
+
+function levels(controller) {
+    return controller.getAllLights().map(light => light.currentBrightness);
+}
+
+describe('RVLightingController undo', () => {
+    test('undoes and redoes bulk actions in order', () => {
+        const controller = createController();
+
+        controller.loadScene('Bright');
+        controller.allLightsOff();
+        expect(levels(controller)).toEqual([0, 0, 0]);
+
+        expect(controller.undo()).toMatchObject({ label: 'All lights off' });
+        expect(levels(controller)).toEqual([90, 80, 30]);
+        expect(controller.undo()).toMatchObject({ label: 'Load scene "Bright"' });
+        expect(levels(controller)).toEqual([10, 20, 30]);
+        expect(controller.undo()).toBeNull();
+
+        expect(controller.redo()).toMatchObject({ label: 'Load scene "Bright"' });
+        expect(levels(controller)).toEqual([90, 80, 30]);
+        expect(controller.getUndoState()).toEqual({ undo: 'Load scene "Bright"', redo: 'All lights off' });
+    });
+
+    test('clears redo when a new bulk action runs', () => {
+        const controller = createController();
+
+        controller.allLightsOn();
+        controller.undo();
+        controller.setRoomBrightness(0, 50);
+
+        expect(controller.getUndoState()).toEqual({ undo: 'Living Room to 50%', redo: null });
+        expect(controller.redo()).toBeNull();
+    });
+
+    test('takes one snapshot per schedule event', () => {
+        const controller = createController();
+        controller.createSchedule('Evening', [{ time: '19:00', days: EVERY_DAY, action: 'load_scene', scene: 'Bright' }]);
+
+        controller.checkScheduleEvents('Evening', new Date(2024, 4, 1, 19, 0, 30));
+        expect(levels(controller)).toEqual([90, 80, 30]);
+
+        expect(controller.undo()).toMatchObject({ label: 'Schedule "Evening": load_scene' });
+        expect(levels(controller)).toEqual([10, 20, 30]);
+        expect(controller.undo()).toBeNull();
+    });
+
+    test('keeps a bounded history that survives a reload', () => {
+        const storage = helpers.createStorage();
+        const controller = createController(storage);
+
+        for (let level = 1; level <= 25; level++) {
+            controller.setRoomBrightness(0, level);
+        }
+        expect(controller.undoStack).toHaveLength(20);
+
+        const reloaded = createController(storage);
+        expect(reloaded.undo()).toMatchObject({ label: 'Living Room to 25%' });
+        expect(levels(reloaded)).toEqual([24, 24, 24]);
+    });
+
+    test('starts over after an emergency reset clears storage', () => {
+        const storage = helpers.createStorage();
+        const controller = createController(storage);
+        controller.allLightsOff();
+        controller.cleanup();
+
+        RVLightingController.clearAllStorage(storage);
+
+        expect(createController(storage).undo()).toBeNull();
+    });
+});